@@ -0,0 +1,294 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/common/patch.js: JSON Patch (RFC 6902) and JSON merge patch (RFC 7396)
+ *
+ * Both functions leave the given document alone, and return either the patched
+ * copy or an error: an InvalidArgumentError for a patch which isn't valid, or a
+ * PatchFailedError for one which can't be applied to the document (such as a
+ * "test" which fails, or a "remove" of a key which doesn't exist).
+ */
+
+var jsprim = require('jsprim');
+var restify = require('restify');
+
+var sprintf = require('util').format;
+
+var mod_errors = require('../server/errors.js');
+
+
+// -- Exported interface
+
+module.exports.applyJsonPatch = applyJsonPatch;
+module.exports.applyMergePatch = applyMergePatch;
+module.exports.parsePointer = parsePointer;
+
+
+var OPS = [ 'add', 'remove', 'replace', 'move', 'copy', 'test' ];
+var INDEX_RE = /^(0|[1-9][0-9]*)$/;
+
+
+function isObject(val) {
+    return (typeof (val) === 'object' && val !== null && !Array.isArray(val));
+}
+
+/*
+ * Parse a JSON pointer (RFC 6901) into its list of tokens, or return null if
+ * it isn't one.  The empty pointer, for the whole document, has no tokens.
+ */
+function parsePointer(pointer) {
+    if (typeof (pointer) !== 'string' ||
+        (pointer !== '' && pointer[0] !== '/')) {
+        return (null);
+    }
+
+    if (pointer === '')
+        return ([]);
+
+    return (pointer.substr(1).split('/').map(function (token) {
+        return (token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }));
+}
+
+/*
+ * Find the container a pointer's last token refers into, returning
+ * { parent, key }, or a PatchFailedError if there's no such container.  For an
+ * array, the key is checked by the caller, as "-" and the index just past the
+ * end are only valid for an "add".
+ */
+function resolve(doc, tokens, pointer) {
+    var parent = doc;
+
+    for (var i = 0; i < tokens.length - 1; i++) {
+        var token = tokens[i];
+        var child;
+
+        if (Array.isArray(parent)) {
+            child = INDEX_RE.test(token) ? parent[Number(token)] : undefined;
+        } else if (isObject(parent) && parent.hasOwnProperty(token)) {
+            child = parent[token];
+        }
+
+        if (typeof (child) !== 'object' || child === null) {
+            return (new mod_errors.PatchFailedError(sprintf(
+                'path "%s" does not exist', pointer)));
+        }
+        parent = child;
+    }
+
+    return ({ parent: parent, key: tokens[tokens.length - 1] });
+}
+
+function getValue(doc, pointer) {
+    var tokens = parsePointer(pointer);
+    if (tokens.length === 0)
+        return (doc);
+
+    var found = resolve(doc, tokens, pointer);
+    if (found instanceof Error)
+        return (found);
+
+    var parent = found.parent;
+    var key = found.key;
+
+    if (Array.isArray(parent) ? (INDEX_RE.test(key) &&
+        Number(key) < parent.length) : parent.hasOwnProperty(key)) {
+        return (parent[key]);
+    }
+
+    return (new mod_errors.PatchFailedError(sprintf(
+        'path "%s" does not exist', pointer)));
+}
+
+function addValue(doc, pointer, value) {
+    var tokens = parsePointer(pointer);
+    if (tokens.length === 0)
+        return (value);
+
+    var found = resolve(doc, tokens, pointer);
+    if (found instanceof Error)
+        return (found);
+
+    var parent = found.parent;
+    var key = found.key;
+
+    if (Array.isArray(parent)) {
+        if (key === '-') {
+            parent.push(value);
+        } else if (INDEX_RE.test(key) && Number(key) <= parent.length) {
+            parent.splice(Number(key), 0, value);
+        } else {
+            return (new mod_errors.PatchFailedError(sprintf(
+                'path "%s" is past the end of its array', pointer)));
+        }
+    } else {
+        parent[key] = value;
+    }
+
+    return (doc);
+}
+
+function removeValue(doc, pointer) {
+    var tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        return (new mod_errors.PatchFailedError(
+            'the whole document can\'t be removed'));
+    }
+
+    var value = getValue(doc, pointer);
+    if (value instanceof Error)
+        return (value);
+
+    var found = resolve(doc, tokens, pointer);
+    if (Array.isArray(found.parent))
+        found.parent.splice(Number(found.key), 1);
+    else
+        delete found.parent[found.key];
+
+    return (doc);
+}
+
+/*
+ * Check that an operation of a JSON Patch is well-formed, returning an
+ * InvalidArgumentError or null.
+ */
+function validateOperation(op, i) {
+    if (!isObject(op)) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'patch operation %d must be an object', i)));
+    }
+
+    if (OPS.indexOf(op.op) === -1) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'patch operation %d: "op" must be one of %s', i,
+            OPS.join(', '))));
+    }
+
+    if (parsePointer(op.path) === null) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'patch operation %d: "path" must be a JSON pointer', i)));
+    }
+
+    if ((op.op === 'move' || op.op === 'copy') &&
+        parsePointer(op.from) === null) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'patch operation %d: "from" must be a JSON pointer', i)));
+    }
+
+    if ((op.op === 'add' || op.op === 'replace' || op.op === 'test') &&
+        !op.hasOwnProperty('value')) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'patch operation %d: "%s" needs a "value"', i, op.op)));
+    }
+
+    return (null);
+}
+
+/*
+ * Apply a JSON Patch, a list of operations which are applied in turn.  If any
+ * of them fails, none are applied.
+ */
+function applyJsonPatch(doc, patch) {
+    if (!Array.isArray(patch)) {
+        return (new restify.InvalidArgumentError(
+            'a JSON patch must be an array of operations'));
+    }
+
+    for (var i = 0; i < patch.length; i++) {
+        var invalid = validateOperation(patch[i], i);
+        if (invalid !== null)
+            return (invalid);
+    }
+
+    doc = jsprim.deepCopy(doc);
+
+    for (i = 0; i < patch.length; i++) {
+        var op = patch[i];
+        var value;
+
+        switch (op.op) {
+        case 'add':
+            doc = addValue(doc, op.path, jsprim.deepCopy(op.value));
+            break;
+        case 'remove':
+            doc = removeValue(doc, op.path);
+            break;
+        case 'replace':
+            value = getValue(doc, op.path);
+            if (value instanceof Error)
+                doc = value;
+            else if (op.path === '')
+                doc = jsprim.deepCopy(op.value);
+            else
+                doc = addValue(removeValue(doc, op.path), op.path,
+                    jsprim.deepCopy(op.value));
+            break;
+        case 'move':
+            if (op.path.indexOf(op.from + '/') === 0) {
+                doc = new mod_errors.PatchFailedError(sprintf(
+                    'can\'t move "%s" into itself', op.from));
+                break;
+            }
+            value = getValue(doc, op.from);
+            if (value instanceof Error) {
+                doc = value;
+                break;
+            }
+            doc = removeValue(doc, op.from);
+            if (!(doc instanceof Error))
+                doc = addValue(doc, op.path, value);
+            break;
+        case 'copy':
+            value = getValue(doc, op.from);
+            doc = value instanceof Error ? value :
+                addValue(doc, op.path, jsprim.deepCopy(value));
+            break;
+        case 'test':
+            value = getValue(doc, op.path);
+            if (!(value instanceof Error) &&
+                !jsprim.deepEqual(value, op.value)) {
+                value = new mod_errors.PatchFailedError(sprintf(
+                    'test of "%s" failed: its value is %s', op.path,
+                    JSON.stringify(value)));
+            }
+            if (value instanceof Error)
+                doc = value;
+            break;
+        default:
+            throw (new Error('unknown patch operation ' + op.op));
+        }
+
+        if (doc instanceof Error)
+            return (doc);
+    }
+
+    return (doc);
+}
+
+/*
+ * Apply a JSON merge patch: each key of the patch replaces the same key of the
+ * document, merging objects recursively, and a key which is null is removed.
+ */
+function applyMergePatch(doc, patch) {
+    if (!isObject(patch))
+        return (jsprim.deepCopy(patch));
+
+    var merged = isObject(doc) ? jsprim.deepCopy(doc) : {};
+
+    Object.keys(patch).forEach(function (key) {
+        if (patch[key] === null)
+            delete merged[key];
+        else
+            merged[key] = applyMergePatch(merged[key], patch[key]);
+    });
+
+    return (merged);
+}
@@ -293,6 +293,22 @@ function loadConfig(opts, callback) {
                             } else {
                                 ctx.cfg.moray.master_host = null;
                             }
+                            if (mConfig.updates && mConfig.updates.url) {
+                                ctx.cfg.updates = {
+                                    url: mConfig.updates.url
+                                };
+                                if (mConfig.updates.channel) {
+                                    ctx.cfg.updates.channel =
+                                        mConfig.updates.channel;
+                                }
+                            }
+                            var interval = Number(mConfig.reconcile &&
+                                mConfig.reconcile.interval);
+                            if (interval > 0) {
+                                ctx.cfg.reconcile = {
+                                    interval: interval
+                                };
+                            }
                         } catch (e) {
                             next(e);
                             return;
@@ -0,0 +1,404 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/apply.js: planning how to bring an application to the state
+ *     described by a declarative document.
+ *
+ * The document may have:
+ *
+ *     application  the application's params, metadata, metadata_schema and
+ *                  manifests
+ *     manifests    an array of manifests (name, path, template, and optionally
+ *                  post_cmd and version), each of which is published if its
+ *                  latest version differs
+ *     services     each of the application's services by name, with its type,
+ *                  params, metadata, metadata_schema and manifests, and the
+ *                  count of instances it should have
+ *
+ * Manifests are referred to by name: each value of an object's manifests is
+ * either the name of a manifest, or an object with its name and a semver range
+ * of versions.  Whatever the document leaves out is left alone, but what it
+ * gives is the whole of it: a field missing from a service which is given is
+ * removed, and so is a service missing from the services which are given.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var restify = require('restify');
+var semver = require('semver');
+
+var sprintf = require('util').format;
+
+
+var FIELDS = [ 'params', 'metadata', 'metadata_schema', 'manifests' ];
+var SERVICE_KEYS = FIELDS.concat([ 'type', 'count' ]);
+var MANIFEST_KEYS = [ 'name', 'path', 'template', 'post_cmd', 'version' ];
+var TYPES = [ 'vm', 'agent' ];
+
+
+function isObject(val) {
+    return (typeof (val) === 'object' && val !== null && !Array.isArray(val));
+}
+
+function invalid() {
+    return (new restify.InvalidArgumentError(
+        sprintf.apply(null, arguments)));
+}
+
+/*
+ * Check that an object has only the given keys, returning an
+ * InvalidArgumentError or null.
+ */
+function validateKeys(what, obj, keys) {
+    var unknown = Object.keys(obj).filter(function (key) {
+        return (keys.indexOf(key) === -1);
+    });
+    if (unknown.length > 0) {
+        return (invalid('unknown key(s) %s in %s: must be one of %s',
+            unknown.join(', '), what, keys.join(', ')));
+    }
+
+    return (null);
+}
+
+/*
+ * Check an object's keys and its fields (see FIELDS), returning an
+ * InvalidArgumentError or null.
+ */
+function validateFields(what, obj, keys) {
+    var err = validateKeys(what, obj, keys);
+    if (err)
+        return (err);
+
+    for (var i = 0; i < FIELDS.length; i++) {
+        var field = FIELDS[i];
+        if (obj[field] !== undefined && !isObject(obj[field]))
+            return (invalid('%s.%s must be an object', what, field));
+    }
+
+    var refs = obj.manifests || {};
+    var bad = Object.keys(refs).filter(function (key) {
+        var ref = refs[key];
+        return (!(typeof (ref) === 'string' ||
+            (isObject(ref) && typeof (ref.name) === 'string' &&
+            (ref.version === undefined || semver.validRange(ref.version)))));
+    })[0];
+    if (bad !== undefined) {
+        return (invalid('%s.manifests.%s must be the name of a manifest, ' +
+            'or an object with its name and version range', what, bad));
+    }
+
+    return (null);
+}
+
+/*
+ * Check a document (see above), returning an InvalidArgumentError or null.
+ */
+function validateDocument(doc) {
+    var err;
+
+    if (!isObject(doc))
+        return (invalid('document must be an object'));
+
+    err = validateKeys('document', doc,
+        [ 'application', 'manifests', 'services' ]);
+    if (err)
+        return (err);
+
+    if (doc.application !== undefined) {
+        if (!isObject(doc.application))
+            return (invalid('application must be an object'));
+        err = validateFields('application', doc.application, FIELDS);
+        if (err)
+            return (err);
+    }
+
+    if (doc.manifests !== undefined && !Array.isArray(doc.manifests))
+        return (invalid('manifests must be an array'));
+
+    var names = {};
+    for (var i = 0; doc.manifests && i < doc.manifests.length; i++) {
+        var mfest = doc.manifests[i];
+        var what = sprintf('manifests[%d]', i);
+
+        if (!isObject(mfest) || typeof (mfest.name) !== 'string' ||
+            typeof (mfest.path) !== 'string' || !mfest.template) {
+            return (invalid('%s must have a name, path and template', what));
+        } else if (names.hasOwnProperty(mfest.name)) {
+            return (invalid('manifest %s is given twice', mfest.name));
+        } else if (mfest.post_cmd !== undefined &&
+            typeof (mfest.post_cmd) !== 'string') {
+            return (invalid('%s.post_cmd must be a string', what));
+        } else if (mfest.version !== undefined &&
+            !semver.valid(mfest.version)) {
+            return (invalid('%s.version must be a version', what));
+        }
+
+        err = validateKeys(what, mfest, MANIFEST_KEYS);
+        if (err)
+            return (err);
+        names[mfest.name] = true;
+    }
+
+    if (doc.services !== undefined && !isObject(doc.services))
+        return (invalid('services must be an object'));
+
+    var svcNames = Object.keys(doc.services || {});
+    for (i = 0; i < svcNames.length; i++) {
+        var svc = doc.services[svcNames[i]];
+        var svcWhat = 'services.' + svcNames[i];
+
+        if (!isObject(svc))
+            return (invalid('%s must be an object', svcWhat));
+
+        err = validateFields(svcWhat, svc, SERVICE_KEYS);
+        if (err)
+            return (err);
+
+        if (svc.type !== undefined && TYPES.indexOf(svc.type) === -1) {
+            return (invalid('%s.type must be one of %s', svcWhat,
+                TYPES.join(', ')));
+        }
+
+        if (svc.count !== undefined && (typeof (svc.count) !== 'number' ||
+            svc.count < 0 || Math.floor(svc.count) !== svc.count)) {
+            return (invalid('%s.count must be an integer of at least 0',
+                svcWhat));
+        } else if (svc.count !== undefined && svc.type === 'agent') {
+            return (invalid('%s.count can\'t be given for an agent service, ' +
+                'whose instances are created for each server', svcWhat));
+        }
+    }
+
+    return (null);
+}
+
+/*
+ * An object's fields as given in a document, with references to manifests by
+ * name made into the { name, version } references SAPI resolves.
+ */
+function declaredFields(obj) {
+    var fields = {};
+
+    FIELDS.forEach(function (field) {
+        if (obj[field] !== undefined)
+            fields[field] = jsprim.deepCopy(obj[field]);
+    });
+
+    Object.keys(fields.manifests || {}).forEach(function (key) {
+        var ref = fields.manifests[key];
+        if (typeof (ref) === 'string')
+            fields.manifests[key] = { name: ref };
+    });
+
+    return (fields);
+}
+
+/*
+ * The JSON Patch which sets an object's fields to those declared (see
+ * declaredFields()).
+ */
+function fieldsPatch(current, declared) {
+    var patch = [];
+
+    FIELDS.forEach(function (field) {
+        if (jsprim.deepEqual(current[field], declared[field]))
+            return;
+
+        patch.push(declared[field] === undefined ?
+            { op: 'remove', path: '/' + field } :
+            { op: 'add', path: '/' + field, value: declared[field] });
+    });
+
+    return (patch);
+}
+
+/*
+ * Plan how to bring an application to the state a document declares:
+ *
+ *     doc          the document, checked with validateDocument()
+ *     application  the application
+ *     services     its services
+ *     instances    the number of instances of each service, by UUID
+ *     manifests    the latest version of each manifest the document gives,
+ *                  by name
+ *
+ * Returns the steps to take, in order, or an InvalidArgumentError.  Each step
+ * has an action (create, update, scale or delete), the type and name of the
+ * object it acts on, and its UUID, if it exists:
+ *
+ *     - a manifest is created, or has a new version published with the
+ *       changes given, if its content or version differ
+ *     - the application or a service is created, or updated with a JSON
+ *       Patch given as the patch
+ *     - a service is scaled to the count given, from the count it has
+ *     - a service is deleted, along with its instances
+ */
+function planApply(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.doc, 'opts.doc');
+    assert.object(opts.application, 'opts.application');
+    assert.arrayOfObject(opts.services, 'opts.services');
+    assert.object(opts.instances, 'opts.instances');
+    assert.object(opts.manifests, 'opts.manifests');
+
+    var doc = opts.doc;
+    var app = opts.application;
+    var steps = [];
+    var i;
+
+    var mfests = doc.manifests || [];
+    for (i = 0; i < mfests.length; i++) {
+        var mfest = mfests[i];
+        var latest = opts.manifests[mfest.name];
+
+        if (!latest) {
+            steps.push({
+                action: 'create',
+                type: 'manifest',
+                name: mfest.name,
+                object: jsprim.deepCopy(mfest)
+            });
+            continue;
+        }
+
+        var changes = {};
+        [ 'path', 'template', 'post_cmd' ].forEach(function (key) {
+            if (!jsprim.deepEqual(latest[key], mfest[key]))
+                changes[key] = mfest[key];
+        });
+        var changed = Object.keys(changes).length > 0;
+
+        if (mfest.version !== undefined && mfest.version !== latest.version) {
+            if (semver.valid(latest.version) &&
+                !semver.gt(mfest.version, latest.version)) {
+                return (invalid('version %s of manifest %s must be greater ' +
+                    'than its latest, %s', mfest.version, mfest.name,
+                    latest.version));
+            }
+            changes.version = mfest.version;
+        } else if (mfest.version !== undefined && changed) {
+            return (invalid('manifest %s differs from its version %s, so ' +
+                'needs a new version', mfest.name, mfest.version));
+        }
+
+        if (Object.keys(changes).length > 0) {
+            steps.push({
+                action: 'update',
+                type: 'manifest',
+                name: mfest.name,
+                uuid: latest.uuid,
+                changes: changes
+            });
+        }
+    }
+
+    if (doc.application !== undefined) {
+        var appPatch = fieldsPatch(app, declaredFields(doc.application));
+        if (appPatch.length > 0) {
+            steps.push({
+                action: 'update',
+                type: 'application',
+                name: app.name,
+                uuid: app.uuid,
+                patch: appPatch
+            });
+        }
+    }
+
+    if (doc.services === undefined)
+        return (steps);
+
+    var byName = {};
+    for (i = 0; i < opts.services.length; i++) {
+        var current = opts.services[i];
+        if (byName.hasOwnProperty(current.name)) {
+            return (invalid('application %s has more than one service ' +
+                'named %s', app.uuid, current.name));
+        }
+        byName[current.name] = current;
+    }
+
+    var names = Object.keys(doc.services).sort();
+    var scales = [];
+    for (i = 0; i < names.length; i++) {
+        var name = names[i];
+        var svc = doc.services[name];
+        var existing = byName[name];
+        var declared = declaredFields(svc);
+        var type = svc.type || 'vm';
+
+        if (!existing) {
+            declared.name = name;
+            declared.application_uuid = app.uuid;
+            declared.type = type;
+            if (svc.count !== undefined)
+                declared.desired_count = svc.count;
+            steps.push({
+                action: 'create',
+                type: 'service',
+                name: name,
+                object: declared
+            });
+        } else if (existing.type !== type) {
+            return (invalid('service %s is of type %s, which can\'t be ' +
+                'changed', name, existing.type));
+        } else {
+            var patch = fieldsPatch(existing, declared);
+            if (patch.length > 0) {
+                steps.push({
+                    action: 'update',
+                    type: 'service',
+                    name: name,
+                    uuid: existing.uuid,
+                    patch: patch
+                });
+            }
+        }
+
+        var count = existing ? opts.instances[existing.uuid] || 0 : 0;
+        if (svc.count !== undefined && (svc.count !== count ||
+            (existing && existing.desired_count !== svc.count))) {
+            scales.push({
+                action: 'scale',
+                type: 'service',
+                name: name,
+                uuid: existing ? existing.uuid : undefined,
+                from: count,
+                to: svc.count
+            });
+        }
+    }
+
+    // Instances are only created once every service is as declared
+    steps = steps.concat(scales);
+
+    Object.keys(byName).sort().forEach(function (svcName) {
+        if (doc.services.hasOwnProperty(svcName))
+            return;
+
+        steps.push({
+            action: 'delete',
+            type: 'service',
+            name: svcName,
+            uuid: byName[svcName].uuid,
+            instances: opts.instances[byName[svcName].uuid] || 0
+        });
+    });
+
+    return (steps);
+}
+
+
+module.exports = {
+    planApply: planApply,
+    validateDocument: validateDocument
+};
@@ -26,11 +26,19 @@
 
 var assert = require('assert-plus');
 var async = require('async');
+var hogan = require('hogan.js');
+var jsprim = require('jsprim');
+var restify = require('restify');
+var semver = require('semver');
 var util = require('util');
 var vasync = require('vasync');
 
 var sprintf = require('util').format;
 
+var mod_brands = require('./brands');
+var mod_patch = require('../common/patch');
+var mod_placement = require('./placement');
+
 
 
 module.exports = Attributes;
@@ -116,13 +124,127 @@ function setAttributes(obj, changes) {
 }
 
 
+/*
+ * Restore each attribute field to its value in an earlier revision of the
+ * object.  Fields which didn't exist in that revision are removed.
+ */
+function rollbackAttributes(obj, revision) {
+    assert.object(obj, 'obj');
+    assert.object(revision, 'revision');
+
+    FIELDS.forEach(function (field) {
+        if (revision[field] !== undefined)
+            obj[field] = revision[field];
+        else
+            delete obj[field];
+    });
+
+    return (obj);
+}
+
+
+/*
+ * The patch actions: a JSON Patch (RFC 6902) or JSON merge patch (RFC 7396)
+ * given as change.patch, applied to a document holding just the attribute
+ * fields, so that for example "/metadata/SIZE" or "/params/networks/-" is a
+ * path in a JSON Patch.  Either returns an error if the patch can't be applied.
+ */
+function patchFields(obj, patched) {
+    if (patched instanceof Error)
+        return (patched);
+
+    for (var i = 0; i < FIELDS.length; i++) {
+        var val = patched[FIELDS[i]];
+        if (val !== undefined && (typeof (val) !== 'object' || val === null ||
+            Array.isArray(val))) {
+            return (new restify.InvalidArgumentError(sprintf(
+                '%s must be an object', FIELDS[i])));
+        }
+    }
+
+    FIELDS.forEach(function (field) {
+        if (patched[field] !== undefined)
+            obj[field] = patched[field];
+        else
+            delete obj[field];
+    });
+
+    return (obj);
+}
+
+function pickFields(obj) {
+    var fields = {};
+
+    FIELDS.forEach(function (field) {
+        if (obj[field] !== undefined)
+            fields[field] = obj[field];
+    });
+
+    return (fields);
+}
+
+function jsonPatchAttributes(obj, change) {
+    assert.object(obj, 'obj');
+    assert.object(change, 'change');
+
+    var patch = change.patch;
+
+    if (Array.isArray(patch)) {
+        for (var i = 0; i < patch.length; i++) {
+            var op = patch[i] || {};
+            var paths = [ op.path, op.from ].map(mod_patch.parsePointer);
+
+            if (paths.some(function (tokens) {
+                return (tokens !== null &&
+                    FIELDS.indexOf(tokens[0]) === -1);
+            })) {
+                return (new restify.InvalidArgumentError(sprintf(
+                    'patch operation %d: paths must be within %s', i,
+                    FIELDS.join(', '))));
+            }
+        }
+    }
+
+    return (patchFields(obj, mod_patch.applyJsonPatch(pickFields(obj),
+        patch)));
+}
+
+function mergePatchAttributes(obj, change) {
+    assert.object(obj, 'obj');
+    assert.object(change, 'change');
+
+    var patch = change.patch;
+
+    if (typeof (patch) !== 'object' || patch === null ||
+        Array.isArray(patch)) {
+        return (new restify.InvalidArgumentError(
+            'a merge patch must be an object'));
+    }
+
+    var unknown = Object.keys(patch).filter(function (key) {
+        return (FIELDS.indexOf(key) === -1);
+    });
+    if (unknown.length > 0) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'merge patch may only change %s, not %s', FIELDS.join(', '),
+            unknown.join(', '))));
+    }
+
+    return (patchFields(obj, mod_patch.applyMergePatch(pickFields(obj),
+        patch)));
+}
+
+
 Attributes.prototype.applyChange = function applyChange(obj, change, action) {
     assert.object(obj, 'obj');
     assert.object(change, 'change');
     assert.ok(action === 'update' ||
         action === 'replace' ||
         action === 'delete' ||
-        action === 'set');
+        action === 'set' ||
+        action === 'rollback' ||
+        action === 'json-patch' ||
+        action === 'merge-patch');
 
     var updatefunc;
     if (action === 'update') {
@@ -133,11 +255,84 @@ Attributes.prototype.applyChange = function applyChange(obj, change, action) {
         updatefunc = deleteAttributes;
     } else if (action === 'set') {
         updatefunc = setAttributes;
+    } else if (action === 'rollback') {
+        updatefunc = rollbackAttributes;
+    } else if (action === 'json-patch') {
+        updatefunc = jsonPatchAttributes;
+    } else if (action === 'merge-patch') {
+        updatefunc = mergePatchAttributes;
     }
 
     return (updatefunc(obj, change));
 };
 
+/*
+ * List the keys which differ between two objects as { key, before, after }.
+ * Keys which were added have no "before", and keys which were removed have no
+ * "after".
+ */
+function diffKeys(a, b) {
+    var keys = Object.keys(a);
+    Object.keys(b).forEach(function (key) {
+        if (keys.indexOf(key) === -1)
+            keys.push(key);
+    });
+
+    var changes = [];
+    keys.forEach(function (key) {
+        if (a[key] === undefined && b[key] === undefined)
+            return;
+        if (a[key] !== undefined && b[key] !== undefined &&
+            jsprim.deepEqual(a[key], b[key])) {
+            return;
+        }
+
+        var change = { key: key };
+        if (a[key] !== undefined)
+            change.before = a[key];
+        if (b[key] !== undefined)
+            change.after = b[key];
+        changes.push(change);
+    });
+
+    return (changes);
+}
+
+/*
+ * Compute the differences between two versions of an object.  Each key in one
+ * of the attribute fields (params, metadata, ...) which was added, removed or
+ * changed is reported separately as { field, key, before, after }; any other
+ * top-level property is reported as { key, before, after }.  Keys which were
+ * added have no "before", and keys which were removed have no "after".
+ *
+ * Either version may be null, as for an object which was just created or
+ * destroyed.
+ */
+Attributes.prototype.diffAttributes = function diffAttributes(before, after) {
+    assert.optionalObject(before, 'before');
+    assert.optionalObject(after, 'after');
+
+    before = before || {};
+    after = after || {};
+
+    var others = {};
+    FIELDS.forEach(function (field) {
+        others[field] = undefined;
+    });
+
+    var changes = diffKeys(jsprim.mergeObjects(before, others),
+        jsprim.mergeObjects(after, others));
+
+    FIELDS.forEach(function (field) {
+        diffKeys(before[field] || {}, after[field] || {}).forEach(
+            function (change) {
+            changes.push(jsprim.mergeObjects({ field: field }, change));
+        });
+    });
+
+    return (changes);
+};
+
 
 function assemble(app, svc, inst, field) {
     var obj = {};
@@ -172,6 +367,7 @@ function assemble(app, svc, inst, field) {
  * override the service parameters, and the service parameters override the
  * application parameters.
  */
+Attributes.prototype.assembleAttributes = assembleAttributes;
 function assembleAttributes(app, svc, inst) {
     var attributes = {};
 
@@ -186,20 +382,38 @@ function assembleAttributes(app, svc, inst) {
 
 // -- Manifest and metadata manipulation
 
-function resolveManifests(manifests, cb) {
+/*
+ * Each of an object's manifests is referred to either by UUID, or by name and
+ * (optionally) a semver range of versions; see Model.resolveManifest().
+ */
+function resolveManifests(manifests, cache, cb) {
     var self = this;
 
     assert.object(manifests, 'manifests');
+    assert.optionalObject(cache, 'cache');
 
-    var uuids = [];
-    Object.keys(manifests).forEach(function (key) {
-        assert.string(manifests[key], 'manifests[key]');
-        uuids.push(manifests[key]);
+    var refs = Object.keys(manifests).map(function (key) {
+        return (manifests[key]);
     });
 
+    function resolve(ref, subcb) {
+        var key = JSON.stringify(ref);
+
+        if (cache && cache.hasOwnProperty(key)) {
+            subcb(null, cache[key]);
+            return;
+        }
+
+        self.model.resolveManifest(ref, function (err, manifest) {
+            if (!err && cache)
+                cache[key] = manifest;
+            subcb(err, manifest);
+        });
+    }
+
     vasync.forEachParallel({
-        func: self.model.getManifest.bind(self.model),
-        inputs: uuids
+        func: resolve,
+        inputs: refs
     }, function (err, results) {
         if (err)
             return (cb(err));
@@ -232,6 +446,7 @@ function sanitizeMetadata(metadata) {
     return (customer_metadata);
 }
 
+Attributes.prototype.getParentObjects = getParentObjects;
 function getParentObjects(uuid, cb) {
     var self = this;
 
@@ -267,6 +482,68 @@ function getParentObjects(uuid, cb) {
     });
 }
 
+/*
+ * Generate the zone parameters for an instance from the instance and its
+ * parent service and application.  There is no zone for an agent service type,
+ * so agent instances have empty params.
+ */
+function zoneParams(objs) {
+    assert.object(objs, 'objs');
+    assert.object(objs.application, 'objs.application');
+    assert.object(objs.service, 'objs.service');
+    assert.object(objs.instance, 'objs.instance');
+
+    if (objs.instance.type === 'agent')
+        return ({});
+
+    var attributes = assembleAttributes(
+        objs.application, objs.service, objs.instance);
+
+    var params = attributes.params;
+    params.owner_uuid = objs.application.owner_uuid;
+    params.uuid = objs.instance.uuid;
+
+    mod_brands.zoneParams(params);
+
+    // The placement policy is SAPI's alone; see placement.js.
+    delete params.placement;
+
+    // SERVER_UUID and ZONE_UUID are **deprecated**. See SAPI-248.
+    // When (either manually, or codified in `sdcadm`) we know that
+    // all components using these have been upgraded, then we
+    // can remove this from SAPI.
+    attributes.metadata.SERVER_UUID = params.server_uuid;
+    attributes.metadata.ZONE_UUID = objs.instance.uuid;
+
+    params.customer_metadata =
+        sanitizeMetadata(attributes.metadata);
+
+    /*
+     * In VMAPI`validNetworks() the following formats are supported:
+     * [ 'uuid1', 'uuid2' ]  (legacy)
+     * [ { uuid: 'uuid1', ... }, { uuid: 'uuid2', ... } ]
+     * [ { name: 'network name 1'}, { name: 'network name 2'} ]
+     */
+    if (params.networks) {
+        var nets = [];
+        params.networks.forEach(function (net) {
+            if (typeof (net) === 'string') {
+                if (validUUID(net)) {
+                    nets.push({'uuid': net});
+                } else {
+                    nets.push({'name': net});
+                }
+            } else {
+                assert.object(net, 'net');
+                nets.push(net);
+            }
+        });
+        params.networks = nets;
+    }
+
+    return (params);
+}
+
 Attributes.prototype.generateZoneParams = generateZoneParams;
 function generateZoneParams(uuid, cb) {
     var self = this;
@@ -275,71 +552,69 @@ function generateZoneParams(uuid, cb) {
     assert.string(uuid, 'instance uuid');
     assert.func(cb, 'cb');
 
-    async.waterfall([
-        function (subcb) {
-            getParentObjects.call(self, uuid, subcb);
-        },
-        function (objs, subcb) {
-            /*
-             * There is no zone for an agent service type, so we
-             * return an empty params object
-             */
-            if (objs.instance.type === 'agent') {
-                log.info('no generateZoneParams for %s, ' +
-                    'service type agent', uuid);
-                subcb(null, {});
-                return;
-            }
+    getParentObjects.call(self, uuid, function (err, objs) {
+        if (err)
+            return (cb(err));
 
-            var attributes = assembleAttributes(
-                objs.application, objs.service, objs.instance);
+        if (objs.instance.type === 'agent') {
+            log.info('no generateZoneParams for %s, ' +
+                'service type agent', uuid);
+        }
 
-            var params = attributes.params;
-            params.owner_uuid = objs.application.owner_uuid;
-            params.uuid = objs.instance.uuid;
+        return (cb(null, zoneParams(objs)));
+    });
+}
 
-            /*
-             * SAPI only supports the joyent-minimal brand.
-             */
-            params.brand = 'joyent-minimal';
+/*
+ * Generate the configuration (metadata and resolved manifests) for an instance
+ * from the instance and its parent service and application.  If a cache object
+ * is given, resolved manifests are kept there for subsequent calls.
+ */
+function zoneConfig(objs, cache, cb) {
+    var self = this;
 
-            // SERVER_UUID and ZONE_UUID are **deprecated**. See SAPI-248.
-            // When (either manually, or codified in `sdcadm`) we know that
-            // all components using these have been upgraded, then we
-            // can remove this from SAPI.
-            attributes.metadata.SERVER_UUID = params.server_uuid;
-            attributes.metadata.ZONE_UUID = objs.instance.uuid;
+    assert.object(objs, 'objs');
+    assert.optionalObject(cache, 'cache');
+    assert.func(cb, 'cb');
 
-            params.customer_metadata =
-                sanitizeMetadata(attributes.metadata);
+    var attributes = assembleAttributes(
+        objs.application, objs.service, objs.instance);
 
-            /*
-             * In VMAPI`validNetworks() the following formats are supported:
-             * [ 'uuid1', 'uuid2' ]  (legacy)
-             * [ { uuid: 'uuid1', ... }, { uuid: 'uuid2', ... } ]
-             * [ { name: 'network name 1'}, { name: 'network name 2'} ]
-             */
-            if (params.networks) {
-                var nets = [];
-                params.networks.forEach(function (net) {
-                    if (typeof (net) === 'string') {
-                        if (validUUID(net)) {
-                            nets.push({'uuid': net});
-                        } else {
-                            nets.push({'name': net});
-                        }
-                    } else {
-                        assert.object(net, 'net');
-                        nets.push(net);
-                    }
-                });
-                params.networks = nets;
-            }
+    var params = attributes.params;
 
-            subcb(null, params);
-            return;
-        }
-    ], cb);
+    // SERVER_UUID, INSTANCE_UUID and ZONE_UUID are **deprecated**. See
+    // SAPI-248. When (either manually, or codified in `sdcadm`) we know
+    // that all components using these have been upgraded, then we can
+    // remove this from SAPI.
+    attributes.metadata.SERVER_UUID =
+        params.server_uuid || self.model.server_uuid;
+    attributes.metadata.ZONE_UUID = objs.instance.uuid;
+    attributes.metadata.INSTANCE_UUID = objs.instance.uuid;
+
+    resolveManifests.call(self, attributes.manifests, cache,
+        function (err, manifests) {
+        if (err)
+            return (cb(err));
+
+        assert.arrayOfObject(manifests);
+
+        var config = {
+            manifests: manifests,
+            metadata: attributes.metadata
+        };
+
+        /*
+         * It's a PITA to have the user-script in the
+         * zone's metadata.  It clutters up the log, and
+         * encourages consumers to use it in an
+         * inappropriate way.  The authoritative
+         * user-script will come from the metadata API,
+         * not SAPI.
+         */
+        delete config.metadata['user-script'];
+
+        return (cb(null, config));
+    });
 }
 
 Attributes.prototype.generateZoneConfig = generateZoneConfig;
@@ -349,74 +624,158 @@ function generateZoneConfig(uuid, cb) {
     assert.string(uuid, 'instance uuid');
     assert.func(cb, 'cb');
 
-    async.waterfall([
-        function (subcb) {
-            getParentObjects.call(self, uuid, subcb);
-        },
-        function (objs, subcb) {
-            var attributes = assembleAttributes(
-                objs.application, objs.service, objs.instance);
-
-            var params = attributes.params;
-
-            // SERVER_UUID, INSTANCE_UUID and ZONE_UUID are **deprecated**. See
-            // SAPI-248. When (either manually, or codified in `sdcadm`) we know
-            // that all components using these have been upgraded, then we can
-            // remove this from SAPI.
-            attributes.metadata.SERVER_UUID =
-                params.server_uuid || self.model.server_uuid;
-            attributes.metadata.ZONE_UUID = objs.instance.uuid;
-            attributes.metadata.INSTANCE_UUID = objs.instance.uuid;
-
-            resolveManifests.call(self, attributes.manifests,
-                function (err, manifests) {
-                if (err)
-                    return (cb(err));
-
-                assert.arrayOfObject(manifests);
-
-                var config = {
-                    manifests: manifests,
-                    metadata: attributes.metadata
-                };
-
-                /*
-                 * It's a PITA to have the user-script in the
-                 * zone's metadata.  It clutters up the log, and
-                 * encourages consumers to use it in an
-                 * inappropriate way.  The authoritative
-                 * user-script will come from the metadata API,
-                 * not SAPI.
-                 */
-                delete config.metadata['user-script'];
-
-                return (subcb(null, config));
-            });
-        }
-    ], cb);
+    getParentObjects.call(self, uuid, function (err, objs) {
+        if (err)
+            return (cb(err));
+
+        return (zoneConfig.call(self, objs, null, cb));
+    });
+}
+
+/*
+ * Compare the zone params and configuration of an instance before and after a
+ * change to it or one of its parents.  Both before and after are objects with
+ * the instance and its service and application, as for zoneParams().  The
+ * differences are reported as for diffAttributes(), with configuration
+ * manifests compared by name.
+ */
+Attributes.prototype.diffZone = function diffZone(before, after, cache, cb) {
+    var self = this;
+
+    assert.object(before, 'before');
+    assert.object(after, 'after');
+    assert.object(cache, 'cache');
+    assert.func(cb, 'cb');
+
+    function manifestsByName(config) {
+        var manifests = {};
+        config.manifests.forEach(function (m) {
+            manifests[m.name] = {
+                uuid: m.uuid,
+                version: m.version
+            };
+        });
+        return (manifests);
+    }
+
+    var configs = [];
+
+    async.forEachSeries([ before, after ], function (objs, subcb) {
+        zoneConfig.call(self, objs, cache, function (err, config) {
+            configs.push(config);
+            subcb(err);
+        });
+    }, function (err) {
+        if (err)
+            return (cb(err));
+
+        return (cb(null, {
+            params: diffKeys(zoneParams(before), zoneParams(after)),
+            metadata: diffKeys(configs[0].metadata, configs[1].metadata),
+            manifests: diffKeys(manifestsByName(configs[0]),
+                manifestsByName(configs[1]))
+        }));
+    });
+};
+
+/*
+ * Render a manifest's template against a zone's metadata, the same way the
+ * config-agent inside the zone does.  Rendering errors are reported on the
+ * result rather than returned, so that one bad manifest doesn't hide the rest.
+ */
+function renderManifest(manifest, view) {
+    var result = {
+        uuid: manifest.uuid,
+        name: manifest.name,
+        version: manifest.version,
+        path: manifest.path,
+        post_cmd: manifest.post_cmd
+    };
+
+    try {
+        if (typeof (manifest.template) !== 'string')
+            throw (new Error('template is not a string'));
+        result.contents = hogan.compile(manifest.template).render(view);
+    } catch (e) {
+        result.error = e.message;
+    }
+
+    return (result);
+}
+
+/*
+ * Render each of a zone's configuration manifests.  Besides the zone's
+ * metadata, templates can use the "auto" keys which the config-agent adds:
+ * SAPI only knows auto.ZONENAME and auto.SERVER_UUID; any others are computed
+ * inside the zone, and render as empty here.
+ */
+Attributes.prototype.renderZoneConfig = renderZoneConfig;
+function renderZoneConfig(uuid, cb) {
+    var self = this;
+
+    assert.string(uuid, 'instance uuid');
+    assert.func(cb, 'cb');
+
+    generateZoneConfig.call(self, uuid, function (err, config) {
+        if (err)
+            return (cb(err));
+
+        var view = jsprim.deepCopy(config.metadata);
+        view.auto = {
+            ZONENAME: uuid,
+            SERVER_UUID: config.metadata.SERVER_UUID
+        };
+
+        return (cb(null, config.manifests.map(function (manifest) {
+            return (renderManifest(manifest, view));
+        })));
+    });
 }
 
 
 // -- Validation helper functions
 
+function validManifestRef(ref) {
+    if (typeof (ref) === 'string')
+        return (true);
+
+    if (typeof (ref) !== 'object' || ref === null ||
+        typeof (ref.name) !== 'string') {
+        return (false);
+    }
+
+    return (ref.version === undefined ||
+        (typeof (ref.version) === 'string' &&
+        semver.validRange(ref.version) !== null));
+}
+
 function validManifests(manifests, cb) {
     var self = this;
 
     assert.object(manifests, 'manifests');
 
-    var uuids = [];
+    var refs = [];
+    var invalid = [];
     Object.keys(manifests).forEach(function (key) {
-        assert.string(manifests[key], 'manifests[key]');
-        uuids.push(manifests[key]);
+        if (validManifestRef(manifests[key]))
+            refs.push(manifests[key]);
+        else
+            invalid.push(key);
     });
 
+    if (invalid.length > 0) {
+        cb(new Error(sprintf('invalid manifest reference(s): %s',
+            invalid.join(', '))));
+        return;
+    }
+
     vasync.forEachParallel({
-        func: function (uuid, subcb) {
-            self.model.getManifest(uuid, function (err) {
+        func: function (ref, subcb) {
+            self.model.resolveManifest(ref, function (err) {
                 subcb(err);
             });
         },
-        inputs: uuids
+        inputs: refs
     }, function (err) {
         return (cb(err));
     });
@@ -461,6 +820,13 @@ Attributes.prototype.validate = function validate(obj, opts, cb) {
     log.debug({ obj: obj, opts: opts }, 'validating object');
 
     async.waterfall([
+        function (subcb) {
+            subcb(obj.params ? mod_brands.validateParams(obj.params) : null);
+        },
+        function (subcb) {
+            subcb(obj.params && obj.params.placement !== undefined ?
+                mod_placement.validatePlacement(obj.params.placement) : null);
+        },
         function (subcb) {
             /*
              * Only validate type for service objects
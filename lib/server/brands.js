@@ -0,0 +1,201 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/brands.js: the VM brands SAPI deploys instances as, and how each
+ *     brand shapes the zone parameters given to VMAPI.
+ *
+ * An instance's brand is its "brand" param, which like any other param may be
+ * set on its application, its service or the instance itself.  Instances
+ * without one are joyent-minimal zones, as SAPI has always deployed.
+ *
+ * Some params only apply to some brands: "kernel_version" to lx, and "disks",
+ * "vcpus" and "cpu_type" to the hardware virtualized (HVM) brands.  These are
+ * left out of the zone parameters of instances of other brands, so they may be
+ * set on an application or service whose instances are of several brands.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var restify = require('restify');
+
+var sprintf = require('util').format;
+
+var mod_errors = require('./errors');
+
+
+var DEFAULT_BRAND = 'joyent-minimal';
+
+/*
+ * For each brand, whether it's HVM, and the IMGAPI types (and, if it matters,
+ * operating systems) of the images its instances may be provisioned from.
+ */
+var BRANDS = {
+    'joyent-minimal': { hvm: false, types: [ 'zone-dataset' ],
+        os: [ 'smartos' ] },
+    'joyent': { hvm: false, types: [ 'zone-dataset' ], os: [ 'smartos' ] },
+    'lx': { hvm: false, types: [ 'lx-dataset' ], os: [ 'linux' ] },
+    'bhyve': { hvm: true, types: [ 'zvol' ] },
+    'kvm': { hvm: true, types: [ 'zvol' ] }
+};
+
+var LX_PARAMS = [ 'kernel_version' ];
+var HVM_PARAMS = [ 'disks', 'vcpus', 'cpu_type' ];
+
+/*
+ * Defaults for the params of HVM instances which VMAPI requires.
+ */
+var HVM_DEFAULTS = {
+    vcpus: 1
+};
+
+
+function brandOf(params) {
+    assert.object(params, 'params');
+
+    return (params.brand || DEFAULT_BRAND);
+}
+
+function isHVM(brand) {
+    assert.string(brand, 'brand');
+
+    return (BRANDS.hasOwnProperty(brand) && BRANDS[brand].hvm);
+}
+
+/*
+ * Check the brand-specific params of an application, service or instance,
+ * returning an InvalidArgumentError or null.  Only the object's own params are
+ * checked, as any of them may be overridden further down.
+ */
+function validateParams(params) {
+    assert.object(params, 'params');
+
+    var brands = Object.keys(BRANDS);
+
+    if (params.brand !== undefined && brands.indexOf(params.brand) === -1) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'invalid brand "%s": must be one of %s', params.brand,
+            brands.join(', '))));
+    }
+
+    if (params.kernel_version !== undefined &&
+        typeof (params.kernel_version) !== 'string') {
+        return (new restify.InvalidArgumentError(
+            'kernel_version must be a string'));
+    }
+
+    if (params.vcpus !== undefined &&
+        (typeof (params.vcpus) !== 'number' || params.vcpus < 1 ||
+        Math.floor(params.vcpus) !== params.vcpus)) {
+        return (new restify.InvalidArgumentError(
+            'vcpus must be a positive integer'));
+    }
+
+    if (params.disks !== undefined &&
+        (!Array.isArray(params.disks) || params.disks.length === 0 ||
+        !params.disks.every(function (disk) {
+            return (typeof (disk) === 'object' && disk !== null &&
+                !Array.isArray(disk));
+        }))) {
+        return (new restify.InvalidArgumentError(
+            'disks must be a non-empty array of objects'));
+    }
+
+    return (null);
+}
+
+/*
+ * Shape the assembled params of an instance into the zone parameters VMAPI
+ * expects for its brand.  The params are modified in place.
+ */
+function zoneParams(params) {
+    assert.object(params, 'params');
+
+    var brand = brandOf(params);
+    params.brand = brand;
+
+    if (brand !== 'lx') {
+        LX_PARAMS.forEach(function (key) {
+            delete params[key];
+        });
+    }
+
+    if (!isHVM(brand)) {
+        HVM_PARAMS.forEach(function (key) {
+            delete params[key];
+        });
+        return (params);
+    }
+
+    Object.keys(HVM_DEFAULTS).forEach(function (key) {
+        if (params[key] === undefined)
+            params[key] = HVM_DEFAULTS[key];
+    });
+
+    /*
+     * VMAPI takes an HVM instance's image as that of its boot disk, which is
+     * its first.
+     */
+    var disks = params.disks ? jsprim.deepCopy(params.disks) : [ {} ];
+    if (disks[0].image_uuid === undefined && params.image_uuid !== undefined)
+        disks[0].image_uuid = params.image_uuid;
+    if (disks[0].boot === undefined)
+        disks[0].boot = true;
+
+    params.disks = disks;
+    delete params.image_uuid;
+
+    return (params);
+}
+
+/*
+ * Check that an image (as IMGAPI describes it) can be used by an instance of
+ * the given brand, returning an InvalidImageError or null.
+ */
+function validateImage(brand, image) {
+    assert.string(brand, 'brand');
+    assert.object(image, 'image');
+
+    var spec = BRANDS[brand];
+    assert.object(spec, 'spec');
+
+    if (spec.types.indexOf(image.type) === -1) {
+        return (new mod_errors.InvalidImageError(sprintf(
+            'image %s is of type "%s", but %s instances need an image of ' +
+            'type %s', image.uuid, image.type, brand,
+            spec.types.join(' or '))));
+    }
+
+    if (spec.os && spec.os.indexOf(image.os) === -1) {
+        return (new mod_errors.InvalidImageError(sprintf(
+            'image %s is for os "%s", but %s instances need an image for %s',
+            image.uuid, image.os, brand, spec.os.join(' or '))));
+    }
+
+    return (null);
+}
+
+/*
+ * VMAPI can only reprovision zones, not HVM instances.
+ */
+function canReprovision(brand) {
+    return (!isHVM(brand));
+}
+
+
+module.exports = {
+    DEFAULT_BRAND: DEFAULT_BRAND,
+    brandOf: brandOf,
+    canReprovision: canReprovision,
+    isHVM: isHVM,
+    validateImage: validateImage,
+    validateParams: validateParams,
+    zoneParams: zoneParams
+};
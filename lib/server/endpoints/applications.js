@@ -23,6 +23,12 @@ function Applications() {}
 
 var APPLICATION_KEYS = ['name', 'owner_uuid'];
 
+// Indexed fields which lists may be sorted by
+var SORT_KEYS = [ 'uuid', 'name', 'owner_uuid' ];
+
+// Fields which lists may be filtered on
+var FILTER_KEYS = [ 'uuid', 'name', 'owner_uuid', 'params.*', 'metadata.*' ];
+
 Applications.create = function (req, res, next) {
     var model = this.model;
 
@@ -47,7 +53,9 @@ Applications.create = function (req, res, next) {
         return;
     }
 
-    model.createApplication(params, function (err, app) {
+    var opts = { req_id: req.getId() };
+
+    model.createApplication(params, opts, function (err, app) {
         if (err) {
             model.log.error(err, 'failed to create application');
             next(err);
@@ -63,13 +71,18 @@ Applications.create = function (req, res, next) {
 Applications.list = function (req, res, next) {
     var model = this.model;
 
-    var filters = {};
-    if (req.params.name)
-        filters.name = req.params.name;
-    if (req.params.owner_uuid)
-        filters.owner_uuid = req.params.owner_uuid;
+    var filters = common.filterParams(req, FILTER_KEYS);
+    if (filters instanceof Error) {
+        next(filters);
+        return;
+    }
+
+    var opts = common.pagingParams(req, SORT_KEYS);
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
 
-    var opts = {};
     if (req.include_master) {
         opts.include_master = true;
     }
@@ -89,11 +102,13 @@ Applications.list = function (req, res, next) {
 Applications.get = function (req, res, next) {
     var model = this.model;
 
-    model.getApplication(req.params.uuid, function (err, app) {
+    model.getApplication(req.params.uuid, function (err, app, etag) {
         if (err) {
             next(err);
             return;
         }
+        if (etag)
+            res.header('Etag', common.etagHeader(etag));
         res.send(app);
         next();
     });
@@ -128,13 +143,69 @@ Applications.update = function (req, res, next) {
         return;
     }
 
-    model.updateApplication(uuid, changes, action, function (err, app) {
+    var opts = { req_id: req.getId() };
+    opts.dry_run = common.booleanParam(req.params.dry_run);
+    opts.if_match = common.ifMatchParam(req);
+
+    model.updateApplication(uuid, changes, action, opts,
+        function (err, app, etag) {
         if (err) {
             model.log.error(err, 'failed to update application');
             next(err);
             return;
         }
 
+        if (etag)
+            res.header('Etag', common.etagHeader(etag));
+        res.send(app);
+        next();
+    });
+};
+
+Applications.patch = function (req, res, next) {
+    var model = this.model;
+
+    var patch = common.patchParams(req);
+    if (patch instanceof Error) {
+        next(patch);
+        return;
+    }
+
+    var opts = { req_id: req.getId() };
+    opts.dry_run = common.booleanParam(req.params.dry_run);
+    opts.if_match = common.ifMatchParam(req);
+
+    model.updateApplication(req.params.uuid, { patch: patch.patch },
+        patch.action, opts, function (err, app, etag) {
+        if (err) {
+            model.log.error(err, 'failed to patch application');
+            next(err);
+            return;
+        }
+
+        if (etag)
+            res.header('Etag', common.etagHeader(etag));
+        res.send(app);
+        next();
+    });
+};
+
+Applications.rollback = function (req, res, next) {
+    var model = this.model;
+
+    var opts = common.rollbackParams(req);
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
+
+    model.rollbackApplication(req.params.uuid, opts, function (err, app) {
+        if (err) {
+            model.log.error(err, 'failed to roll back application');
+            next(err);
+            return;
+        }
+
         res.send(app);
         next();
     });
@@ -143,7 +214,19 @@ Applications.update = function (req, res, next) {
 Applications.del = function (req, res, next) {
     var model = this.model;
 
-    model.delApplication(req.params.uuid, function (err) {
+    var opts = { req_id: req.getId() };
+    opts.cascade = common.booleanParam(req.params.cascade);
+    opts.if_match = common.ifMatchParam(req);
+
+    /*
+     * A cascading delete also tears down services, instances and their
+     * VMs, so give it the same hour-long timeout as CreateInstance.
+     */
+    if (opts.cascade) {
+        req.connection.setTimeout(60 * 60 * 1000);
+    }
+
+    model.delApplication(req.params.uuid, opts, function (err, results) {
         if (err && verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
             res.send(404);
             next();
@@ -154,7 +237,88 @@ Applications.del = function (req, res, next) {
             return;
         }
 
-        res.send(204);
+        if (opts.cascade) {
+            res.send(200, results);
+        } else {
+            res.send(204);
+        }
+        next();
+    });
+};
+
+Applications.exportApp = function (req, res, next) {
+    var model = this.model;
+
+    model.exportApplication(req.params.uuid, function (err, doc) {
+        if (err) {
+            model.log.error(err, 'failed to export application');
+            next(err);
+            return;
+        }
+
+        res.send(doc);
+        next();
+    });
+};
+
+Applications.importApp = function (req, res, next) {
+    var model = this.model;
+
+    var doc = {};
+    doc.version = req.params.version;
+    doc.application = req.params.application;
+    doc.services = req.params.services || [];
+    doc.instances = req.params.instances || [];
+    doc.manifests = req.params.manifests || [];
+
+    var opts = { req_id: req.getId() };
+    opts.dry_run = common.booleanParam(req.params.dry_run);
+    opts.skip_instances = common.booleanParam(req.params.skip_instances);
+
+    /*
+     * Importing instances may provision their VMs, so give it the same
+     * hour-long timeout as CreateInstance.
+     */
+    if (!opts.dry_run && !opts.skip_instances) {
+        req.connection.setTimeout(60 * 60 * 1000);
+    }
+
+    model.importApplication(doc, opts, function (err, results) {
+        if (err) {
+            model.log.error(err, 'failed to import application');
+            next(err);
+            return;
+        }
+
+        res.send(results);
+        next();
+    });
+};
+
+Applications.apply = function (req, res, next) {
+    var model = this.model;
+
+    var doc = req.body === undefined ? {} : req.body;
+
+    var opts = { req_id: req.getId() };
+    opts.plan = common.booleanParam(req.params.plan);
+
+    /*
+     * Applying may delete services along with their instances and VMs, so
+     * give it the same hour-long timeout as a cascading delete.
+     */
+    if (!opts.plan) {
+        req.connection.setTimeout(60 * 60 * 1000);
+    }
+
+    model.applyApplication(req.params.uuid, doc, opts, function (err, steps) {
+        if (err) {
+            model.log.error(err, 'failed to apply to application');
+            next(err);
+            return;
+        }
+
+        res.send(steps);
         next();
     });
 };
@@ -182,6 +346,32 @@ function attachTo(sapi, model) {
     sapi.put({ path: '/applications/:uuid', name: 'UpdateApplication' },
         Applications.update.bind(toModel));
 
+    // Patch an application
+    sapi.patch({ path: '/applications/:uuid', name: 'PatchApplication' },
+        Applications.patch.bind(toModel));
+
+    // Roll back an application
+    sapi.post({
+        path: '/applications/:uuid/rollback',
+        name: 'RollbackApplication' },
+    Applications.rollback.bind(toModel));
+
+    // Export an application, with everything under it
+    sapi.get({
+        path: '/applications/:uuid/export',
+        name: 'ExportApplication' },
+    Applications.exportApp.bind(toModel));
+
+    // Import an exported application
+    sapi.post({ path: '/applications/import', name: 'ImportApplication' },
+        Applications.importApp.bind(toModel));
+
+    // Bring an application to a declared state
+    sapi.post({
+        path: '/applications/:uuid/apply',
+        name: 'ApplyApplication' },
+    Applications.apply.bind(toModel));
+
     // Delete an application
     sapi.del({ path: '/applications/:uuid', name: 'DeleteApplication' },
         Applications.del.bind(toModel));
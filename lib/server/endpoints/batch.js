@@ -0,0 +1,219 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/endpoints/batch.js: SAPI endpoint to make a batch of changes to
+ *     applications, services, instances and manifests, all or nothing
+ */
+
+var restify = require('restify');
+var semver = require('semver');
+
+var sprintf = require('util').format;
+
+var validateParams =
+    require('./validation').validateParams;
+var common = require('./common');
+
+
+var ACTIONS = [ 'create', 'update', 'delete' ];
+
+// The actions an update may take, as with UpdateApplication and the like
+var UPDATE_ACTIONS = [ 'update', 'replace', 'delete' ];
+
+// The params of each type of object, and those it must be created with
+var CREATE_KEYS = {
+    application: [ 'uuid', 'name', 'owner_uuid', 'params', 'metadata',
+        'metadata_schema', 'manifests', 'master' ],
+    service: [ 'uuid', 'name', 'application_uuid', 'params', 'metadata',
+        'metadata_schema', 'manifests', 'master', 'type', 'desired_count' ],
+    instance: [ 'uuid', 'service_uuid', 'params', 'metadata',
+        'metadata_schema', 'manifests', 'master' ],
+    manifest: [ 'uuid', 'name', 'path', 'template', 'post_cmd', 'version',
+        'master' ]
+};
+var REQUIRED_KEYS = {
+    application: [ 'name', 'owner_uuid' ],
+    service: [ 'name', 'application_uuid' ],
+    instance: [ 'service_uuid' ],
+    manifest: [ 'name', 'path', 'template' ]
+};
+
+// The params of each type of object which may be updated
+var UPDATE_KEYS = {
+    application: [ 'params', 'metadata', 'metadata_schema', 'manifests',
+        'owner_uuid' ],
+    service: [ 'params', 'metadata', 'metadata_schema', 'manifests',
+        'desired_count' ],
+    instance: [ 'params', 'metadata', 'metadata_schema', 'manifests' ],
+    manifest: [ 'path', 'template', 'post_cmd', 'version' ]
+};
+
+
+function Batch() {}
+
+function isObject(val) {
+    return (typeof (val) === 'object' && val !== null && !Array.isArray(val));
+}
+
+function pickKeys(params, keys) {
+    var picked = {};
+
+    keys.forEach(function (key) {
+        if (params[key] !== undefined)
+            picked[key] = params[key];
+    });
+
+    return (picked);
+}
+
+/*
+ * Turn an operation as given to the Batch endpoint into one for the model's
+ * batch(), returning an error if it isn't valid.
+ */
+function parseOperation(op) {
+    if (!isObject(op))
+        return (new restify.InvalidArgumentError('must be an object'));
+
+    if (ACTIONS.indexOf(op.action) === -1) {
+        return (new restify.InvalidArgumentError(
+            'action must be one of ' + ACTIONS.join(', ')));
+    } else if (!CREATE_KEYS.hasOwnProperty(op.type)) {
+        return (new restify.InvalidArgumentError(
+            'type must be one of ' + Object.keys(CREATE_KEYS).join(', ')));
+    }
+
+    var params = op.params === undefined ? {} : op.params;
+    if (!isObject(params))
+        return (new restify.InvalidArgumentError('params must be an object'));
+
+    var parsed = { action: op.action, type: op.type };
+
+    if (op.action === 'create') {
+        parsed.object = pickKeys(params, CREATE_KEYS[op.type]);
+
+        var valError = validateParams({
+            keys: REQUIRED_KEYS[op.type],
+            params: parsed.object
+        });
+        if (valError)
+            return (valError);
+
+        if (op.etag !== undefined) {
+            return (new restify.InvalidArgumentError(
+                'an etag can\'t be given for a create'));
+        }
+    } else if (typeof (op.uuid) !== 'string') {
+        return (new restify.MissingParameterError(
+            'missing required keys: uuid'));
+    } else {
+        parsed.uuid = op.uuid;
+    }
+
+    if (op.action === 'update') {
+        parsed.changes = pickKeys(params, UPDATE_KEYS[op.type]);
+
+        if (op.type !== 'manifest') {
+            var action = params.action || 'update';
+            if (typeof (action) === 'string')
+                parsed.update_action = action.toLowerCase();
+            if (UPDATE_ACTIONS.indexOf(parsed.update_action) === -1) {
+                return (new restify.InvalidArgumentError(
+                    'params.action must be one of ' +
+                    UPDATE_ACTIONS.join(', ')));
+            }
+        }
+    }
+
+    /*
+     * Deleting desired_count only needs it to be given, with any value (see
+     * UpdateService).
+     */
+    var desired = parsed.object || parsed.changes;
+    if (desired && desired.desired_count !== undefined) {
+        desired.desired_count = parsed.update_action === 'delete' ? true :
+            common.integerParam('desired_count', desired.desired_count, 0);
+        if (desired.desired_count instanceof Error)
+            return (desired.desired_count);
+    }
+
+    var version = desired && op.type === 'manifest' ? desired.version : null;
+    if (version && !semver.valid(version))
+        return (new restify.InvalidArgumentError('invalid version'));
+
+    if (typeof (op.etag) === 'string')
+        parsed.if_match = [ op.etag ];
+    else if (Array.isArray(op.etag))
+        parsed.if_match = op.etag;
+
+    if (op.etag !== undefined && (!parsed.if_match ||
+        !parsed.if_match.every(function (etag) {
+            return (typeof (etag) === 'string');
+        }))) {
+        return (new restify.InvalidArgumentError(
+            'etag must be an etag or an array of them'));
+    }
+
+    // Etags may be given as they're sent in ETag headers, quoted
+    if (parsed.if_match)
+        parsed.if_match = parsed.if_match.map(common.unquoteEtag);
+
+    return (parsed);
+}
+
+Batch.make = function (req, res, next) {
+    var model = this.model;
+
+    var ops = req.params.operations;
+    if (!Array.isArray(ops) || ops.length === 0) {
+        next(new restify.InvalidArgumentError(
+            'operations must be a non-empty array'));
+        return;
+    }
+
+    var parsed = [];
+    for (var i = 0; i < ops.length; i++) {
+        var op = parseOperation(ops[i]);
+        if (op instanceof Error) {
+            op.message = sprintf('operation %d: %s', i, op.message);
+            if (isObject(op.body))
+                op.body.message = op.message;
+            next(op);
+            return;
+        }
+        parsed.push(op);
+    }
+
+    var opts = { req_id: req.getId() };
+
+    model.batch(parsed, opts, function (err, results) {
+        if (err) {
+            model.log.error(err, 'failed to make batch');
+            next(err);
+            return;
+        }
+
+        res.send(results);
+        next();
+    });
+};
+
+
+function attachTo(sapi, model) {
+    var toModel = {
+        model: model
+    };
+
+    // Make a batch of changes, all or nothing
+    sapi.post({ path: '/batch', name: 'Batch' },
+        Batch.make.bind(toModel));
+}
+
+exports.attachTo = attachTo;
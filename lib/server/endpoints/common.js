@@ -13,6 +13,14 @@
  */
 var restify = require('restify');
 
+var sprintf = require('util').format;
+
+
+/*
+ * The largest page of objects a List* endpoint will return.
+ */
+var MAX_LIMIT = 1000;
+
 function ensureMasterConfigLoaded(req, res, next) {
     var model = this.model;
 
@@ -31,6 +39,275 @@ function ensureMasterConfigLoaded(req, res, next) {
     next();
 }
 
+/*
+ * Boolean parameters arrive as strings when given in the query string, but
+ * as booleans when given in a JSON body.
+ */
+function booleanParam(val) {
+    return (val === true || val === 'true');
+}
+
+/*
+ * Times may be given either as milliseconds since the epoch or as an ISO 8601
+ * date string.  Returns the time in milliseconds, or an InvalidArgumentError.
+ */
+function timeParam(name, val) {
+    var time;
+
+    if (/^[0-9]+$/.test(val))
+        time = parseInt(val, 10);
+    else
+        time = Date.parse(val);
+
+    if (isNaN(time)) {
+        return (new restify.InvalidArgumentError(
+            sprintf('invalid %s: %s', name, val)));
+    }
+
+    return (time);
+}
+
+/*
+ * Parse the parameters common to the Rollback* endpoints: exactly one of a
+ * revision (the UUID of a history entry) or a time to roll back to.  Returns
+ * the options for the model's rollback functions, or an error.
+ */
+function rollbackParams(req) {
+    var opts = { req_id: req.getId() };
+
+    if (req.params.revision !== undefined &&
+        req.params.time !== undefined) {
+        return (new restify.InvalidArgumentError(
+            'only one of revision and time may be specified'));
+    }
+
+    if (req.params.revision !== undefined) {
+        opts.revision = String(req.params.revision);
+    } else if (req.params.time !== undefined) {
+        opts.time = timeParam('time', req.params.time);
+        if (opts.time instanceof Error)
+            return (opts.time);
+    } else {
+        return (new restify.MissingParameterError(
+            'one of revision or time is required'));
+    }
+
+    return (opts);
+}
+
+/*
+ * Integer parameters must be at least "min", and at most "max" if given.
+ * Returns the integer, or an InvalidArgumentError.
+ */
+function integerParam(name, val, min, max) {
+    var num = /^[0-9]+$/.test(val) ? parseInt(val, 10) : NaN;
+
+    if (isNaN(num) || num < min || (max !== undefined && num > max)) {
+        return (new restify.InvalidArgumentError(max === undefined ?
+            sprintf('%s must be an integer of at least %d: %s',
+                name, min, val) :
+            sprintf('%s must be an integer between %d and %d: %s',
+                name, min, max, val)));
+    }
+
+    return (num);
+}
+
+/*
+ * Parse the paging parameters common to the List* endpoints:
+ *
+ *     limit    at most this many objects (1 to 1000)
+ *     offset   skip this many objects
+ *     marker   only objects whose uuid comes after this one
+ *     sort     <field>[.ASC|.DESC], where <field> is one of "sortable"
+ *
+ * Whenever any of these is given, the results are sorted (by uuid, unless
+ * sort says otherwise).  Returns the paging options for the model's list
+ * functions, or an error.
+ */
+function pagingParams(req, sortable) {
+    var opts = {};
+    var params = req.params;
+
+    if (params.limit !== undefined) {
+        opts.limit = integerParam('limit', params.limit, 1, MAX_LIMIT);
+        if (opts.limit instanceof Error)
+            return (opts.limit);
+    }
+
+    if (params.offset !== undefined) {
+        opts.offset = integerParam('offset', params.offset, 0);
+        if (opts.offset instanceof Error)
+            return (opts.offset);
+    }
+
+    if (params.sort !== undefined) {
+        var parts = String(params.sort).split('.');
+        var order = (parts[1] || 'ASC').toUpperCase();
+
+        if (parts.length > 2 || sortable.indexOf(parts[0]) === -1 ||
+            (order !== 'ASC' && order !== 'DESC')) {
+            return (new restify.InvalidArgumentError(
+                sprintf('invalid sort: %s (must be one of %s, optionally ' +
+                    'followed by .ASC or .DESC)', params.sort,
+                    sortable.join(', '))));
+        }
+
+        opts.sort = { attribute: parts[0], order: order };
+    }
+
+    if (params.marker !== undefined) {
+        if (opts.offset !== undefined) {
+            return (new restify.InvalidArgumentError(
+                'only one of marker and offset may be specified'));
+        }
+        if (opts.sort && opts.sort.attribute !== 'uuid') {
+            return (new restify.InvalidArgumentError(
+                'marker may only be used when sorting by uuid'));
+        }
+        opts.marker = String(params.marker);
+    }
+
+    return (opts);
+}
+
+/*
+ * Parse the filters given to a List* endpoint.  "keys" are the attributes
+ * which may be filtered on; a key ending in ".*" allows any key nested
+ * within it, e.g. "params.*" allows "params.server_uuid".  For each key:
+ *
+ *     key=value            the attribute must equal value
+ *     key=v1&key=v2        the attribute must equal one of v1 or v2
+ *     key!=value           the attribute must not equal value
+ *
+ * and values may contain "*" wildcards.  Returns a filter map for the model's
+ * list functions (see lib/server/stor/filters.js), or an error.
+ */
+function filterParams(req, keys) {
+    var filters = {};
+
+    function allowed(key) {
+        return (keys.some(function (k) {
+            if (k.substr(-2) !== '.*')
+                return (key === k);
+
+            var prefix = k.substr(0, k.length - 1);
+            return (key.length > prefix.length &&
+                key.substr(0, prefix.length) === prefix);
+        }));
+    }
+
+    var names = Object.keys(req.params);
+    for (var i = 0; i < names.length; i++) {
+        var name = names[i];
+        var negated = name.substr(-1) === '!';
+        var key = negated ? name.substr(0, name.length - 1) : name;
+
+        if (!allowed(key))
+            continue;
+
+        var values = req.params[name];
+        if (!Array.isArray(values))
+            values = [ values ];
+
+        for (var j = 0; j < values.length; j++) {
+            if (typeof (values[j]) !== 'string') {
+                return (new restify.InvalidArgumentError(
+                    sprintf('invalid filter on %s', key)));
+            }
+        }
+
+        // An empty value, as in "name=", doesn't filter anything
+        values = values.filter(function (value) {
+            return (value !== '');
+        });
+        if (values.length === 0)
+            continue;
+
+        if (!filters[key])
+            filters[key] = {};
+        filters[key][negated ? 'ne' : 'eq'] = values;
+    }
+
+    return (filters);
+}
+
+/*
+ * The value of an ETag header for an object's etag: RFC 7232 has entity tags
+ * quoted.
+ */
+function etagHeader(etag) {
+    return ('"' + etag + '"');
+}
+
+/*
+ * An etag as a client gave it, quoted or not (or weak), as SAPI has it.
+ */
+function unquoteEtag(etag) {
+    return (etag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'));
+}
+
+/*
+ * Parse an If-Match header into the list of etags an object may have for an
+ * update or delete to go ahead, where "*" matches any.  Etags may be quoted or
+ * not.  Returns undefined when there's no If-Match header.
+ */
+function ifMatchParam(req) {
+    var header = req.headers['if-match'];
+    if (header === undefined)
+        return (undefined);
+
+    return (header.split(',').map(unquoteEtag).filter(function (etag) {
+        return (etag !== '');
+    }));
+}
+
+/*
+ * The media types a PATCH may be given as, and the update action of each.
+ */
+var PATCH_TYPES = {
+    'application/json-patch+json': 'json-patch',
+    'application/merge-patch+json': 'merge-patch'
+};
+
+/*
+ * Parse the body of a PATCH request, returning its update action and patch
+ * as { action, patch }, or an error.  The body parser leaves these media types
+ * alone, so the body is parsed here.
+ */
+function patchParams(req) {
+    var type = req.contentType();
+
+    if (!PATCH_TYPES.hasOwnProperty(type)) {
+        return (new restify.UnsupportedMediaTypeError(sprintf(
+            'a patch must be of type %s',
+            Object.keys(PATCH_TYPES).join(' or '))));
+    }
+
+    if (!req.body || req.body.length === 0)
+        return (new restify.InvalidContentError('a patch is required'));
+
+    var patch;
+    try {
+        patch = JSON.parse(req.body.toString('utf8'));
+    } catch (e) {
+        return (new restify.InvalidContentError(
+            'Invalid JSON: ' + e.message));
+    }
+
+    return ({ action: PATCH_TYPES[type], patch: patch });
+}
+
 module.exports = {
-    ensureMasterConfigLoaded: ensureMasterConfigLoaded
+    booleanParam: booleanParam,
+    ensureMasterConfigLoaded: ensureMasterConfigLoaded,
+    etagHeader: etagHeader,
+    filterParams: filterParams,
+    ifMatchParam: ifMatchParam,
+    integerParam: integerParam,
+    pagingParams: pagingParams,
+    patchParams: patchParams,
+    rollbackParams: rollbackParams,
+    timeParam: timeParam,
+    unquoteEtag: unquoteEtag
 };
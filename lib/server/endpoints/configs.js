@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -70,6 +70,24 @@ Configs.get = function (req, res, next) {
     });
 };
 
+Configs.render = function (req, res, next) {
+    var model = this.model;
+
+    var opts = {};
+    if (req.params.manifest_name !== undefined)
+        opts.manifest_name = req.params.manifest_name;
+
+    model.renderConfig(req.params.uuid, opts, function (err, rendered) {
+        if (err) {
+            model.log.error(err, 'failed to render config');
+            return (next(err));
+        }
+
+        res.send(rendered);
+        return (next());
+    });
+};
+
 // Allows us to first check the conditional request and then respond with the
 // config object when the etag conditions don't match
 function configResponse(req, res, next) {
@@ -88,6 +106,16 @@ function attachTo(sapi, model) {
         Configs.get.bind(toModel),
         restify.conditionalRequest(),
         configResponse);
+
+    // Render all of an instance's configuration files
+    sapi.get({ path: '/configs/:uuid/rendered', name: 'RenderConfigs' },
+        Configs.render.bind(toModel));
+
+    // Render one of an instance's configuration files
+    sapi.get({
+        path: '/configs/:uuid/rendered/:manifest_name',
+        name: 'RenderConfig' },
+    Configs.render.bind(toModel));
 }
 
 exports.attachTo = attachTo;
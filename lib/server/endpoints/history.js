@@ -0,0 +1,76 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/endpoints/history.js: SAPI endpoints to view the history of
+ *     changes made to SAPI objects
+ */
+
+var common = require('./common');
+
+function History() {}
+
+// Indexed fields which history may be sorted by
+var SORT_KEYS = [ 'started', 'uuid' ];
+
+History.list = function (req, res, next) {
+    var model = this.model;
+
+    var filters = {};
+    if (req.params.uuid)
+        filters.object_uuid = req.params.uuid;
+    if (req.params.type)
+        filters.object_type = req.params.type;
+
+    var keys = [ 'since', 'until' ];
+    for (var i = 0; i < keys.length; i++) {
+        var key = keys[i];
+
+        if (req.params[key] === undefined)
+            continue;
+
+        var time = common.timeParam(key, req.params[key]);
+        if (time instanceof Error) {
+            next(time);
+            return;
+        }
+        filters[key] = time;
+    }
+
+    var opts = common.pagingParams(req, SORT_KEYS);
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
+
+    model.listHistory(filters, opts, function (err, entries) {
+        if (err) {
+            model.log.error(err, 'failed to list history');
+            next(err);
+            return;
+        }
+
+        res.send(entries);
+        next();
+    });
+};
+
+
+function attachTo(sapi, model) {
+    var toModel = {
+        model: model
+    };
+
+    // List history entries
+    sapi.get({ path: '/history', name: 'ListHistory' },
+        History.list.bind(toModel));
+}
+
+exports.attachTo = attachTo;
@@ -0,0 +1,102 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/endpoints/images.js: SAPI endpoints to find images and import
+ *     them into the local IMGAPI
+ */
+
+var restify = require('restify');
+
+var common = require('./common');
+
+
+// Fields which searches may filter images on
+var FILTER_KEYS = [ 'name', 'version', 'os', 'type' ];
+
+
+function Images() {}
+
+Images.search = function (req, res, next) {
+    var model = this.model;
+
+    var filters = {};
+    for (var i = 0; i < FILTER_KEYS.length; i++) {
+        var key = FILTER_KEYS[i];
+        var val = req.params[key];
+
+        if (val === undefined || val === '')
+            continue;
+
+        if (typeof (val) !== 'string') {
+            next(new restify.InvalidArgumentError(
+                'invalid ' + key + ': must be given once'));
+            return;
+        }
+        filters[key] = val;
+    }
+
+    var opts = {
+        updates: common.booleanParam(req.params.updates)
+    };
+
+    model.searchImages(filters, opts, function (err, images) {
+        if (err) {
+            model.log.error(err, 'failed to search images');
+            next(err);
+            return;
+        }
+
+        res.send(images);
+        next();
+    });
+};
+
+Images.download = function (req, res, next) {
+    var model = this.model;
+
+    var opts = {};
+    if (req.params.source !== undefined) {
+        if (typeof (req.params.source) !== 'string') {
+            next(new restify.InvalidArgumentError(
+                'source must be a URL'));
+            return;
+        }
+        opts.source = req.params.source;
+    }
+
+    model.downloadImage(req.params.uuid, opts, function (err, image) {
+        if (err) {
+            model.log.error(err, 'failed to download image');
+            next(err);
+            return;
+        }
+
+        res.send(image);
+        next();
+    });
+};
+
+
+function attachTo(sapi, model) {
+    var toModel = {
+        model: model
+    };
+
+    // Search for images
+    sapi.get({ path: '/images', name: 'SearchImages' },
+        Images.search.bind(toModel));
+
+    // Import an image into the local IMGAPI
+    sapi.post({ path: '/images/:uuid', name: 'DownloadImage' },
+        Images.download.bind(toModel));
+}
+
+exports.attachTo = attachTo;
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -13,12 +13,17 @@
  */
 
 var applications = require('./applications');
+var batch = require('./batch');
 var cache = require('./cache');
 var configs = require('./configs');
+var history = require('./history');
+var images = require('./images');
 var instances = require('./instances');
 var manifests = require('./manifests');
 var mode = require('./mode');
+var operations = require('./operations');
 var ping = require('./ping');
+var reconcile = require('./reconcile');
 var services = require('./services');
 
 exports.attachTo = function (sapi, model) {
@@ -38,11 +43,16 @@ exports.attachTo = function (sapi, model) {
         });
 
     applications.attachTo(sapi, model);
+    batch.attachTo(sapi, model);
     cache.attachTo(sapi, model);
     configs.attachTo(sapi, model);
+    history.attachTo(sapi, model);
+    images.attachTo(sapi, model);
     instances.attachTo(sapi, model);
     manifests.attachTo(sapi, model);
     mode.attachTo(sapi, model);
+    operations.attachTo(sapi, model);
     ping.attachTo(sapi, model);
+    reconcile.attachTo(sapi, model);
     services.attachTo(sapi, model);
 };
@@ -24,6 +24,12 @@ function Instances() {}
 
 var INSTANCE_KEYS = ['service_uuid'];
 
+// Indexed fields which lists may be sorted by
+var SORT_KEYS = [ 'uuid', 'service_uuid', 'type' ];
+
+// Fields which lists may be filtered on
+var FILTER_KEYS = [ 'uuid', 'service_uuid', 'type', 'params.*', 'metadata.*' ];
+
 
 /*
  * accept-version aware instance object representation. Make sure to include any
@@ -35,6 +41,7 @@ function serialize(instance, version) {
         service_uuid: instance.service_uuid,
         params: instance.params,
         metadata: instance.metadata,
+        metadata_schema: instance.metadata_schema,
         manifests: instance.manifests,
         master: instance.master
     };
@@ -43,6 +50,10 @@ function serialize(instance, version) {
         obj.job_uuid = instance.job_uuid;
     }
 
+    if (instance.operation_uuid) {
+        obj.operation_uuid = instance.operation_uuid;
+    }
+
     if (semverGter(version, '2.0.0')) {
         obj.type = instance.type;
     }
@@ -91,6 +102,7 @@ Instances.create = function (req, res, next) {
 
     params.params = req.params.params;
     params.metadata = req.params.metadata;
+    params.metadata_schema = req.params.metadata_schema;
     params.manifests = req.params.manifests;
 
     params.master = req.params.master;
@@ -103,7 +115,12 @@ Instances.create = function (req, res, next) {
         return;
     }
 
-    model.createInstance(params, function (err, inst) {
+    var opts = {
+        req_id: req.getId(),
+        force: common.booleanParam(req.params.force)
+    };
+
+    model.createInstance(params, opts, function (err, inst) {
         if (err) {
             log.error(err, 'failed to create instance');
             return (next(err));
@@ -118,18 +135,23 @@ Instances.create = function (req, res, next) {
 Instances.list = function (req, res, next) {
     var model = this.model;
 
-    var filters = {};
-    addVersionFilters(filters, req.getVersion());
+    var filters = common.filterParams(req, FILTER_KEYS);
+    if (filters instanceof Error) {
+        next(filters);
+        return;
+    }
 
     // If service_uuid is passed then service.type is implied
-    if (req.params.service_uuid) {
+    if (filters.service_uuid)
         delete filters.type;
-        filters.service_uuid = req.params.service_uuid;
-    } else if (req.params.type) {
-        filters.type = req.params.type;
-    }
+    else if (!filters.type)
+        addVersionFilters(filters, req.getVersion());
 
-    var opts = {};
+    var opts = common.pagingParams(req, SORT_KEYS);
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
 
     if (req.include_master) {
         opts.include_master = true;
@@ -153,10 +175,12 @@ Instances.list = function (req, res, next) {
 Instances.get = function (req, res, next) {
     var model = this.model;
 
-    model.getInstance(req.params.uuid, function (err, inst) {
+    model.getInstance(req.params.uuid, function (err, inst, etag) {
         if (err)
             return (next(err));
 
+        if (etag)
+            res.header('Etag', common.etagHeader(etag));
         res.send(serialize(inst, req.getVersion()));
         return (next());
     });
@@ -187,6 +211,7 @@ Instances.update = function (req, res, next) {
     var changes = {};
     changes.params = req.params.params;
     changes.metadata = req.params.metadata;
+    changes.metadata_schema = req.params.metadata_schema;
     changes.manifests = req.params.manifests;
 
     /*
@@ -205,13 +230,59 @@ Instances.update = function (req, res, next) {
         return (next(new restify.InvalidArgumentError()));
     }
 
-    model.updateInstance(uuid, changes, action, function (err, inst) {
+    var opts = { req_id: req.getId() };
+    opts.dry_run = common.booleanParam(req.params.dry_run);
+    opts.if_match = common.ifMatchParam(req);
+
+    model.updateInstance(uuid, changes, action, opts,
+        function (err, inst, etag) {
         if (err) {
             model.log.error(err, 'failed to update instance');
             return (next(err));
         }
 
-        res.send(serialize(inst, req.getVersion()));
+        if (etag)
+            res.header('Etag', common.etagHeader(etag));
+
+        if (opts.dry_run) {
+            inst.object = serialize(inst.object, req.getVersion());
+            res.send(inst);
+        } else {
+            res.send(serialize(inst, req.getVersion()));
+        }
+        return (next());
+    });
+
+    return (null);
+};
+
+Instances.patch = function (req, res, next) {
+    var model = this.model;
+
+    var patch = common.patchParams(req);
+    if (patch instanceof Error)
+        return (next(patch));
+
+    var opts = { req_id: req.getId() };
+    opts.dry_run = common.booleanParam(req.params.dry_run);
+    opts.if_match = common.ifMatchParam(req);
+
+    model.updateInstance(req.params.uuid, { patch: patch.patch }, patch.action,
+        opts, function (err, inst, etag) {
+        if (err) {
+            model.log.error(err, 'failed to patch instance');
+            return (next(err));
+        }
+
+        if (etag)
+            res.header('Etag', common.etagHeader(etag));
+
+        if (opts.dry_run) {
+            inst.object = serialize(inst.object, req.getVersion());
+            res.send(inst);
+        } else {
+            res.send(serialize(inst, req.getVersion()));
+        }
         return (next());
     });
 
@@ -229,13 +300,92 @@ Instances.upgrade = function (req, res, next) {
         return;
     }
 
-    model.upgradeInstance(uuid, image_uuid, function (err, inst) {
+    var opts = {
+        force: common.booleanParam(req.params.force),
+        async: common.booleanParam(req.params.async)
+    };
+
+    /*
+     * As with CreateInstance, an upgrade can take a while, unless it's done
+     * asynchronously.
+     */
+    if (!opts.async)
+        req.connection.setTimeout(60 * 60 * 1000);
+
+    model.upgradeInstance(uuid, image_uuid, opts, function (err, inst) {
         if (err) {
             model.log.error(err, 'failed to upgrade instance');
             next(err);
             return;
         }
 
+        if (opts.async) {
+            // inst is the upgrade's operation
+            res.send(202, inst);
+        } else {
+            res.send(serialize(inst, req.getVersion()));
+        }
+        next();
+    });
+};
+
+Instances.control = function (req, res, next) {
+    var model = this.model;
+
+    var action = req.params.action;
+    if (action === undefined) {
+        next(new restify.MissingParameterError('missing action'));
+        return;
+    } else if (typeof (action) !== 'string') {
+        next(new restify.InvalidArgumentError('action must be given once'));
+        return;
+    }
+
+    var opts = {
+        req_id: req.getId(),
+        async: common.booleanParam(req.params.async)
+    };
+
+    /*
+     * As with DeleteInstance, this shouldn't take long, but may take longer
+     * than two minutes.
+     */
+    if (!opts.async)
+        req.connection.setTimeout(10 * 60 * 1000);
+
+    model.controlInstance(req.params.uuid, action, opts, function (err, inst) {
+        if (err) {
+            model.log.error(err, 'failed to %s instance', action);
+            next(err);
+            return;
+        }
+
+        if (opts.async) {
+            // inst is the action's operation
+            res.send(202, inst);
+        } else {
+            res.send(serialize(inst, req.getVersion()));
+        }
+        next();
+    });
+};
+
+Instances.rollback = function (req, res, next) {
+    var model = this.model;
+
+    var opts = common.rollbackParams(req);
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
+
+    model.rollbackInstance(req.params.uuid, opts, function (err, inst) {
+        if (err) {
+            model.log.error(err, 'failed to roll back instance');
+            next(err);
+            return;
+        }
+
         res.send(serialize(inst, req.getVersion()));
         next();
     });
@@ -252,9 +402,16 @@ Instances.del = function (req, res, next) {
      * Deleting an instance _should_ be relatively quick, so bump the
      * timeout to 10 minutes instead of the 60 for CreateInstance.
      */
-    req.connection.setTimeout(10 * 60 * 1000);
+    var opts = {
+        req_id: req.getId(),
+        async: common.booleanParam(req.params.async),
+        if_match: common.ifMatchParam(req)
+    };
+
+    if (!opts.async)
+        req.connection.setTimeout(10 * 60 * 1000);
 
-    model.delInstance(req.params.uuid, function (err) {
+    model.delInstance(req.params.uuid, opts, function (err, op) {
         if (err && verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
             res.send(404);
             next();
@@ -265,7 +422,10 @@ Instances.del = function (req, res, next) {
             return;
         }
 
-        res.send(204);
+        if (opts.async)
+            res.send(202, op);
+        else
+            res.send(204);
         next();
     });
 };
@@ -299,12 +459,26 @@ function attachTo(sapi, model) {
     sapi.put({ path: '/instances/:uuid', name: 'UpdateInstance' },
         Instances.update.bind(toModel));
 
+    // Patch an instance
+    sapi.patch({ path: '/instances/:uuid', name: 'PatchInstance' },
+        Instances.patch.bind(toModel));
+
+    // Start, stop or reboot an instance's VM
+    sapi.post({ path: '/instances/:uuid', name: 'ControlInstance' },
+        Instances.control.bind(toModel));
+
     // Upgrade an instance
     sapi.put({
         path: '/instances/:uuid/upgrade',
         name: 'UpgradeInstance' },
     Instances.upgrade.bind(toModel));
 
+    // Roll back an instance
+    sapi.post({
+        path: '/instances/:uuid/rollback',
+        name: 'RollbackInstance' },
+    Instances.rollback.bind(toModel));
+
     // Delete an instance
     sapi.del({ path: '/instances/:uuid', name: 'DeleteInstance' },
         Instances.del.bind(toModel));
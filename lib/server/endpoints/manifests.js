@@ -25,6 +25,12 @@ function Manifests() {}
 
 var MANIFEST_KEYS = ['name', 'path', 'template'];
 
+// Indexed fields which lists may be sorted by
+var SORT_KEYS = [ 'uuid', 'name', 'version' ];
+
+// Fields which lists may be filtered on
+var FILTER_KEYS = [ 'uuid', 'name', 'version' ];
+
 Manifests.create = function (req, res, next) {
     var model = this.model;
     var log = model.log;
@@ -54,7 +60,9 @@ Manifests.create = function (req, res, next) {
         return;
     }
 
-    model.createManifest(params, function (err, mfest) {
+    var opts = { req_id: req.getId() };
+
+    model.createManifest(params, opts, function (err, mfest) {
         if (err) {
             model.log.error(err, 'failed to create manifest');
             next(err);
@@ -70,12 +78,23 @@ Manifests.create = function (req, res, next) {
 Manifests.list = function (req, res, next) {
     var model = this.model;
 
-    var opts = {};
+    var filters = common.filterParams(req, FILTER_KEYS);
+    if (filters instanceof Error) {
+        next(filters);
+        return;
+    }
+
+    var opts = common.pagingParams(req, SORT_KEYS);
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
+
     if (req.include_master) {
         opts.include_master = true;
     }
 
-    model.listManifests(opts, function (err, mfests) {
+    model.listManifests(filters, opts, function (err, mfests) {
         if (err) {
             model.log.error(err, 'failed to list manifests');
             next(err);
@@ -101,10 +120,43 @@ Manifests.get = function (req, res, next) {
     });
 };
 
+Manifests.update = function (req, res, next) {
+    var model = this.model;
+    var log = model.log;
+
+    var changes = {};
+    changes.path = req.params.path;
+    changes.template = req.params.template;
+    changes.post_cmd = req.params.post_cmd;
+    changes.version = req.params.version;
+
+    if (changes.version && !semver.valid(changes.version)) {
+        log.error({ version: changes.version }, 'invalid version');
+        next(new restify.InvalidArgumentError('invalid version'));
+        return;
+    }
+
+    var opts = { req_id: req.getId() };
+
+    model.updateManifest(req.params.uuid, changes, opts,
+        function (err, mfest) {
+        if (err) {
+            model.log.error(err, 'failed to update manifest');
+            next(err);
+            return;
+        }
+
+        res.send(mfest);
+        next();
+    });
+};
+
 Manifests.del = function (req, res, next) {
     var model = this.model;
 
-    model.delManifest(req.params.uuid, function (err) {
+    var opts = { req_id: req.getId() };
+
+    model.delManifest(req.params.uuid, opts, function (err) {
         if (err && verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
             res.send(404);
             next();
@@ -139,6 +191,10 @@ function attachTo(sapi, model) {
     sapi.get({ path: '/manifests/:uuid', name: 'GetManifest' },
         Manifests.get.bind(toModel));
 
+    // Publish a new version of a manifest
+    sapi.put({ path: '/manifests/:uuid', name: 'UpdateManifest' },
+        Manifests.update.bind(toModel));
+
     // Delete a manifest
     sapi.del({ path: '/manifests/:uuid', name: 'DeleteManifest' },
         Manifests.del.bind(toModel));
@@ -0,0 +1,43 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/endpoints/operations.js: SAPI endpoints to follow long-running
+ *     operations
+ */
+
+function Operations() {}
+
+Operations.get = function (req, res, next) {
+    var model = this.model;
+
+    model.getOperation(req.params.uuid, function (err, op) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(op);
+        next();
+    });
+};
+
+
+function attachTo(sapi, model) {
+    var toModel = {
+        model: model
+    };
+
+    // Get an operation
+    sapi.get({ path: '/operations/:uuid', name: 'GetOperation' },
+        Operations.get.bind(toModel));
+}
+
+exports.attachTo = attachTo;
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -34,7 +34,9 @@ Ping.get = function (req, res, next) {
             res.send(storAvailable ? 200 : 500, {
                 'mode': proto_mode ? 'proto' : 'full',
                 'storType': model.stor.constructor.name,
-                'storAvailable': storAvailable
+                'storAvailable': storAvailable,
+                'buckets': model.stor.bucketStatus(),
+                'repairs': model.stor.repairStatus()
             });
             return (next());
         });
@@ -0,0 +1,96 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/endpoints/reconcile.js: SAPI endpoints to find and fix drift
+ *     between instances and their VMs
+ */
+
+var restify = require('restify');
+
+
+var ACTIONS = [ 'adopt', 'remove' ];
+
+
+function Reconcile() {}
+
+Reconcile.get = function (req, res, next) {
+    var model = this.model;
+
+    model.reconcile(function (err, report) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(report);
+        next();
+    });
+};
+
+Reconcile.fix = function (req, res, next) {
+    var model = this.model;
+
+    var action = req.params.action;
+    if (!action) {
+        next(new restify.MissingParameterError('missing action'));
+        return;
+    } else if (ACTIONS.indexOf(action) === -1) {
+        next(new restify.InvalidArgumentError(
+            'action must be one of ' + ACTIONS.join(', ')));
+        return;
+    }
+
+    var uuids = req.params.uuids;
+    if (typeof (uuids) === 'string')
+        uuids = uuids.split(',');
+    if (uuids !== undefined && (!Array.isArray(uuids) ||
+        !uuids.every(function (uuid) {
+            return (typeof (uuid) === 'string');
+        }))) {
+        next(new restify.InvalidArgumentError(
+            'uuids must be an array of UUIDs'));
+        return;
+    }
+
+    var opts = {
+        action: action,
+        uuids: uuids,
+        req_id: req.getId()
+    };
+
+    model.fixDrift(opts, function (err, results) {
+        if (err) {
+            model.log.error(err, 'failed to %s drifted instances', action);
+            next(err);
+            return;
+        }
+
+        res.send(results);
+        next();
+    });
+};
+
+
+function attachTo(sapi, model) {
+    var toModel = {
+        model: model
+    };
+
+    // Report drift between instances and VMs
+    sapi.get({ path: '/reconcile', name: 'GetDrift' },
+        Reconcile.get.bind(toModel));
+
+    // Adopt orphaned VMs or remove instances without VMs
+    sapi.post({ path: '/reconcile', name: 'Reconcile' },
+        Reconcile.fix.bind(toModel));
+}
+
+exports.attachTo = attachTo;
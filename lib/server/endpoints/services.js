@@ -24,6 +24,13 @@ function Services() {}
 
 var SERVICE_KEYS = ['name', 'application_uuid'];
 
+// Indexed fields which lists may be sorted by
+var SORT_KEYS = [ 'uuid', 'name', 'application_uuid', 'type' ];
+
+// Fields which lists may be filtered on
+var FILTER_KEYS = [ 'uuid', 'name', 'application_uuid', 'type', 'params.*',
+    'metadata.*' ];
+
 
 /*
  * accept-version aware service object representation. Make sure to include any
@@ -36,8 +43,10 @@ function serialize(svc, version) {
         application_uuid: svc.application_uuid,
         params: svc.params,
         metadata: svc.metadata,
+        metadata_schema: svc.metadata_schema,
         manifests: svc.manifests,
-        master: svc.master
+        master: svc.master,
+        desired_count: svc.desired_count
     };
 
     if (semverGter(version, '2.0.0')) {
@@ -71,6 +80,7 @@ Services.create = function (req, res, next) {
 
     params.params = req.params.params;
     params.metadata = req.params.metadata;
+    params.metadata_schema = req.params.metadata_schema;
     params.manifests = req.params.manifests;
 
     params.master = req.params.master;
@@ -84,7 +94,18 @@ Services.create = function (req, res, next) {
         return;
     }
 
-    model.createService(params, function (err, svc) {
+    if (req.params.desired_count !== undefined) {
+        params.desired_count = common.integerParam('desired_count',
+            req.params.desired_count, 0);
+        if (params.desired_count instanceof Error) {
+            next(params.desired_count);
+            return;
+        }
+    }
+
+    var opts = { req_id: req.getId() };
+
+    model.createService(params, opts, function (err, svc) {
         if (err) {
             model.log.error(err, 'failed to create service');
             next(err);
@@ -99,17 +120,21 @@ Services.create = function (req, res, next) {
 Services.list = function (req, res, next) {
     var model = this.model;
 
-    var filters = {};
-    addVersionFilters(filters, req.getVersion());
+    var filters = common.filterParams(req, FILTER_KEYS);
+    if (filters instanceof Error) {
+        next(filters);
+        return;
+    }
 
-    if (req.params.name)
-        filters.name = req.params.name;
-    if (req.params.application_uuid)
-        filters.application_uuid = req.params.application_uuid;
-    if (req.params.type)
-        filters.type = req.params.type;
+    if (!filters.type)
+        addVersionFilters(filters, req.getVersion());
+
+    var opts = common.pagingParams(req, SORT_KEYS);
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
 
-    var opts = {};
     if (req.include_master) {
         opts.include_master = true;
     }
@@ -130,15 +155,35 @@ Services.list = function (req, res, next) {
     });
 };
 
+/*
+ * Unlike ListServices, GetService also reports how many instances the service
+ * actually has, to compare with its desired_count.
+ */
 Services.get = function (req, res, next) {
     var model = this.model;
 
-    model.getService(req.params.uuid, function (err, svc) {
-        if (err)
-            return (next(err));
+    model.getService(req.params.uuid, function (err, svc, etag) {
+        if (err) {
+            next(err);
+            return;
+        }
 
-        res.send(serialize(svc, req.getVersion()));
-        return (next());
+        model.listInstances({ service_uuid: svc.uuid }, function (suberr,
+            insts) {
+            if (suberr) {
+                model.log.error(suberr, 'failed to list instances');
+                next(suberr);
+                return;
+            }
+
+            var obj = serialize(svc, req.getVersion());
+            obj.actual_count = insts.length;
+
+            if (etag)
+                res.header('Etag', common.etagHeader(etag));
+            res.send(obj);
+            next();
+        });
     });
 };
 
@@ -150,6 +195,7 @@ Services.update = function (req, res, next) {
     var changes = {};
     changes.params = req.params.params;
     changes.metadata = req.params.metadata;
+    changes.metadata_schema = req.params.metadata_schema;
     changes.manifests = req.params.manifests;
 
     /*
@@ -168,23 +214,226 @@ Services.update = function (req, res, next) {
         return (next(new restify.InvalidArgumentError()));
     }
 
-    model.updateService(uuid, changes, action, function (err, svc) {
+    /*
+     * Deleting desired_count only needs it to be given, with any value.
+     */
+    if (req.params.desired_count !== undefined) {
+        changes.desired_count = action === 'delete' ? true :
+            common.integerParam('desired_count', req.params.desired_count, 0);
+        if (changes.desired_count instanceof Error)
+            return (next(changes.desired_count));
+    }
+
+    var opts = { req_id: req.getId() };
+    opts.dry_run = common.booleanParam(req.params.dry_run);
+    opts.if_match = common.ifMatchParam(req);
+
+    model.updateService(uuid, changes, action, opts,
+        function (err, svc, etag) {
         if (err) {
             model.log.error(err, 'failed to update service');
             return (next(err));
         }
 
-        res.send(serialize(svc, req.getVersion()));
+        if (etag)
+            res.header('Etag', common.etagHeader(etag));
+
+        if (opts.dry_run) {
+            svc.object = serialize(svc.object, req.getVersion());
+            res.send(svc);
+        } else {
+            res.send(serialize(svc, req.getVersion()));
+        }
+        return (next());
+    });
+
+    return (null);
+};
+
+Services.patch = function (req, res, next) {
+    var model = this.model;
+
+    var patch = common.patchParams(req);
+    if (patch instanceof Error)
+        return (next(patch));
+
+    var opts = { req_id: req.getId() };
+    opts.dry_run = common.booleanParam(req.params.dry_run);
+    opts.if_match = common.ifMatchParam(req);
+
+    model.updateService(req.params.uuid, { patch: patch.patch }, patch.action,
+        opts, function (err, svc, etag) {
+        if (err) {
+            model.log.error(err, 'failed to patch service');
+            return (next(err));
+        }
+
+        if (etag)
+            res.header('Etag', common.etagHeader(etag));
+
+        if (opts.dry_run) {
+            svc.object = serialize(svc.object, req.getVersion());
+            res.send(svc);
+        } else {
+            res.send(serialize(svc, req.getVersion()));
+        }
         return (next());
     });
 
     return (null);
 };
 
+Services.rollback = function (req, res, next) {
+    var model = this.model;
+
+    var opts = common.rollbackParams(req);
+    if (opts instanceof Error) {
+        next(opts);
+        return;
+    }
+
+    model.rollbackService(req.params.uuid, opts, function (err, svc) {
+        if (err) {
+            model.log.error(err, 'failed to roll back service');
+            next(err);
+            return;
+        }
+
+        res.send(serialize(svc, req.getVersion()));
+        next();
+    });
+};
+
+Services.upgrade = function (req, res, next) {
+    var model = this.model;
+
+    var image_uuid = req.params.image_uuid;
+    if (!image_uuid) {
+        next(new restify.MissingParameterError('missing image_uuid'));
+        return;
+    }
+
+    var opts = { req_id: req.getId() };
+    opts.force = common.booleanParam(req.params.force);
+
+    if (req.params.concurrency !== undefined) {
+        opts.concurrency = common.integerParam('concurrency',
+            req.params.concurrency, 1);
+        if (opts.concurrency instanceof Error) {
+            next(opts.concurrency);
+            return;
+        }
+    }
+
+    if (req.params.pause !== undefined) {
+        opts.pause = common.integerParam('pause', req.params.pause, 0);
+        if (opts.pause instanceof Error) {
+            next(opts.pause);
+            return;
+        }
+    }
+
+    model.upgradeService(req.params.uuid, image_uuid, opts,
+        function (err, op) {
+        if (err) {
+            model.log.error(err, 'failed to upgrade service');
+            next(err);
+            return;
+        }
+
+        res.send(202, op);
+        next();
+    });
+};
+
+Services.scale = function (req, res, next) {
+    var model = this.model;
+
+    if (req.params.count === undefined) {
+        next(new restify.MissingParameterError('missing count'));
+        return;
+    }
+
+    var count = common.integerParam('count', req.params.count, 0);
+    if (count instanceof Error) {
+        next(count);
+        return;
+    }
+
+    var opts = { req_id: req.getId() };
+
+    if (req.params.concurrency !== undefined) {
+        opts.concurrency = common.integerParam('concurrency',
+            req.params.concurrency, 1);
+        if (opts.concurrency instanceof Error) {
+            next(opts.concurrency);
+            return;
+        }
+    }
+
+    model.scaleService(req.params.uuid, count, opts, function (err, op) {
+        if (err) {
+            model.log.error(err, 'failed to scale service');
+            next(err);
+            return;
+        }
+
+        res.send(202, op);
+        next();
+    });
+};
+
+Services.control = function (req, res, next) {
+    var model = this.model;
+
+    var action = req.params.action;
+    if (action === undefined) {
+        next(new restify.MissingParameterError('missing action'));
+        return;
+    } else if (typeof (action) !== 'string') {
+        next(new restify.InvalidArgumentError('action must be given once'));
+        return;
+    }
+
+    var opts = { req_id: req.getId() };
+
+    if (req.params.concurrency !== undefined) {
+        opts.concurrency = common.integerParam('concurrency',
+            req.params.concurrency, 1);
+        if (opts.concurrency instanceof Error) {
+            next(opts.concurrency);
+            return;
+        }
+    }
+
+    model.controlService(req.params.uuid, action, opts, function (err, op) {
+        if (err) {
+            model.log.error(err, 'failed to %s service', action);
+            next(err);
+            return;
+        }
+
+        res.send(202, op);
+        next();
+    });
+};
+
 Services.del = function (req, res, next) {
     var model = this.model;
 
-    model.delService(req.params.uuid, function (err) {
+    var opts = { req_id: req.getId() };
+    opts.cascade = common.booleanParam(req.params.cascade);
+    opts.if_match = common.ifMatchParam(req);
+
+    /*
+     * A cascading delete also tears down instances and their VMs, so give it
+     * the same hour-long timeout as CreateInstance.
+     */
+    if (opts.cascade) {
+        req.connection.setTimeout(60 * 60 * 1000);
+    }
+
+    model.delService(req.params.uuid, opts, function (err, results) {
         if (err && verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
             res.send(404);
             next();
@@ -195,7 +444,11 @@ Services.del = function (req, res, next) {
             return;
         }
 
-        res.send(204);
+        if (opts.cascade) {
+            res.send(200, results);
+        } else {
+            res.send(204);
+        }
         next();
     });
 };
@@ -223,6 +476,32 @@ function attachTo(sapi, model) {
     sapi.put({ path: '/services/:uuid', name: 'UpdateService' },
         Services.update.bind(toModel));
 
+    // Patch a service
+    sapi.patch({ path: '/services/:uuid', name: 'PatchService' },
+        Services.patch.bind(toModel));
+
+    // Roll back a service
+    sapi.post({
+        path: '/services/:uuid/rollback',
+        name: 'RollbackService' },
+    Services.rollback.bind(toModel));
+
+    // Start, stop or reboot the VMs of all instances of a service
+    sapi.post({ path: '/services/:uuid', name: 'ControlService' },
+        Services.control.bind(toModel));
+
+    // Upgrade all instances of a service to a new image
+    sapi.post({
+        path: '/services/:uuid/upgrade',
+        name: 'UpgradeService' },
+        Services.upgrade.bind(toModel));
+
+    // Create or delete instances of a service to reach a given count
+    sapi.post({
+        path: '/services/:uuid/scale',
+        name: 'ScaleService' },
+        Services.scale.bind(toModel));
+
     // Delete a service
     sapi.del({ path: '/services/:uuid', name: 'DeleteService' },
         Services.del.bind(toModel));
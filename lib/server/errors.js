@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2015, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -88,6 +88,51 @@ util.inherits(ReprovisionFailedError, restify.RestError);
 module.exports.ReprovisionFailedError = ReprovisionFailedError;
 
 
+function StartFailedError(message) {
+    restify.RestError.call(this, {
+        restCode: 'StartFailedError',
+        statusCode: 500,
+        message: message,
+        constructorOpt: StartFailedError
+    });
+    this.name = 'StartFailedError';
+}
+
+util.inherits(StartFailedError, restify.RestError);
+
+module.exports.StartFailedError = StartFailedError;
+
+
+function StopFailedError(message) {
+    restify.RestError.call(this, {
+        restCode: 'StopFailedError',
+        statusCode: 500,
+        message: message,
+        constructorOpt: StopFailedError
+    });
+    this.name = 'StopFailedError';
+}
+
+util.inherits(StopFailedError, restify.RestError);
+
+module.exports.StopFailedError = StopFailedError;
+
+
+function RebootFailedError(message) {
+    restify.RestError.call(this, {
+        restCode: 'RebootFailedError',
+        statusCode: 500,
+        message: message,
+        constructorOpt: RebootFailedError
+    });
+    this.name = 'RebootFailedError';
+}
+
+util.inherits(RebootFailedError, restify.RestError);
+
+module.exports.RebootFailedError = RebootFailedError;
+
+
 function TeardownHookError(message) {
     restify.RestError.call(this, {
         restCode: 'TeardownHookError',
@@ -115,3 +160,170 @@ function SchemaValidationError(message) {
 util.inherits(SchemaValidationError, restify.RestError);
 
 module.exports.SchemaValidationError = SchemaValidationError;
+
+
+function ObjectInUseError(message) {
+    restify.RestError.call(this, {
+        restCode: 'ObjectInUseError',
+        statusCode: 409,
+        message: message,
+        constructorOpt: ObjectInUseError
+    });
+    this.name = 'ObjectInUseError';
+}
+
+util.inherits(ObjectInUseError, restify.RestError);
+
+module.exports.ObjectInUseError = ObjectInUseError;
+
+
+/*
+ * A cascading delete which could only be partially completed.  The body
+ * carries the per-object results so callers can see what was left behind.
+ */
+function CascadeDeleteError(message, results) {
+    restify.RestError.call(this, {
+        restCode: 'CascadeDeleteError',
+        statusCode: 500,
+        message: message,
+        body: {
+            code: 'CascadeDeleteError',
+            message: message,
+            results: results
+        },
+        constructorOpt: CascadeDeleteError
+    });
+    this.name = 'CascadeDeleteError';
+    this.results = results;
+}
+
+util.inherits(CascadeDeleteError, restify.RestError);
+
+module.exports.CascadeDeleteError = CascadeDeleteError;
+
+
+function TemplateRenderError(message) {
+    restify.RestError.call(this, {
+        restCode: 'TemplateRenderError',
+        statusCode: 409,
+        message: message,
+        constructorOpt: TemplateRenderError
+    });
+    this.name = 'TemplateRenderError';
+}
+
+util.inherits(TemplateRenderError, restify.RestError);
+
+module.exports.TemplateRenderError = TemplateRenderError;
+
+
+/*
+ * An image which doesn't exist in the local IMGAPI, or can't be used by the
+ * instance it was given for.
+ */
+function InvalidImageError(message) {
+    restify.RestError.call(this, {
+        restCode: 'InvalidImageError',
+        statusCode: 409,
+        message: message,
+        constructorOpt: InvalidImageError
+    });
+    this.name = 'InvalidImageError';
+}
+
+util.inherits(InvalidImageError, restify.RestError);
+
+module.exports.InvalidImageError = InvalidImageError;
+
+
+/*
+ * An operation which was cut short by a restart of SAPI, and couldn't be picked
+ * up where it left off.
+ */
+function OperationInterruptedError(message) {
+    restify.RestError.call(this, {
+        restCode: 'OperationInterruptedError',
+        statusCode: 500,
+        message: message,
+        constructorOpt: OperationInterruptedError
+    });
+    this.name = 'OperationInterruptedError';
+}
+
+util.inherits(OperationInterruptedError, restify.RestError);
+
+module.exports.OperationInterruptedError = OperationInterruptedError;
+
+
+/*
+ * No server satisfies an instance's placement policy.
+ */
+function PlacementFailedError(message) {
+    restify.RestError.call(this, {
+        restCode: 'PlacementFailedError',
+        statusCode: 409,
+        message: message,
+        constructorOpt: PlacementFailedError
+    });
+    this.name = 'PlacementFailedError';
+}
+
+util.inherits(PlacementFailedError, restify.RestError);
+
+module.exports.PlacementFailedError = PlacementFailedError;
+
+
+/*
+ * An object stored locally whose file doesn't hold valid JSON.
+ */
+function CorruptObjectError(message) {
+    restify.RestError.call(this, {
+        restCode: 'CorruptObjectError',
+        statusCode: 500,
+        message: message,
+        constructorOpt: CorruptObjectError
+    });
+    this.name = 'CorruptObjectError';
+}
+
+util.inherits(CorruptObjectError, restify.RestError);
+
+module.exports.CorruptObjectError = CorruptObjectError;
+
+
+/*
+ * A put given an etag found the object had changed (or been created or
+ * deleted) since; see LocalStorage.  Moray reports the same by this name.
+ */
+function EtagConflictError(message) {
+    restify.RestError.call(this, {
+        restCode: 'EtagConflictError',
+        statusCode: 409,
+        message: message,
+        constructorOpt: EtagConflictError
+    });
+    this.name = 'EtagConflictError';
+}
+
+util.inherits(EtagConflictError, restify.RestError);
+
+module.exports.EtagConflictError = EtagConflictError;
+
+
+/*
+ * A JSON Patch or merge patch couldn't be applied to an object as it is, such
+ * as when a "test" operation fails; see lib/common/patch.js.
+ */
+function PatchFailedError(message) {
+    restify.RestError.call(this, {
+        restCode: 'PatchFailedError',
+        statusCode: 409,
+        message: message,
+        constructorOpt: PatchFailedError
+    });
+    this.name = 'PatchFailedError';
+}
+
+util.inherits(PatchFailedError, restify.RestError);
+
+module.exports.PatchFailedError = PatchFailedError;
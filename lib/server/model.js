@@ -15,10 +15,12 @@
 
 var async = require('async');
 var assert = require('assert-plus');
+var jsprim = require('jsprim');
 var once = require('once');
 var restify = require('restify');
 var sdc = require('sdc-clients');
 var node_uuid = require('node-uuid');
+var semver = require('semver');
 var vasync = require('vasync');
 var verror = require('verror');
 
@@ -28,9 +30,14 @@ var VMAPIPlus = require('./vmapiplus');
 var LocalStorage = require('./stor/local');
 var MorayStorage = require('./stor/moray');
 var MorayLocalStorage = require('./stor/moray_local');
+var StagedStorage = require('./stor/staged');
+var loadAppObjects = require('./stor/app_objects');
 var TransitionStorage = require('./stor/transition');
 
+var mod_apply = require('./apply');
+var mod_brands = require('./brands');
 var mod_errors = require('./errors');
+var mod_placement = require('./placement');
 
 var exec = require('child_process').exec;
 var sprintf = require('util').format;
@@ -43,9 +50,55 @@ var BUCKETS = {
     applications: 'sapi_applications',
     services: 'sapi_services',
     instances: 'sapi_instances',
-    manifests: 'sapi_manifests'
+    manifests: 'sapi_manifests',
+    history: 'sapi_history',
+    operations: 'sapi_operations'
 };
 
+/*
+ * Object types as they're recorded in history entries, by bucket.
+ */
+var OBJECT_TYPES = {
+    sapi_applications: 'application',
+    sapi_services: 'service',
+    sapi_instances: 'instance',
+    sapi_manifests: 'manifest'
+};
+
+/*
+ * How many instances of a service are deleted at once when cascading a
+ * DeleteService or DeleteApplication.
+ */
+var CASCADE_DELETE_CONCURRENCY = 5;
+
+/*
+ * How many VMs are asked of VMAPI at once when reconciling instances.
+ */
+var VMAPI_PAGE_LIMIT = 1000;
+
+/*
+ * What may be done to an instance's VM with controlInstance().
+ */
+var LIFECYCLE_ACTIONS = [ 'start', 'stop', 'reboot' ];
+
+/*
+ * The bucket of each type of object which may be changed with batch().
+ */
+var BATCH_BUCKETS = {
+    application: BUCKETS.applications,
+    service: BUCKETS.services,
+    instance: BUCKETS.instances,
+    manifest: BUCKETS.manifests
+};
+
+/*
+ * The version of the documents made by exportApplication(), which is the only
+ * one importApplication() takes, and the fields of an object which an import
+ * updates.
+ */
+var EXPORT_VERSION = 1;
+var IMPORT_FIELDS = [ 'params', 'metadata', 'metadata_schema', 'manifests' ];
+
 
 // -- Constructor and initialization routines
 
@@ -75,6 +128,44 @@ function Model(config) {
     config.cnapi.log = this.log;
     config.imgapi.log = this.log;
 
+    /*
+     * The updates server is an upstream IMGAPI which SearchImages and
+     * DownloadImage may use to find images not yet in the local IMGAPI.
+     */
+    assert.optionalObject(config.updates, 'config.updates');
+    if (config.updates) {
+        assert.string(config.updates.url, 'config.updates.url');
+        assert.optionalString(config.updates.channel,
+            'config.updates.channel');
+        config.updates.log = this.log;
+    }
+
+    /*
+     * If a reconciliation interval is given, instances are periodically
+     * reconciled with their VMs (see reconcile()), and any drift logged.
+     */
+    assert.optionalObject(config.reconcile, 'config.reconcile');
+    if (config.reconcile)
+        assert.number(config.reconcile.interval, 'config.reconcile.interval');
+
+    /*
+     * The saves of each running operation still to be made, by operation
+     * UUID (see saveOperation()).
+     */
+    this.operation_saves = {};
+
+    /*
+     * The instance placements waiting to be made, by service UUID (see
+     * withPlacementLock()).
+     */
+    this.placements = {};
+
+    /*
+     * The instances being created whose provisions aren't yet tracked by an
+     * operation, by UUID (see reconcile()).
+     */
+    this.creating = {};
+
     config.moray.noCache = true;
     config.moray.connectTimeout = 1000;
     config.moray.reconnect = true;
@@ -203,6 +294,20 @@ Model.prototype.initClients = function (opts, cb) {
                 self.server_uuid = stdout.trim();
                 subcb();
             });
+        },
+        function resumeOps(subcb) {
+            /*
+             * Operations are resumed in the background, and a failure to
+             * find them shouldn't keep SAPI from starting.
+             */
+            self.resumeOperations(function () {
+                subcb();
+            });
+        },
+        function startReconcile(subcb) {
+            if (config.reconcile)
+                startReconciling.call(self, config.reconcile);
+            subcb();
         }
     ], function (err, _) {
         cb(err);
@@ -216,6 +321,8 @@ function initFullClients(config, cb) {
     self.vmapi = new sdc.VMAPI(config.vmapi);
     self.cnapi = new sdc.CNAPI(config.cnapi);
     self.imgapi = new sdc.IMGAPI(config.imgapi);
+    if (config.updates)
+        self.updates = new sdc.IMGAPI(config.updates);
 
     self.vmapiplus = new VMAPIPlus({
         vmapi: self.vmapi,
@@ -226,6 +333,8 @@ function initFullClients(config, cb) {
 }
 
 Model.prototype.close = function close(cb) {
+    if (this.reconcile_timer)
+        clearInterval(this.reconcile_timer);
     this.stor.close();
     cb();
 };
@@ -234,31 +343,407 @@ Model.prototype.close = function close(cb) {
 
 // -- Helper functions
 
+/*
+ * Get an object's value (or null, if there's no such object), along with its
+ * etag.
+ */
 function getObjectValue(bucket, uuid, cb) {
     this.stor.getObject(bucket, uuid, function (err, record) {
         if (err)
             return (cb(err));
 
-        var val = null;
-        if (record)
-            val = record.value;
+        if (!record)
+            return (cb(null, null));
+
+        return (cb(null, record.value, record.etag));
+    });
+}
+
+/*
+ * Whether an object's etag satisfies an If-Match precondition, given as the
+ * list of etags the object may have, where "*" matches any.
+ */
+function etagMatches(if_match, etag) {
+    assert.arrayOfString(if_match, 'if_match');
+
+    return (if_match.indexOf('*') !== -1 ||
+        (etag !== undefined && if_match.indexOf(etag) !== -1));
+}
+
+function preconditionFailed(bucket, uuid, etag) {
+    return (new restify.PreconditionFailedError(sprintf(
+        '%s %s has changed: its etag is now %s', OBJECT_TYPES[bucket], uuid,
+        etag)));
+}
+
+/*
+ * Check an If-Match precondition (see etagMatches()) before deleting an
+ * object, returning a PreconditionFailedError if it isn't met.  If there's no
+ * such object, that's left for the delete to report.
+ */
+function checkIfMatch(bucket, uuid, if_match, cb) {
+    assert.optionalArrayOfString(if_match, 'if_match');
+
+    if (if_match === undefined) {
+        setImmediate(cb);
+        return;
+    }
+
+    getObjectValue.call(this, bucket, uuid, function (err, obj, etag) {
+        if (!err && obj && !etagMatches(if_match, etag))
+            err = preconditionFailed(bucket, uuid, etag);
+        cb(err);
+    });
+}
+
+/*
+ * Report that an object changed between checking its etag and writing it: a
+ * PreconditionFailedError with its etag now, or if it's since been deleted, an
+ * ObjectNotFoundError.
+ */
+function etagConflict(bucket, uuid, cb) {
+    getObjectValue.call(this, bucket, uuid, function (err, obj, etag) {
+        if (!err && !obj) {
+            err = new mod_errors.ObjectNotFoundError(
+                'no such object: ' + uuid);
+        }
+        cb(err || preconditionFailed(bucket, uuid, etag));
+    });
+}
+
+/*
+ * Record a change to an object in the history bucket.  The history is only an
+ * audit trail, so failing to write an entry is logged but otherwise ignored;
+ * the callback never gets an error.
+ */
+function recordHistory(opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.bucket, 'opts.bucket');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.string(opts.action, 'opts.action');
+    assert.optionalObject(opts.before, 'opts.before');
+    assert.optionalObject(opts.after, 'opts.after');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.func(cb, 'cb');
+
+    /*
+     * When upgrading to full mode, every object is re-created in moray.  That
+     * isn't a change to the object, and its real history is copied over.
+     */
+    if (self.proto_transition) {
+        cb();
+        return;
+    }
+
+    var entry = {
+        uuid: node_uuid.v4(),
+        object_uuid: opts.uuid,
+        object_type: OBJECT_TYPES[opts.bucket],
+        action: opts.action,
+        req_id: opts.req_id,
+        started: Date.now(),
+        before: opts.before || null,
+        after: opts.after || null,
+        changes: self.attributes.diffAttributes(opts.before, opts.after)
+    };
+
+    self.stor.putObject(BUCKETS.history, entry.uuid, entry, function (err) {
+        if (err) {
+            log.warn({ err: err, entry: entry },
+                'failed to record history for %s', opts.uuid);
+        }
+
+        cb();
+    });
+}
+
+/*
+ * A service's desired_count (see scaleService()) is the number of instances it
+ * should have.  Returns an InvalidArgumentError or null.
+ */
+function validateDesiredCount(count) {
+    if (typeof (count) !== 'number' || count < 0 ||
+        Math.floor(count) !== count) {
+        return (new restify.InvalidArgumentError(
+            'desired_count must be a non-negative integer'));
+    }
+
+    return (null);
+}
+
+/*
+ * Apply a change to an object and validate the result, returning either the
+ * changed object or an error.  The object is modified in place.
+ */
+function changeObject(bucket, obj, change, action) {
+    obj = this.attributes.applyChange(obj, change, action);
+    if (obj instanceof Error)
+        return (obj);
+
+    if (obj.params) {
+        var invalid = mod_brands.validateParams(obj.params);
+        if (invalid === null && obj.params.placement !== undefined)
+            invalid = mod_placement.validatePlacement(obj.params.placement);
+        if (invalid !== null)
+            return (invalid);
+    }
+
+    /*
+     * If an application has a schema, verify it at this point.  A service's or
+     * instance's metadata is merged with that of the objects above it before
+     * it's checked; see validateMetadata().
+     */
+    if (bucket === BUCKETS.applications &&
+        'metadata_schema' in obj && 'metadata' in obj) {
+        var valid = validateSchema(obj['metadata_schema'],
+            obj['metadata']);
+        if (valid !== null)
+            return (valid);
+    }
+
+    /*
+     * A one-off for applications: consumers can update the
+     * owner_uuid of a particular application through the
+     * UpdateApplication endpoint.
+     */
+    if (bucket === BUCKETS.applications &&
+        change.owner_uuid) {
+        obj.owner_uuid = change.owner_uuid;
+    }
+
+    /*
+     * Likewise for a service's desired_count, which as a number isn't one of
+     * its attributes.  Like any property other than those, it's left alone by
+     * a rollback.
+     */
+    if (bucket === BUCKETS.services &&
+        change.desired_count !== undefined && action !== 'rollback') {
+        if (action === 'delete') {
+            delete obj.desired_count;
+        } else {
+            var badCount = validateDesiredCount(change.desired_count);
+            if (badCount !== null)
+                return (badCount);
+            obj.desired_count = change.desired_count;
+        }
+    }
+
+    return (obj);
+}
+
+/*
+ * Find the objects related to an application, service or instance: the
+ * application it belongs to, and the services and instances under it (or for
+ * an instance, the service it belongs to).  The object itself needn't have
+ * been stored yet, and its own value is used in place of any stored one.
+ */
+function findFamily(bucket, obj, cb) {
+    var self = this;
+
+    assert.string(bucket, 'bucket');
+    assert.object(obj, 'obj');
+    assert.func(cb, 'cb');
+
+    var family = {
+        application: null,
+        services: [],
+        instances: []
+    };
+    var listOpts = { include_master: true };
+
+    function done(err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, replaceInFamily(family, obj));
+    }
+
+    function listInstances(subcb) {
+        vasync.forEachParallel({
+            func: function (svc, subsubcb) {
+                self.listInstances({ service_uuid: svc.uuid }, listOpts,
+                    subsubcb);
+            },
+            inputs: family.services
+        }, function (err, results) {
+            if (err) {
+                subcb(err);
+                return;
+            }
+
+            results.successes.forEach(function (r) {
+                family.instances = family.instances.concat(r);
+            });
+            subcb();
+        });
+    }
+
+    if (bucket === BUCKETS.applications) {
+        family.application = obj;
+        self.listServices({ application_uuid: obj.uuid }, listOpts,
+            function (err, svcs) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            family.services = svcs;
+            listInstances(done);
+        });
+    } else if (bucket === BUCKETS.services) {
+        family.services = [ obj ];
+        self.getApplication(obj.application_uuid, function (err, app) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            family.application = app;
+            listInstances(done);
+        });
+    } else {
+        family.instances = [ obj ];
+        self.getService(obj.service_uuid, function (err, svc) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            family.services = [ svc ];
+            self.getApplication(svc.application_uuid,
+                function (suberr, app) {
+                family.application = app;
+                done(suberr);
+            });
+        });
+    }
+}
+
+/*
+ * Returns a copy of a family (see findFamily()) with the value of one of its
+ * objects replaced.
+ */
+function replaceInFamily(family, obj) {
+    function replace(o) {
+        return (o && o.uuid === obj.uuid ? obj : o);
+    }
+
+    return ({
+        application: replace(family.application),
+        services: family.services.map(replace),
+        instances: family.instances.map(replace)
+    });
+}
+
+/*
+ * Returns true if a change to an object could affect whether it or the objects
+ * under it satisfy their metadata schemas.  A new object has no "before".
+ */
+function metadataChanged(before, after) {
+    return (!before ||
+        !jsprim.deepEqual(before.metadata, after.metadata) ||
+        !jsprim.deepEqual(before.metadata_schema, after.metadata_schema));
+}
+
+/*
+ * Check the metadata of the services and instances in an object's family (see
+ * findFamily()).  The metadata of each, assembled as for its zone, must
+ * satisfy its own metadata_schema and those of the objects above it: an
+ * application's schema applies to the metadata of all its services and
+ * instances, and a service's to all its instances.  Only the object and those
+ * under it are checked.  Returns a SchemaValidationError naming the first
+ * object whose metadata doesn't, or null.
+ */
+function checkFamilyMetadata(bucket, family) {
+    var types = [ 'application', 'service', 'instance' ];
+    var app = family.application;
+    var chains = [];
+
+    if (bucket !== BUCKETS.instances) {
+        family.services.forEach(function (svc) {
+            chains.push([ app, svc ]);
+        });
+    }
+
+    family.instances.forEach(function (inst) {
+        var svc = family.services.filter(function (s) {
+            return (s.uuid === inst.service_uuid);
+        })[0];
+        chains.push([ app, svc, inst ]);
+    });
+
+    for (var i = 0; i < chains.length; i++) {
+        var chain = chains[i];
+        var obj = chain[chain.length - 1];
+        var metadata = this.attributes.assembleAttributes(chain[0],
+            chain[1], chain[2] || {}).metadata;
+
+        for (var j = 0; j < chain.length; j++) {
+            if (!chain[j].metadata_schema)
+                continue;
+
+            var err = validateSchema(chain[j].metadata_schema, metadata);
+            if (err !== null) {
+                return (new mod_errors.SchemaValidationError(sprintf(
+                    'metadata of %s %s does not match the metadata_schema ' +
+                    'of %s %s: %s', types[chain.length - 1], obj.uuid,
+                    types[j], chain[j].uuid, err.message)));
+            }
+        }
+    }
+
+    return (null);
+}
+
+/*
+ * Check that a new or changed object, and the objects under it, satisfy the
+ * metadata schemas which apply to them (see checkFamilyMetadata()).
+ */
+function validateMetadata(bucket, before, after, cb) {
+    var self = this;
+
+    assert.string(bucket, 'bucket');
+    assert.optionalObject(before, 'before');
+    assert.object(after, 'after');
+    assert.func(cb, 'cb');
 
-        return (cb(null, val));
+    if (!metadataChanged(before, after)) {
+        setImmediate(cb);
+        return;
+    }
+
+    findFamily.call(self, bucket, after, function (err, family) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(checkFamilyMetadata.call(self, bucket, family));
     });
 }
 
 Model.prototype.updateObject = updateObject;
-function updateObject(bucket, uuid, change, action, tries, cb) {
+function updateObject(bucket, uuid, change, action, tries, opts, cb) {
     var self = this;
     var log = self.log;
 
+    if (arguments.length === 6) {
+        cb = opts;
+        opts = {};
+    }
+
     assert.string(uuid, 'uuid');
     assert.object(change, 'change');
     assert.string(action, 'action');
     assert.ok(action === 'update' || action === 'replace' ||
-        action === 'delete' || action === 'set');
+        action === 'delete' || action === 'set' || action === 'rollback' ||
+        action === 'json-patch' || action === 'merge-patch');
+    assert.object(opts, 'opts');
     assert.func(cb, 'cb');
 
+    var before;
+
     log.debug({
         action: action,
         tries: tries
@@ -276,36 +761,36 @@ function updateObject(bucket, uuid, change, action, tries, cb) {
                 subcb(new Error(m));
                 return;
             }
-            var obj = self.attributes.applyChange(
-                record.value, change, action);
 
-            /*
-             * If a schema exists, verify it at this point.
-             */
-            if ('metadata_schema' in obj && 'metadata' in obj) {
-                var valid = validateSchema(obj['metadata_schema'],
-                    obj['metadata']);
-                if (valid !== null) {
-                    subcb(valid);
-                    return;
-                }
+            if (opts.if_match !== undefined &&
+                !etagMatches(opts.if_match, record.etag)) {
+                subcb(preconditionFailed(bucket, uuid, record.etag));
+                return;
             }
 
             /*
-             * A one-off for applications: consumers can update the
-             * owner_uuid of a particular application through the
-             * UpdateApplication endpoint.
+             * applyChange() modifies the object in place, so keep a copy of
+             * the original for the object's history.
              */
-            if (bucket === BUCKETS.applications &&
-                change.owner_uuid) {
-                obj.owner_uuid = change.owner_uuid;
+            before = jsprim.deepCopy(record.value);
+
+            var obj = changeObject.call(self, bucket, record.value, change,
+                action);
+            if (obj instanceof Error) {
+                subcb(obj);
+                return;
             }
 
-            var opts = {};
-            if (record._etag)
-                opts.etag = record._etag;
+            validateMetadata.call(self, bucket, before, obj, function (err) {
+                subcb(err, record, obj);
+            });
+        },
+        function (record, obj, subcb) {
+            var putOpts = {};
+            if (record.etag)
+                putOpts.etag = record.etag;
 
-            self.stor.putObject(bucket, uuid, obj, opts,
+            self.stor.putObject(bucket, uuid, obj, putOpts,
                 function (err) {
                 if (err && verror.hasCauseWithName(err, 'EtagConflictError') &&
                     tries > 0) {
@@ -320,7 +805,7 @@ function updateObject(bucket, uuid, change, action, tries, cb) {
                      */
                     setTimeout(updateObject.bind(self,
                         bucket, uuid, change, action,
-                        tries - 1, cb), 1000);
+                        tries - 1, opts, cb), 1000);
                     return;
                 } else if (err) {
                     log.error(err, 'failed to put object');
@@ -334,9 +819,23 @@ function updateObject(bucket, uuid, change, action, tries, cb) {
         function (subcb) {
             assert.func(subcb, 'subcb');
 
-            getObjectValue.call(self, bucket, uuid, subcb);
+            getObjectValue.call(self, bucket, uuid, function (err, obj, etag) {
+                subcb(err, obj, etag);
+            });
+        },
+        function (obj, etag, subcb) {
+            recordHistory.call(self, {
+                bucket: bucket,
+                uuid: uuid,
+                action: action,
+                before: before,
+                after: obj,
+                req_id: opts.req_id
+            }, function () {
+                subcb(null, obj, etag);
+            });
         }
-    ], function (err, obj) {
+    ], function (err, obj, etag) {
         if (err) {
             log.error(err, 'failed to update object');
             cb(err);
@@ -345,43 +844,555 @@ function updateObject(bucket, uuid, change, action, tries, cb) {
 
         log.debug('updated object %s', uuid);
 
-        cb(null, obj);
+        cb(null, obj, etag);
     });
 }
 
-
-// -- Applications
-
 /*
- * Create an application.  An application consists of an name and owner_uuid.
- *
- * @param app
- * @param options {Object} Optional argument with flags
- * @param cb {Function}
+ * Delete an object, recording its last value in the object's history.  Given
+ * opts.if_match (see etagMatches()), the object is only deleted if it still
+ * has the etag it was matched by when the delete is made, so a change made
+ * since it was checked fails the delete with a PreconditionFailedError.
  */
-Model.prototype.createApplication = function createApplication(
-    app, options, cb) {
+function deleteObject(bucket, uuid, opts, cb) {
     var self = this;
-    var log = self.log;
-
-    if (cb === undefined) {
-        cb = options;
-        options = {};
-    }
 
-    assert.object(app, 'app');
-    assert.string(app.name, 'app.name');
-    assert.string(app.owner_uuid, 'app.owner_uuid');
+    assert.string(bucket, 'bucket');
+    assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.if_match, 'opts.if_match');
+    assert.func(cb, 'cb');
 
-    assert.object(options, 'options');
+    getObjectValue.call(self, bucket, uuid, function (err, before, etag) {
+        if (err) {
+            cb(err);
+            return;
+        }
 
-    assert.optionalObject(app.params, 'app.params');
-    assert.optionalObject(app.metadata, 'app.metadata');
-    assert.optionalObject(app.metadata_schema, 'app.metadata_schema');
-    assert.optionalObject(app.manifests, 'app.manifests');
-    assert.optionalBool(app.master, 'app.master');
+        var delOpts = {};
+        if (before && opts.if_match !== undefined) {
+            if (!etagMatches(opts.if_match, etag)) {
+                cb(preconditionFailed(bucket, uuid, etag));
+                return;
+            }
+            if (opts.if_match.indexOf('*') === -1)
+                delOpts.etag = etag;
+        }
 
-    /*
+        self.stor.delObject(bucket, uuid, delOpts, function (suberr) {
+            if (suberr &&
+                verror.hasCauseWithName(suberr, 'EtagConflictError')) {
+                etagConflict.call(self, bucket, uuid, cb);
+                return;
+            } else if (suberr) {
+                cb(suberr);
+                return;
+            }
+
+            recordHistory.call(self, {
+                bucket: bucket,
+                uuid: uuid,
+                action: 'destroy',
+                before: before,
+                after: null,
+                req_id: opts.req_id
+            }, function () {
+                cb();
+            });
+        });
+    });
+}
+
+/*
+ * Work out what an update would do without making it: the changed object, and
+ * for each instance whose zone params or configuration would change, the
+ * differences (see Attributes.diffZone()).  Instances whose configuration
+ * can't be generated after the change report an error instead.
+ */
+function previewUpdate(bucket, uuid, change, action, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.string(bucket, 'bucket');
+    assert.string(uuid, 'uuid');
+    assert.object(change, 'change');
+    assert.string(action, 'action');
+    assert.func(cb, 'cb');
+
+    var before;
+    var after;
+    var app;
+    var svcs;
+    var insts;
+
+    async.waterfall([
+        function (subcb) {
+            getObjectValue.call(self, bucket, uuid, function (err, obj) {
+                if (!err && !obj) {
+                    err = new restify.ResourceNotFoundError(sprintf(
+                        'no such %s: %s', OBJECT_TYPES[bucket], uuid));
+                }
+                before = obj;
+                subcb(err);
+            });
+        },
+        function (subcb) {
+            after = changeObject.call(self, bucket,
+                jsprim.deepCopy(before), change, action);
+            if (after instanceof Error) {
+                subcb(after);
+                return;
+            }
+
+            findFamily.call(self, bucket, before, function (err, family) {
+                if (err) {
+                    subcb(err);
+                    return;
+                }
+
+                app = family.application;
+                svcs = family.services;
+                insts = family.instances;
+
+                /*
+                 * An update which would fail validation fails here too.
+                 */
+                if (metadataChanged(before, after)) {
+                    err = checkFamilyMetadata.call(self, bucket,
+                        replaceInFamily(family, after));
+                }
+                subcb(err);
+            });
+        },
+        function (subcb) {
+            var cache = {};
+            var results = [];
+            var unchanged = 0;
+
+            function changed(obj) {
+                return (obj.uuid === uuid ? after : obj);
+            }
+
+            log.info('previewing %s of %s %s on %d instance(s)', action,
+                OBJECT_TYPES[bucket], uuid, insts.length);
+
+            vasync.forEachPipeline({
+                func: function (inst, instcb) {
+                    var svc = svcs.filter(function (s) {
+                        return (s.uuid === inst.service_uuid);
+                    })[0];
+                    var objs = {
+                        application: app,
+                        service: svc,
+                        instance: inst
+                    };
+                    var changedObjs = {
+                        application: changed(app),
+                        service: changed(svc),
+                        instance: changed(inst)
+                    };
+
+                    self.attributes.diffZone(objs, changedObjs, cache,
+                        function (err, diff) {
+                        if (err) {
+                            results.push({
+                                uuid: inst.uuid,
+                                service_uuid: inst.service_uuid,
+                                error: err.message
+                            });
+                        } else if (diff.params.length === 0 &&
+                            diff.metadata.length === 0 &&
+                            diff.manifests.length === 0) {
+                            unchanged++;
+                        } else {
+                            results.push({
+                                uuid: inst.uuid,
+                                service_uuid: inst.service_uuid,
+                                params: diff.params,
+                                metadata: diff.metadata,
+                                manifests: diff.manifests
+                            });
+                        }
+                        instcb();
+                    });
+                },
+                inputs: insts
+            }, function (err) {
+                subcb(err, {
+                    dry_run: true,
+                    object: after,
+                    changes: self.attributes.diffAttributes(before, after),
+                    instances: results,
+                    unchanged: unchanged
+                });
+            });
+        }
+    ], cb);
+}
+
+
+// -- History
+
+/*
+ * List history entries, oldest first.  The filters may include object_uuid,
+ * object_type and action, as well as since and until to limit the entries to
+ * those recorded in a time range (both in milliseconds since the epoch).
+ */
+Model.prototype.listHistory = function listHistory(filters, opts, cb) {
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.object(filters, 'filters');
+    assert.optionalNumber(filters.since, 'filters.since');
+    assert.optionalNumber(filters.until, 'filters.until');
+    assert.object(opts, 'opts');
+    assert.func(cb, 'cb');
+
+    /*
+     * Entries are listed oldest first unless another order is asked for.  A
+     * marker is only valid when sorting by uuid, which is then the default.
+     */
+    if (opts.sort === undefined && opts.marker === undefined) {
+        opts = jsprim.mergeObjects(opts,
+            { sort: { attribute: 'started', order: 'ASC' } });
+    }
+
+    this.stor.listObjectValues(BUCKETS.history, filters, opts, cb);
+};
+
+/*
+ * Find the revision of an object to roll back to, either the one recorded by
+ * the history entry opts.revision, or the one current at time opts.time.
+ */
+function findRevision(uuid, opts, cb) {
+    var self = this;
+
+    assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.revision, 'opts.revision');
+    assert.optionalNumber(opts.time, 'opts.time');
+    assert.func(cb, 'cb');
+
+    self.listHistory({ object_uuid: uuid }, function (err, entries) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var revision = null;
+        var i;
+
+        if (opts.revision) {
+            for (i = 0; i < entries.length; i++) {
+                if (entries[i].uuid === opts.revision) {
+                    revision = entries[i].after;
+                    break;
+                }
+            }
+
+            if (i === entries.length) {
+                cb(new restify.InvalidArgumentError(sprintf(
+                    'no revision %s of %s', opts.revision, uuid)));
+                return;
+            }
+        } else {
+            /*
+             * The object as of a given time is the result of the last change
+             * made at or before then.  If the history doesn't go back that
+             * far, it's whatever the first change after then started from.
+             */
+            for (i = 0; i < entries.length; i++) {
+                if (entries[i].started > opts.time)
+                    break;
+            }
+
+            if (i > 0)
+                revision = entries[i - 1].after;
+            else if (entries.length > 0)
+                revision = entries[0].before;
+        }
+
+        if (!revision) {
+            cb(new restify.InvalidArgumentError(sprintf(
+                'no revision of %s to roll back to', uuid)));
+            return;
+        }
+
+        cb(null, revision);
+    });
+}
+
+/*
+ * Roll back an object's attributes (params, metadata, manifests and
+ * metadata_schema) to an earlier revision.  The rollback is itself an update,
+ * so it's validated and recorded in the object's history like any other.
+ */
+function rollbackObject(bucket, uuid, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.string(bucket, 'bucket');
+    assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
+    assert.ok(opts.revision || opts.time !== undefined,
+        'opts.revision or opts.time');
+    assert.func(cb, 'cb');
+
+    async.waterfall([
+        function (subcb) {
+            getObjectValue.call(self, bucket, uuid, function (err, obj) {
+                if (!err && !obj) {
+                    err = new restify.ResourceNotFoundError(sprintf(
+                        'no such %s: %s', OBJECT_TYPES[bucket], uuid));
+                }
+                subcb(err);
+            });
+        },
+        function (subcb) {
+            findRevision.call(self, uuid, opts, subcb);
+        },
+        function (revision, subcb) {
+            log.info({
+                revision: opts.revision,
+                time: opts.time
+            }, 'rolling back %s %s', OBJECT_TYPES[bucket], uuid);
+
+            self.updateObject(bucket, uuid, revision, 'rollback', 3,
+                { req_id: opts.req_id }, subcb);
+        }
+    ], cb);
+}
+
+
+// -- Operations
+
+/*
+ * Operations track long-running actions which carry on after the request that
+ * started them has returned, such as a service's rolling upgrade.  Each is
+ * stored in the operations bucket and updated as it progresses:
+ *
+ *     uuid         UUID of the operation
+ *     action       what the operation does, e.g. "upgrade"
+ *     object_type  type of the object acted on, e.g. "service"
+ *     object_uuid  UUID of the object acted on
+ *     state        "running", "succeeded" or "failed"
+ *     params       the parameters the action was given
+ *     created      when the operation started (milliseconds since the epoch)
+ *     updated      when the operation was last updated
+ *     finished     when the operation succeeded or failed
+ *     error        why the operation failed, as { code, message }
+ *
+ * along with any progress particular to its action.
+ */
+function createOperation(opts, cb) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.action, 'opts.action');
+    assert.string(opts.object_type, 'opts.object_type');
+    assert.string(opts.object_uuid, 'opts.object_uuid');
+    assert.object(opts.params, 'opts.params');
+    assert.func(cb, 'cb');
+
+    var now = Date.now();
+    var op = jsprim.mergeObjects(opts, {
+        uuid: node_uuid.v4(),
+        state: 'running',
+        created: now,
+        updated: now
+    });
+
+    self.stor.putObject(BUCKETS.operations, op.uuid, op, function (err) {
+        if (err) {
+            self.log.error(err, 'failed to create operation');
+            cb(err);
+            return;
+        }
+
+        self.log.info({ operation: op }, 'started operation %s', op.uuid);
+        cb(null, op);
+    });
+}
+
+/*
+ * Store an operation's progress.  An operation runs in the background, so
+ * there's nobody to report a failure to: it's only logged.
+ *
+ * An operation's instances may progress in parallel, but its saves are made
+ * one at a time, so that an older save can't land after a newer one: a save
+ * asked for while another is being made waits for it, and then stores the
+ * operation as it is by then, for every save which waited.
+ */
+function saveOperation(op, cb) {
+    var self = this;
+    var saves = self.operation_saves;
+
+    assert.object(op, 'op');
+    assert.optionalFunc(cb, 'cb');
+
+    op.updated = Date.now();
+
+    if (saves.hasOwnProperty(op.uuid)) {
+        saves[op.uuid].push(cb);
+        return;
+    }
+
+    function save(cbs) {
+        self.stor.putObject(BUCKETS.operations, op.uuid, op, function (err) {
+            if (err)
+                self.log.error(err, 'failed to save operation %s', op.uuid);
+
+            var waiting = saves[op.uuid];
+            if (waiting.length > 0) {
+                saves[op.uuid] = [];
+                save(waiting);
+            } else {
+                delete saves[op.uuid];
+            }
+
+            cbs.forEach(function (savecb) {
+                if (savecb)
+                    savecb();
+            });
+        });
+    }
+
+    saves[op.uuid] = [];
+    save([ cb ]);
+}
+
+/*
+ * Mark an operation as having succeeded or (given an error) failed.
+ */
+function finishOperation(op, err, cb) {
+    var self = this;
+
+    assert.object(op, 'op');
+    assert.optionalObject(err, 'err');
+    assert.optionalFunc(cb, 'cb');
+
+    op.state = err ? 'failed' : 'succeeded';
+    op.finished = Date.now();
+
+    if (err) {
+        op.error = {
+            code: err.restCode || err.name,
+            message: err.message
+        };
+        self.log.error(err, 'operation %s failed', op.uuid);
+    } else {
+        self.log.info('operation %s succeeded', op.uuid);
+    }
+
+    saveOperation.call(self, op, cb);
+}
+
+Model.prototype.getOperation = function getOperation(uuid, cb) {
+    assert.string(uuid, 'uuid');
+    assert.func(cb, 'cb');
+
+    getObjectValue.call(this, BUCKETS.operations, uuid, function (err, op) {
+        if (!err && !op) {
+            err = new restify.ResourceNotFoundError(
+                'no such operation: ' + uuid);
+        }
+        cb(err, op);
+    });
+};
+
+/*
+ * Pick up the operations which were running when SAPI last stopped.  An
+ * instance action which was waiting for its VMAPI job goes back to waiting for
+ * it, and then finishes as it would have (see AFTER_JOB).  Any other operation
+ * can't be picked up part way through, and fails.  cb is called once they've
+ * been picked up, not once they've finished.
+ */
+Model.prototype.resumeOperations = function resumeOperations(cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.func(cb, 'cb');
+
+    self.stor.listObjectValues(BUCKETS.operations, { state: 'running' }, {},
+        function (err, ops) {
+        if (err) {
+            log.error(err, 'failed to list running operations');
+            cb(err);
+            return;
+        }
+
+        log.info('found %d interrupted operation(s)', ops.length);
+
+        ops.forEach(function (op) {
+            if (op.object_type === 'instance' && op.step === 'wait-for-job' &&
+                op.job_uuid && !self.proto_mode) {
+                log.info({ operation: op }, 'resuming operation %s',
+                    op.uuid);
+                runVmJob.call(self, op, op.job_uuid, function (suberr) {
+                    finishOperation.call(self, op, suberr || null);
+                });
+                return;
+            }
+
+            var message = sprintf('operation interrupted by a restart of ' +
+                'SAPI while at step "%s"', op.step || 'start');
+
+            if (op.instances) {
+                message = 'operation interrupted by a restart of SAPI';
+                op.instances.forEach(function (entry) {
+                    if (entry.state === 'pending') {
+                        entry.state = 'skipped';
+                    } else if (entry.state === 'running') {
+                        entry.state = 'failed';
+                        entry.error = message;
+                    }
+                });
+            }
+
+            finishOperation.call(self, op,
+                new mod_errors.OperationInterruptedError(message));
+        });
+
+        cb();
+    });
+};
+
+
+
+// -- Applications
+
+/*
+ * Create an application.  An application consists of an name and owner_uuid.
+ *
+ * @param app
+ * @param options {Object} Optional argument with flags
+ * @param cb {Function}
+ */
+Model.prototype.createApplication = function createApplication(
+    app, options, cb) {
+    var self = this;
+    var log = self.log;
+
+    if (cb === undefined) {
+        cb = options;
+        options = {};
+    }
+
+    assert.object(app, 'app');
+    assert.string(app.name, 'app.name');
+    assert.string(app.owner_uuid, 'app.owner_uuid');
+
+    assert.object(options, 'options');
+
+    assert.optionalObject(app.params, 'app.params');
+    assert.optionalObject(app.metadata, 'app.metadata');
+    assert.optionalObject(app.metadata_schema, 'app.metadata_schema');
+    assert.optionalObject(app.manifests, 'app.manifests');
+    assert.optionalBool(app.master, 'app.master');
+
+    /*
      * If the caller hasn't provided a UUID, generate one here.
      */
     if (!app.uuid)
@@ -423,6 +1434,15 @@ Model.prototype.createApplication = function createApplication(
 
                 subcb(null);
             });
+        },
+        function (subcb) {
+            recordHistory.call(self, {
+                bucket: BUCKETS.applications,
+                uuid: app.uuid,
+                action: 'create',
+                after: app,
+                req_id: options.req_id
+            }, subcb);
         }
     ], function (err, result) {
         if (!err)
@@ -451,7 +1471,7 @@ Model.prototype.getApplication = function (uuid, cb) {
     cb = once(cb);
 
     getObjectValue.call(this, BUCKETS.applications, uuid,
-        function (err, app) {
+        function (err, app, etag) {
         if (err) {
             log.error(err, 'failed to get application %s', uuid);
             return (cb(err));
@@ -464,17 +1484,84 @@ Model.prototype.getApplication = function (uuid, cb) {
             return (cb(err));
         }
 
-        return (cb(null, app));
+        return (cb(null, app, etag));
     });
 };
 
-Model.prototype.updateApplication = function (uuid, change, action, cb) {
-    this.updateObject(BUCKETS.applications, uuid, change, action, 3, cb);
-};
+Model.prototype.updateApplication = function (uuid, change, action, opts, cb) {
+    if (arguments.length === 4) {
+        cb = opts;
+        opts = {};
+    }
 
-Model.prototype.delApplication = function (uuid, cb) {
-    this.stor.delObject(BUCKETS.applications, uuid, cb);
-};
+    if (opts.dry_run) {
+        previewUpdate.call(this, BUCKETS.applications, uuid, change,
+            action, cb);
+        return;
+    }
+
+    this.updateObject(BUCKETS.applications, uuid, change, action, 3, opts, cb);
+};
+
+Model.prototype.rollbackApplication = function (uuid, opts, cb) {
+    rollbackObject.call(this, BUCKETS.applications, uuid, opts, cb);
+};
+
+/*
+ * Delete an application.  An application which still has services can only be
+ * deleted with opts.cascade, in which case each of its services (and each of
+ * their instances) is deleted first.
+ *
+ * On a cascading delete, the callback is given a list of per-object results.
+ */
+Model.prototype.delApplication = function (uuid, opts, cb) {
+    var self = this;
+
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.cascade, 'opts.cascade');
+    assert.optionalArrayOfString(opts.if_match, 'opts.if_match');
+    assert.func(cb, 'cb');
+
+    async.waterfall([
+        function (subcb) {
+            checkIfMatch.call(self, BUCKETS.applications, uuid, opts.if_match,
+                subcb);
+        },
+        function (subcb) {
+            self.listServices({ application_uuid: uuid },
+                { include_master: true }, subcb);
+        }
+    ], function (err, svcs) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cascadeDelete.call(self, {
+            type: 'application',
+            uuid: uuid,
+            bucket: BUCKETS.applications,
+            cascade: opts.cascade,
+            req_id: opts.req_id,
+            if_match: opts.if_match,
+            childType: 'service',
+            children: svcs,
+            concurrency: 1,
+            delChild: function (svc, subcb) {
+                self.delService(svc.uuid, {
+                    cascade: true,
+                    req_id: opts.req_id
+                }, subcb);
+            }
+        }, cb);
+    });
+};
 
 
 
@@ -483,10 +1570,15 @@ Model.prototype.delApplication = function (uuid, cb) {
 /*
  * Create a service.
  */
-Model.prototype.createService = function createService(svc, cb) {
+Model.prototype.createService = function createService(svc, opts, cb) {
     var self = this;
     var log = self.log;
 
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
     assert.object(svc, 'svc');
     assert.string(svc.name, 'svc.name');
     assert.string(svc.application_uuid, 'svc.application_uuid');
@@ -495,6 +1587,14 @@ Model.prototype.createService = function createService(svc, cb) {
     assert.optionalObject(svc.metadata, 'svc.metadata');
     assert.optionalObject(svc.manifests, 'svc.manifests');
 
+    if (svc.desired_count !== undefined) {
+        var invalid = validateDesiredCount(svc.desired_count);
+        if (invalid !== null) {
+            cb(invalid);
+            return;
+        }
+    }
+
     /*
      * If the caller hasn't provided a UUID, generate one here.
      */
@@ -526,6 +1626,9 @@ Model.prototype.createService = function createService(svc, cb) {
                             subcb(err);
                         });
         },
+        function (subcb) {
+            validateMetadata.call(self, BUCKETS.services, null, svc, subcb);
+        },
         function (subcb) {
             self.stor.putObject(BUCKETS.services, svc.uuid, svc,
                 function (err) {
@@ -537,6 +1640,15 @@ Model.prototype.createService = function createService(svc, cb) {
 
                 return (subcb(null));
             });
+        },
+        function (subcb) {
+            recordHistory.call(self, {
+                bucket: BUCKETS.services,
+                uuid: svc.uuid,
+                action: 'create',
+                after: svc,
+                req_id: opts.req_id
+            }, subcb);
         }
     ], function (err, result) {
         if (!err)
@@ -562,7 +1674,8 @@ Model.prototype.listServices = function (filters, opts, cb) {
 Model.prototype.getService = function (uuid, cb) {
     var log = this.log;
 
-    getObjectValue.call(this, BUCKETS.services, uuid, function (err, svc) {
+    getObjectValue.call(this, BUCKETS.services, uuid,
+        function (err, svc, etag) {
         if (err) {
             log.error(err, 'failed to get service %s', uuid);
             return (cb(err));
@@ -575,577 +1688,3268 @@ Model.prototype.getService = function (uuid, cb) {
             return (cb(err));
         }
 
-        return (cb(null, svc));
+        return (cb(null, svc, etag));
     });
 };
 
-Model.prototype.updateService = function (uuid, change, action, cb) {
-    this.updateObject(BUCKETS.services, uuid, change, action, 3, cb);
-};
-
-Model.prototype.delService = function (uuid, cb) {
-    this.stor.delObject(BUCKETS.services, uuid, cb);
-};
+Model.prototype.updateService = function (uuid, change, action, opts, cb) {
+    if (arguments.length === 4) {
+        cb = opts;
+        opts = {};
+    }
 
+    if (opts.dry_run) {
+        previewUpdate.call(this, BUCKETS.services, uuid, change, action, cb);
+        return;
+    }
 
+    this.updateObject(BUCKETS.services, uuid, change, action, 3, opts, cb);
+};
 
-// -- Instances
+Model.prototype.rollbackService = function (uuid, opts, cb) {
+    rollbackObject.call(this, BUCKETS.services, uuid, opts, cb);
+};
 
 /*
- * Create a instance.
+ * Upgrade each instance of a service to a new image, opts.concurrency
+ * instances at a time, and then make it the service's image.  The image is
+ * checked first (see checkImage()), and the upgrade then carries on in the
+ * background: its operation (see createOperation()) is returned as soon as it
+ * has started, and records the progress of each instance.
+ *
+ * After each batch, the upgrade waits opts.pause seconds and then checks that
+ * the VMs of the instances it has just upgraded are running.  The first
+ * instance which fails to upgrade or isn't running fails the operation, and
+ * the instances after it are skipped.
  */
-Model.prototype.createInstance = function createInstance(inst, cb) {
+Model.prototype.upgradeService = function upgradeService(uuid, image_uuid, opts,
+    cb) {
     var self = this;
     var log = self.log;
 
-    assert.object(inst, 'inst');
-    assert.string(inst.service_uuid, 'inst.service_uuid');
-    assert.optionalString(inst.uuid, 'inst.uuid');
-    assert.optionalObject(inst.params, 'inst.params');
-    assert.optionalObject(inst.metadata, 'inst.metadata');
-    assert.optionalObject(inst.manifests, 'inst.manifests');
+    assert.string(uuid, 'uuid');
+    assert.string(image_uuid, 'image_uuid');
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+    assert.optionalNumber(opts.pause, 'opts.pause');
+    assert.optionalBool(opts.force, 'opts.force');
     assert.func(cb, 'cb');
 
-    var doAsync = inst.async || false;
-    // Don't store this in moray:
-    delete inst.async;
-
-    /*
-     * If the caller hasn't provided a UUID, generate one here.
-     */
-    if (!inst.uuid)
-        inst.uuid = node_uuid.v4();
-
-    log.info({
-        service_uuid: inst.service_uuid
-    }, 'creating instance %s', inst.uuid);
-
-    var service;
+    var params = {
+        image_uuid: image_uuid,
+        concurrency: opts.concurrency || 1,
+        pause: opts.pause || 0,
+        force: opts.force || false
+    };
+    var svc;
 
     async.waterfall([
-        function validateAttrs(subcb) {
-            self.attributes.validate(inst, subcb);
+        function (subcb) {
+            self.getService(uuid, function (err, obj) {
+                svc = obj;
+                subcb(err);
+            });
         },
-        function getSvc(subcb) {
-            self.getService(inst.service_uuid,
-                    function getSvcCb(err, instService) {
-                        if (err) {
-                            subcb(err);
-                            return;
-                        }
+        function (subcb) {
+            if (svc.type === 'agent') {
+                subcb();
+                return;
+            }
 
-                        service = instService;
-                        /*
-                         * Always default to
-                         * service.type
-                         */
-                        inst.type = service.type;
-                        subcb();
-                    });
-        },
-        function createInst(subcb) {
-            self.stor.putObject(BUCKETS.instances, inst.uuid, inst,
-                function (err) {
+            self.getApplication(svc.application_uuid, function (err, app) {
                 if (err) {
-                    log.error(err, 'failed to put ' +
-                        'instance %s', inst.uuid);
                     subcb(err);
                     return;
                 }
 
-                subcb();
-            });
-        },
-        function deployInst(subcb) {
-            if (inst.type === 'agent') {
-                log.info('skipping provision of %s since ' +
-                    'instance type is agent', inst.uuid);
-                subcb();
-                return;
-            }
+                var brand = mod_brands.brandOf(self.attributes
+                    .assembleAttributes(app, svc, {}).params);
 
-            var opts = {
-                async: doAsync
-            };
-            deployInstance.call(self, inst, opts, subcb);
-        }
-    ], function (err, res) {
-        if (err) {
-            /*
-             * If any step of creating the instance fails, attempt
-             * to remove the instance object from moray.
-             */
-            self.stor.delObject(BUCKETS.instances, inst.uuid,
-                function (suberr) {
-                if (suberr) {
-                    log.warn(suberr, 'failed to delete ' +
-                        'instance object %s after ' +
-                        'error',
-                        inst.uuid);
+                if (!mod_brands.canReprovision(brand)) {
+                    subcb(new mod_errors.UnsupportedOperationError(sprintf(
+                        'service %s has %s instances, which cannot be ' +
+                        'upgraded', uuid, brand)));
+                    return;
                 }
 
-                // Return the original error
-                cb(err);
+                checkImage.call(self, {
+                    image_uuid: image_uuid,
+                    brand: brand,
+                    application: app,
+                    service: svc,
+                    force: params.force
+                }, subcb);
+            });
+        },
+        function (subcb) {
+            self.listInstances({ service_uuid: uuid }, subcb);
+        },
+        function (insts, subcb) {
+            insts.sort(function (a, b) {
+                return (a.uuid < b.uuid ? -1 : 1);
             });
 
+            log.info({ params: params }, 'upgrading %d instance(s) of ' +
+                'service %s', insts.length, uuid);
+
+            createOperation.call(self, {
+                action: 'upgrade',
+                object_type: 'service',
+                object_uuid: uuid,
+                params: params,
+                instances: insts.map(function (inst) {
+                    return ({ uuid: inst.uuid, state: 'pending' });
+                })
+            }, subcb);
+        }
+    ], function (err, op) {
+        if (err) {
+            cb(err);
             return;
         }
 
-        if (res && res.job_uuid) {
-            inst.job_uuid = res.job_uuid;
-        }
+        cb(null, op);
 
-        log.info('created instance %s', inst.uuid);
-        cb(null, inst);
+        runServiceUpgrade.call(self, op, opts.req_id);
     });
 };
 
-Model.prototype.listInstances = function (filters, opts, cb) {
-    if (arguments.length === 2) {
-        cb = opts;
-        opts = {};
-    }
+function runServiceUpgrade(op, req_id) {
+    var self = this;
 
-    assert.object(filters, 'filters');
-    assert.object(opts, 'opts');
-    assert.func(cb, 'cb');
+    var params = op.params;
+    var batches = [];
+    for (var i = 0; i < op.instances.length; i += params.concurrency)
+        batches.push(op.instances.slice(i, i + params.concurrency));
+
+    function upgradeInstance(entry, cb) {
+        entry.state = 'running';
+        saveOperation.call(self, op);
+
+        self.upgradeInstance(entry.uuid, params.image_uuid,
+            { force: params.force }, function (err) {
+            if (err) {
+                entry.state = 'failed';
+                entry.error = err.message;
+            } else {
+                entry.state = 'succeeded';
+            }
+            saveOperation.call(self, op, function () {
+                cb(err);
+            });
+        });
+    }
 
-    this.stor.listObjectValues(
-        BUCKETS.instances, filters, opts, cb);
-};
+    vasync.forEachPipeline({
+        func: function (batch, batchcb) {
+            vasync.forEachParallel({
+                func: upgradeInstance,
+                inputs: batch
+            }, function (err) {
+                if (err && err.ase_errors)
+                    err = err.ase_errors[0];
 
-Model.prototype.getInstance = function (uuid, cb) {
-    var log = this.log;
+                if (err) {
+                    batchcb(err);
+                    return;
+                }
 
-    getObjectValue.call(this, BUCKETS.instances, uuid,
-        function (err, inst) {
+                // The last batch is checked too, before its image is kept
+                setTimeout(function () {
+                    checkInstancesRunning.call(self, batch, batchcb);
+                }, params.pause * 1000);
+            });
+        },
+        inputs: batches
+    }, function (err) {
         if (err) {
-            log.error(err, 'failed to get instance %s', uuid);
-            return (cb(err));
-        }
-
-        if (!inst) {
-            err = new restify.ResourceNotFoundError(
-                'no such instance: ' + uuid);
-            log.error(err, 'failed to get instance %s', uuid);
-            return (cb(err));
+            op.instances.forEach(function (entry) {
+                if (entry.state === 'pending')
+                    entry.state = 'skipped';
+            });
+            finishOperation.call(self, op, err);
+            return;
         }
 
-        return (cb(null, inst));
+        self.updateService(op.object_uuid,
+            { params: { image_uuid: params.image_uuid } }, 'update',
+            { req_id: req_id }, function (suberr) {
+            finishOperation.call(self, op, suberr || null);
+        });
     });
-};
+}
 
-Model.prototype.getInstancePayload = function (uuid, cb) {
-    assert.string(uuid, 'uuid');
-    assert.func(cb, 'cb');
+/*
+ * Check that the VMs of the given instances (as listed in an upgrade operation)
+ * are running.  Agent instances have no VM, and in proto mode there's no VMAPI
+ * to ask.
+ */
+function checkInstancesRunning(entries, cb) {
+    var self = this;
 
-    this.attributes.generateZoneParams(uuid, cb);
-};
+    if (self.proto_mode) {
+        setImmediate(cb);
+        return;
+    }
 
-Model.prototype.updateInstance = function (uuid, change, action, cb) {
-    this.updateObject(BUCKETS.instances, uuid, change, action, 3, cb);
-};
+    vasync.forEachParallel({
+        func: function (entry, subcb) {
+            self.getInstance(entry.uuid, function (err, inst) {
+                if (err || inst.type === 'agent') {
+                    subcb(err);
+                    return;
+                }
+
+                self.vmapi.getVm({ uuid: entry.uuid }, function (suberr, vm) {
+                    if (!suberr && vm.state !== 'running') {
+                        suberr = new Error(sprintf('VM %s is %s, not ' +
+                            'running, after its upgrade', entry.uuid,
+                            vm.state));
+                    }
+                    if (suberr) {
+                        entry.state = 'failed';
+                        entry.error = suberr.message;
+                    }
+                    subcb(suberr);
+                });
+            });
+        },
+        inputs: entries
+    }, function (err) {
+        cb(err && err.ase_errors ? err.ase_errors[0] : err);
+    });
+}
 
-Model.prototype.upgradeInstance = function (uuid, image_uuid, cb) {
+/*
+ * Scale a service to "count" instances: record count as the service's
+ * desired_count, and then create or delete instances, opts.concurrency at a
+ * time, until it has that many.  Instances are created and deleted just as
+ * createInstance() and delInstance() would, so each deleted instance's
+ * teardown-hook is run.  Surplus instances are deleted in reverse order of
+ * UUID.  As with upgradeService(), the scaling carries on in the background,
+ * and its operation is returned as soon as it has started.
+ *
+ * The first instance which fails to be created or deleted fails the
+ * operation, and those after it are skipped; desired_count is left as count
+ * either way.
+ */
+Model.prototype.scaleService = function scaleService(uuid, count, opts, cb) {
     var self = this;
     var log = self.log;
 
     assert.string(uuid, 'uuid');
-    assert.string(image_uuid, 'image_uuid');
+    assert.number(count, 'count');
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.concurrency, 'opts.concurrency');
     assert.func(cb, 'cb');
 
-    var inst;
+    var params = {
+        count: count,
+        concurrency: opts.concurrency || 1
+    };
 
     async.waterfall([
-        function getInst(subcb) {
-            self.getInstance(uuid, function (err, obj) {
-                if (err) {
-                    subcb(err);
-                    return;
+        function (subcb) {
+            self.getService(uuid, function (err, svc) {
+                if (!err && svc.type === 'agent') {
+                    err = new mod_errors.UnsupportedOperationError(sprintf(
+                        'service %s is an agent service, whose instances ' +
+                        'are created for each server', uuid));
                 }
-                inst = obj;
-                subcb();
+                subcb(err);
             });
         },
-        function tearDownInst(subcb) {
-            if (inst.type === 'agent') {
-                log.info('skipping teardown of %s since ' +
-                    'instance type is agent', uuid);
-                subcb();
-                return;
-            }
-
-            /*
-             * Since all data not stored in the instance's delegated
-             * dataset will be deleted upon a reprovision, run the
-             * teardown-hook script here.
-             */
-            runTeardownHook.call(self, inst, subcb);
+        function (subcb) {
+            self.updateService(uuid, { desired_count: count }, 'update',
+                { req_id: opts.req_id }, function (err) {
+                subcb(err);
+            });
         },
-        function reprovisionInst(subcb) {
-            if (inst.type === 'agent') {
-                log.info('skipping reprovision of %s since ' +
-                    'instance type is agent', uuid);
-                subcb();
-                return;
-            }
+        function (subcb) {
+            self.listInstances({ service_uuid: uuid }, subcb);
+        },
+        function (insts, subcb) {
+            var entries = [];
 
-            if (self.proto_mode) {
-                log.info('in proto mode, not upgrading VM');
-                subcb(null, inst);
-                return;
+            insts.sort(function (a, b) {
+                return (a.uuid < b.uuid ? 1 : -1);
+            });
+            insts.slice(0, Math.max(insts.length - count, 0)).forEach(
+                function (inst) {
+                entries.push({
+                    uuid: inst.uuid,
+                    action: 'delete',
+                    state: 'pending'
+                });
+            });
+            for (var i = insts.length; i < count; i++) {
+                entries.push({
+                    uuid: node_uuid.v4(),
+                    action: 'create',
+                    state: 'pending'
+                });
             }
 
-            self.vmapiplus.reprovisionVm(uuid, image_uuid,
-                function reprovisionCb(err) {
-                if (err) {
-                    log.error(err,
-                        'failed to reprovision VM %s',
-                        uuid);
-                    subcb(err);
-                    return;
-                }
+            log.info({ params: params }, 'scaling service %s from %d to ' +
+                '%d instance(s)', uuid, insts.length, count);
 
-                subcb(null, inst);
-            });
+            createOperation.call(self, {
+                action: 'scale',
+                object_type: 'service',
+                object_uuid: uuid,
+                params: params,
+                instances: entries
+            }, subcb);
         }
-    ], cb);
+    ], function (err, op) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(null, op);
+
+        runServiceInstances.call(self, op, function (entry, subcb) {
+            if (entry.action === 'create') {
+                self.createInstance({
+                    uuid: entry.uuid,
+                    service_uuid: uuid
+                }, { req_id: opts.req_id }, function (suberr) {
+                    subcb(suberr);
+                });
+            } else {
+                self.delInstance(entry.uuid, { req_id: opts.req_id },
+                    function (suberr) {
+                    subcb(suberr);
+                });
+            }
+        });
+    });
+};
+
+/*
+ * Start, stop or reboot the VM of each instance of a service, as
+ * controlInstance() would, opts.concurrency instances at a time.  As with
+ * upgradeService(), this carries on in the background, and its operation is
+ * returned as soon as it has started.  The first instance whose VM fails to
+ * start, stop or reboot fails the operation, and those after it are skipped.
+ */
+Model.prototype.controlService = function controlService(uuid, action, opts,
+    cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.string(uuid, 'uuid');
+    assert.string(action, 'action');
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+    assert.func(cb, 'cb');
+
+    var params = {
+        concurrency: opts.concurrency || 1
+    };
+
+    async.waterfall([
+        function (subcb) {
+            subcb(checkLifecycleAction.call(self, action));
+        },
+        function (subcb) {
+            self.getService(uuid, function (err, svc) {
+                if (!err && svc.type === 'agent') {
+                    err = new mod_errors.UnsupportedOperationError(sprintf(
+                        'service %s is an agent service, whose instances ' +
+                        'have no VMs', uuid));
+                }
+                subcb(err);
+            });
+        },
+        function (subcb) {
+            self.listInstances({ service_uuid: uuid }, subcb);
+        },
+        function (insts, subcb) {
+            insts.sort(function (a, b) {
+                return (a.uuid < b.uuid ? -1 : 1);
+            });
+
+            log.info({ params: params }, '%s %d instance(s) of service %s',
+                action, insts.length, uuid);
+
+            createOperation.call(self, {
+                action: action,
+                object_type: 'service',
+                object_uuid: uuid,
+                params: params,
+                instances: insts.map(function (inst) {
+                    return ({ uuid: inst.uuid, state: 'pending' });
+                })
+            }, subcb);
+        }
+    ], function (err, op) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(null, op);
+
+        runServiceInstances.call(self, op, function (entry, subcb) {
+            self.controlInstance(entry.uuid, action, { req_id: opts.req_id },
+                function (suberr) {
+                subcb(suberr);
+            });
+        });
+    });
+};
+
+/*
+ * Run func(entry, cb) for each of the instances listed in a service's
+ * operation, op.params.concurrency at a time, recording the progress of each.
+ * The first instance which fails fails the operation, and those which haven't
+ * been started by then are skipped.
+ */
+function runServiceInstances(op, func) {
+    var self = this;
+
+    var error = null;
+
+    var queue = vasync.queue(function (entry, cb) {
+        if (error) {
+            entry.state = 'skipped';
+            cb();
+            return;
+        }
+
+        entry.state = 'running';
+        saveOperation.call(self, op);
+
+        func(entry, function (err) {
+            if (err) {
+                entry.state = 'failed';
+                entry.error = err.message;
+                error = error || err;
+            } else {
+                entry.state = 'succeeded';
+            }
+            saveOperation.call(self, op, cb);
+        });
+    }, op.params.concurrency);
+
+    queue.on('end', function () {
+        finishOperation.call(self, op, error);
+    });
+
+    queue.push(op.instances);
+    queue.close();
+}
+
+/*
+ * Delete a service.  As with applications, a service which still has instances
+ * can only be deleted with opts.cascade, which deletes those instances (and
+ * their VMs) first.
+ */
+Model.prototype.delService = function (uuid, opts, cb) {
+    var self = this;
+
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.cascade, 'opts.cascade');
+    assert.optionalArrayOfString(opts.if_match, 'opts.if_match');
+    assert.func(cb, 'cb');
+
+    async.waterfall([
+        function (subcb) {
+            checkIfMatch.call(self, BUCKETS.services, uuid, opts.if_match,
+                subcb);
+        },
+        function (subcb) {
+            self.listInstances({ service_uuid: uuid },
+                { include_master: true }, subcb);
+        }
+    ], function (err, insts) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cascadeDelete.call(self, {
+            type: 'service',
+            uuid: uuid,
+            bucket: BUCKETS.services,
+            cascade: opts.cascade,
+            req_id: opts.req_id,
+            if_match: opts.if_match,
+            childType: 'instance',
+            children: insts,
+            concurrency: CASCADE_DELETE_CONCURRENCY,
+            delChild: function (inst, subcb) {
+                self.delInstance(inst.uuid, { req_id: opts.req_id },
+                    function (suberr) {
+                    subcb(suberr);
+                });
+            }
+        }, cb);
+    });
+};
+
+/*
+ * Delete an object after first deleting its children.  If the object has
+ * children and opts.cascade isn't set, nothing is deleted and an
+ * ObjectInUseError is returned.  If any child can't be deleted, the object
+ * itself is left in place so its remaining children aren't orphaned.  Any
+ * opts.if_match is checked again as the object itself is deleted, as it may
+ * have changed while its children were.
+ *
+ * Results are reported in the order the deletes completed, children first.
+ */
+function cascadeDelete(opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.type, 'opts.type');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.string(opts.bucket, 'opts.bucket');
+    assert.optionalBool(opts.cascade, 'opts.cascade');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalArrayOfString(opts.if_match, 'opts.if_match');
+    assert.string(opts.childType, 'opts.childType');
+    assert.arrayOfObject(opts.children, 'opts.children');
+    assert.number(opts.concurrency, 'opts.concurrency');
+    assert.func(opts.delChild, 'opts.delChild');
+    assert.func(cb, 'cb');
+
+    var children = opts.children;
+    var results = [];
+    var failed = 0;
+
+    if (children.length > 0 && !opts.cascade) {
+        cb(new mod_errors.ObjectInUseError(sprintf(
+            '%s %s has %d %s(s); delete them first or use cascade=true',
+            opts.type, opts.uuid, children.length, opts.childType)));
+        return;
+    }
+
+    if (children.length > 0) {
+        log.info('deleting %d %s(s) of %s %s', children.length,
+            opts.childType, opts.type, opts.uuid);
+    }
+
+    var queue = vasync.queue(function (child, subcb) {
+        opts.delChild(child, function (err, subresults) {
+            /*
+             * A child which is itself deleted with cascadeDelete() reports
+             * its own result along with those of its children.
+             */
+            var reported = false;
+            if (subresults) {
+                results = results.concat(subresults);
+                reported = subresults.some(function (r) {
+                    return (r.uuid === child.uuid);
+                });
+            }
+
+            if (err) {
+                log.error(err, 'failed to delete %s %s',
+                    opts.childType, child.uuid);
+                failed++;
+            }
+
+            if (err && !reported) {
+                results.push({
+                    type: opts.childType,
+                    uuid: child.uuid,
+                    status: 'failed',
+                    error: err.message
+                });
+            } else if (!reported) {
+                results.push({
+                    type: opts.childType,
+                    uuid: child.uuid,
+                    status: 'deleted'
+                });
+            }
+
+            subcb();
+        });
+    }, opts.concurrency);
+
+    queue.on('end', function () {
+        if (failed > 0) {
+            var msg = sprintf('%s %s not deleted: failed to delete %d ' +
+                '%s(s)', opts.type, opts.uuid, failed, opts.childType);
+
+            results.push({
+                type: opts.type,
+                uuid: opts.uuid,
+                status: 'skipped',
+                error: msg
+            });
+            cb(new mod_errors.CascadeDeleteError(msg, results), results);
+            return;
+        }
+
+        deleteObject.call(self, opts.bucket, opts.uuid, {
+            req_id: opts.req_id,
+            if_match: opts.if_match
+        }, function (err) {
+            if (err && verror.hasCauseWithName(err, 'ObjectNotFoundError') &&
+                results.length > 0) {
+                /*
+                 * The parent is already gone, which is exactly how orphaned
+                 * children come about.  They've been cleaned up now, so
+                 * that's not an error.
+                 */
+                results.push({
+                    type: opts.type,
+                    uuid: opts.uuid,
+                    status: 'missing'
+                });
+                cb(null, results);
+                return;
+            } else if (err) {
+                cb(err, results);
+                return;
+            }
+
+            results.push({
+                type: opts.type,
+                uuid: opts.uuid,
+                status: 'deleted'
+            });
+            cb(null, results);
+        });
+    });
+
+    queue.push(children);
+    queue.close();
+}
+
+
+
+// -- Instances
+
+/*
+ * Create a instance.
+ */
+Model.prototype.createInstance = function createInstance(inst, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.object(inst, 'inst');
+    assert.string(inst.service_uuid, 'inst.service_uuid');
+    assert.optionalString(inst.uuid, 'inst.uuid');
+    assert.optionalObject(inst.params, 'inst.params');
+    assert.optionalObject(inst.metadata, 'inst.metadata');
+    assert.optionalObject(inst.manifests, 'inst.manifests');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.force, 'opts.force');
+    assert.func(cb, 'cb');
+
+    var doAsync = inst.async || false;
+    // Don't store this in moray:
+    delete inst.async;
+
+    /*
+     * If the caller hasn't provided a UUID, generate one here.
+     */
+    if (!inst.uuid)
+        inst.uuid = node_uuid.v4();
+
+    log.info({
+        service_uuid: inst.service_uuid
+    }, 'creating instance %s', inst.uuid);
+
+    var service;
+
+    // See createInst below
+    var done = cb;
+    cb = function () {
+        delete self.creating[inst.uuid];
+        done.apply(null, arguments);
+    };
+
+    async.waterfall([
+        function validateAttrs(subcb) {
+            self.attributes.validate(inst, subcb);
+        },
+        function getSvc(subcb) {
+            self.getService(inst.service_uuid,
+                    function getSvcCb(err, instService) {
+                        if (err) {
+                            subcb(err);
+                            return;
+                        }
+
+                        service = instService;
+                        /*
+                         * Always default to
+                         * service.type
+                         */
+                        inst.type = service.type;
+                        subcb();
+                    });
+        },
+        function validateMeta(subcb) {
+            validateMetadata.call(self, BUCKETS.instances, null, inst, subcb);
+        },
+        function checkInstImage(subcb) {
+            if (inst.type === 'agent' || inst.exists) {
+                subcb();
+                return;
+            }
+
+            self.getApplication(service.application_uuid,
+                function (err, app) {
+                if (err) {
+                    subcb(err);
+                    return;
+                }
+
+                var params = self.attributes.assembleAttributes(app,
+                    service, inst).params;
+
+                if (!params.image_uuid) {
+                    subcb();
+                    return;
+                }
+
+                checkImage.call(self, {
+                    image_uuid: params.image_uuid,
+                    brand: mod_brands.brandOf(params),
+                    application: app,
+                    service: service,
+                    force: opts.force || false
+                }, subcb);
+            });
+        },
+        function createInst(subcb) {
+            function putInst(putcb) {
+                self.stor.putObject(BUCKETS.instances, inst.uuid, inst,
+                    function (err) {
+                    if (err) {
+                        log.error(err, 'failed to put ' +
+                            'instance %s', inst.uuid);
+                        putcb(err);
+                        return;
+                    }
+
+                    putcb();
+                });
+            }
+
+            if (inst.type === 'agent' || inst.exists) {
+                putInst(subcb);
+                return;
+            }
+
+            /*
+             * Until its provision is tracked by an operation, the instance
+             * has no VM for reconcile() to find, but isn't missing one.
+             */
+            self.creating[inst.uuid] = true;
+
+            /*
+             * An instance is placed by where its peers are, so it's stored
+             * before any other instance of the service is placed.
+             */
+            withPlacementLock.call(self, service.uuid, function (lockcb) {
+                async.series([
+                    placeInstance.bind(self, inst, service),
+                    putInst
+                ], function (err) {
+                    lockcb(err);
+                });
+            }, subcb);
+        },
+        function deployInst(subcb) {
+            if (inst.type === 'agent') {
+                log.info('skipping provision of %s since ' +
+                    'instance type is agent', inst.uuid);
+                subcb();
+                return;
+            }
+
+            /*
+             * Rather than wait for the provision job here, it's tracked with
+             * an operation below, so that it's seen through even if SAPI
+             * restarts.
+             */
+            deployInstance.call(self, inst, { async: true }, subcb);
+        }
+    ], function (err, res) {
+        if (err) {
+            /*
+             * If any step of creating the instance fails, attempt
+             * to remove the instance object from moray.
+             */
+            self.stor.delObject(BUCKETS.instances, inst.uuid,
+                function (suberr) {
+                if (suberr) {
+                    log.warn(suberr, 'failed to delete ' +
+                        'instance object %s after ' +
+                        'error',
+                        inst.uuid);
+                }
+
+                // Return the original error
+                cb(err);
+            });
+
+            return;
+        }
+
+        var job_uuid = res && res.job_uuid;
+
+        /*
+         * The instance is recorded as created once it's stored; if its
+         * provision job then fails, its removal is recorded too.
+         */
+        recordHistory.call(self, {
+            bucket: BUCKETS.instances,
+            uuid: inst.uuid,
+            action: 'create',
+            after: inst,
+            req_id: opts.req_id
+        }, function () {
+            if (!job_uuid) {
+                log.info('created instance %s', inst.uuid);
+                cb(null, inst);
+                return;
+            }
+
+            trackProvision.call(self, inst, job_uuid, {
+                async: doAsync,
+                req_id: opts.req_id
+            }, function (suberr, op) {
+                if (suberr && !doAsync) {
+                    cb(suberr);
+                    return;
+                } else if (suberr) {
+                    /*
+                     * The job has been dispatched regardless, so the
+                     * instance has still been created: it just isn't
+                     * tracked.
+                     */
+                    log.warn(suberr, 'failed to track provision job %s ' +
+                        'of instance %s', job_uuid, inst.uuid);
+                } else if (doAsync) {
+                    inst.operation_uuid = op.uuid;
+                }
+
+                if (doAsync)
+                    inst.job_uuid = job_uuid;
+                else
+                    log.info('created instance %s', inst.uuid);
+
+                cb(null, inst);
+            });
+        });
+    });
+};
+
+/*
+ * Wait for the provision job of a newly created instance, with an operation
+ * to track it.  If the job fails, the instance is removed (see AFTER_JOB).
+ * When opts.async is set, the operation is returned as soon as it's been
+ * created, and is returned with the instance as its operation_uuid.
+ */
+function trackProvision(inst, job_uuid, opts, cb) {
+    var self = this;
+
+    assert.object(inst, 'inst');
+    assert.string(job_uuid, 'job_uuid');
+    assert.object(opts, 'opts');
+    assert.bool(opts.async, 'opts.async');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.func(cb, 'cb');
+
+    runInstanceAction.call(self, {
+        action: 'create',
+        instance: inst,
+        params: {},
+        async: opts.async,
+        req_id: opts.req_id
+    }, function (op, subcb) {
+        runVmJob.call(self, op, job_uuid, function (err) {
+            subcb(err, inst);
+        });
+    }, cb);
+}
+
+Model.prototype.listInstances = function (filters, opts, cb) {
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.object(filters, 'filters');
+    assert.object(opts, 'opts');
+    assert.func(cb, 'cb');
+
+    this.stor.listObjectValues(
+        BUCKETS.instances, filters, opts, cb);
+};
+
+Model.prototype.getInstance = function (uuid, cb) {
+    var log = this.log;
+
+    getObjectValue.call(this, BUCKETS.instances, uuid,
+        function (err, inst, etag) {
+        if (err) {
+            log.error(err, 'failed to get instance %s', uuid);
+            return (cb(err));
+        }
+
+        if (!inst) {
+            err = new restify.ResourceNotFoundError(
+                'no such instance: ' + uuid);
+            log.error(err, 'failed to get instance %s', uuid);
+            return (cb(err));
+        }
+
+        return (cb(null, inst, etag));
+    });
+};
+
+Model.prototype.getInstancePayload = function (uuid, cb) {
+    assert.string(uuid, 'uuid');
+    assert.func(cb, 'cb');
+
+    this.attributes.generateZoneParams(uuid, cb);
+};
+
+Model.prototype.updateInstance = function (uuid, change, action, opts, cb) {
+    if (arguments.length === 4) {
+        cb = opts;
+        opts = {};
+    }
+
+    if (opts.dry_run) {
+        previewUpdate.call(this, BUCKETS.instances, uuid, change, action, cb);
+        return;
+    }
+
+    this.updateObject(BUCKETS.instances, uuid, change, action, 3, opts, cb);
+};
+
+Model.prototype.rollbackInstance = function (uuid, opts, cb) {
+    rollbackObject.call(this, BUCKETS.instances, uuid, opts, cb);
+};
+
+/*
+ * Upgrade an instance to the given image.  If opts.async is set, the upgrade
+ * carries on in the background once the instance and image have been checked,
+ * and its operation (see createOperation()) is returned instead of the
+ * instance.
+ */
+Model.prototype.upgradeInstance = function (uuid, image_uuid, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    if (arguments.length === 3) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.string(uuid, 'uuid');
+    assert.string(image_uuid, 'image_uuid');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.force, 'opts.force');
+    assert.optionalBool(opts.async, 'opts.async');
+    assert.func(cb, 'cb');
+
+    var inst;
+
+    async.waterfall([
+        function getInst(subcb) {
+            self.getInstance(uuid, function (err, obj) {
+                if (err) {
+                    subcb(err);
+                    return;
+                }
+                inst = obj;
+                subcb();
+            });
+        },
+        function checkBrandAndImage(subcb) {
+            if (inst.type === 'agent') {
+                subcb();
+                return;
+            }
+
+            self.attributes.getParentObjects(uuid, function (err, objs) {
+                if (err) {
+                    subcb(err);
+                    return;
+                }
+
+                var params = self.attributes.assembleAttributes(
+                    objs.application, objs.service, objs.instance).params;
+                var brand = mod_brands.brandOf(params);
+
+                if (!mod_brands.canReprovision(brand)) {
+                    subcb(new mod_errors.UnsupportedOperationError(sprintf(
+                        'instance %s is a %s VM, which cannot be upgraded',
+                        uuid, brand)));
+                    return;
+                }
+
+                checkImage.call(self, {
+                    image_uuid: image_uuid,
+                    brand: brand,
+                    application: objs.application,
+                    service: objs.service,
+                    force: opts.force || false
+                }, subcb);
+            });
+        }
+    ], function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        runInstanceAction.call(self, {
+            action: 'upgrade',
+            instance: inst,
+            params: { image_uuid: image_uuid, force: opts.force || false },
+            async: opts.async,
+            req_id: opts.req_id
+        }, function (op, subcb) {
+            if (inst.type === 'agent') {
+                log.info('skipping upgrade of %s since ' +
+                    'instance type is agent', uuid);
+                subcb(null, inst);
+                return;
+            }
+
+            async.waterfall([
+                function tearDownInst(stepcb) {
+                    /*
+                     * Since all data not stored in the instance's delegated
+                     * dataset will be deleted upon a reprovision, run the
+                     * teardown-hook script here.
+                     */
+                    setStep.call(self, op, 'teardown-hook');
+                    runTeardownHook.call(self, inst, stepcb);
+                },
+                function reprovisionInst(stepcb) {
+                    if (self.proto_mode) {
+                        log.info('in proto mode, not upgrading VM');
+                        stepcb();
+                        return;
+                    }
+
+                    setStep.call(self, op, 'reprovision');
+                    self.vmapiplus.reprovisionVm(uuid, image_uuid,
+                        { async: true }, function (suberr, res) {
+                        if (suberr) {
+                            log.error(suberr, 'failed to reprovision VM %s',
+                                uuid);
+                            stepcb(suberr);
+                            return;
+                        }
+
+                        runVmJob.call(self, op, res.job_uuid, stepcb);
+                    });
+                }
+            ], function (suberr) {
+                subcb(suberr, inst);
+            });
+        }, cb);
+    });
+};
+
+/*
+ * Delete an instance, running its teardown-hook and destroying its VM first.
+ * As with upgradeInstance(), if opts.async is set, the instance is deleted in
+ * the background and its operation is returned.
+ */
+Model.prototype.delInstance = function (uuid, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.async, 'opts.async');
+    assert.optionalArrayOfString(opts.if_match, 'opts.if_match');
+    assert.func(cb, 'cb');
+
+    self.getInstance(uuid, function (err, inst, etag) {
+        if (!err && opts.if_match !== undefined &&
+            !etagMatches(opts.if_match, etag)) {
+            err = preconditionFailed(BUCKETS.instances, uuid, etag);
+        }
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        /*
+         * The instance must still match any if_match as it's removed, or for
+         * an instance with a VM, whose destruction can't be undone, as the VM
+         * is destroyed.
+         */
+        var delOpts = { if_match: opts.if_match };
+
+        runInstanceAction.call(self, {
+            action: 'delete',
+            instance: inst,
+            params: {},
+            async: opts.async,
+            req_id: opts.req_id
+        }, function (op, subcb) {
+            async.waterfall([
+                function runTearDown(stepcb) {
+                    if (inst.type === 'agent') {
+                        log.info('skipping teardown of %s since ' +
+                            'instance type is agent', uuid);
+                        stepcb();
+                        return;
+                    }
+
+                    setStep.call(self, op, 'teardown-hook');
+                    runTeardownHook.call(self, inst, stepcb);
+                },
+                function deleteInst(stepcb) {
+                    if (inst.type === 'agent') {
+                        log.info('skipping deletion of %s since ' +
+                            'instance type is agent', uuid);
+                        removeInstance.call(self, op, delOpts, stepcb);
+                        return;
+                    }
+
+                    if (self.proto_mode) {
+                        log.info('in proto mode, no VM to delete');
+                        removeInstance.call(self, op, delOpts, stepcb);
+                        return;
+                    }
+
+                    setStep.call(self, op, 'delete-vm');
+                    checkIfMatch.call(self, BUCKETS.instances, uuid,
+                        opts.if_match, stepcb);
+                },
+                function deleteVm(stepcb) {
+                    if (inst.type === 'agent' || self.proto_mode) {
+                        stepcb();
+                        return;
+                    }
+
+                    self.vmapiplus.deleteVm(uuid, { async: true },
+                        function (suberr, res) {
+                        if (suberr) {
+                            log.error(suberr, 'failed to delete VM %s', uuid);
+                            stepcb(suberr);
+                            return;
+                        } else if (!res.job_uuid) {
+                            removeInstance.call(self, op, stepcb);
+                            return;
+                        }
+
+                        // The instance is removed once the job succeeds
+                        runVmJob.call(self, op, res.job_uuid, stepcb);
+                    });
+                }
+            ], function (suberr) {
+                subcb(suberr);
+            });
+        }, cb);
+    });
+};
+
+/*
+ * Start, stop or reboot an instance's VM (see LIFECYCLE_ACTIONS), waiting for
+ * VMAPI's job to finish.  As with upgradeInstance(), if opts.async is set, the
+ * action carries on in the background and its operation is returned instead of
+ * the instance.
+ */
+Model.prototype.controlInstance = function controlInstance(uuid, action, opts,
+    cb) {
+    var self = this;
+
+    assert.string(uuid, 'uuid');
+    assert.string(action, 'action');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.async, 'opts.async');
+    assert.func(cb, 'cb');
+
+    var err = checkLifecycleAction.call(self, action);
+    if (err) {
+        cb(err);
+        return;
+    }
+
+    self.getInstance(uuid, function (suberr, inst) {
+        if (!suberr && inst.type === 'agent') {
+            suberr = new mod_errors.UnsupportedOperationError(sprintf(
+                'instance %s is an agent instance, which has no VM', uuid));
+        }
+        if (suberr) {
+            cb(suberr);
+            return;
+        }
+
+        runInstanceAction.call(self, {
+            action: action,
+            instance: inst,
+            params: {},
+            async: opts.async,
+            req_id: opts.req_id
+        }, function (op, subcb) {
+            setStep.call(self, op, action + '-vm');
+            self.vmapiplus[action + 'Vm'](uuid, { async: true },
+                function (vmErr, res) {
+                if (vmErr || !res.job_uuid) {
+                    subcb(vmErr, inst);
+                    return;
+                }
+
+                runVmJob.call(self, op, res.job_uuid, function (jobErr) {
+                    subcb(jobErr, inst);
+                });
+            });
+        }, cb);
+    });
+};
+
+/*
+ * Check an action given to controlInstance() or controlService(), returning an
+ * error if it isn't one of LIFECYCLE_ACTIONS or can't be done in proto mode.
+ */
+function checkLifecycleAction(action) {
+    if (LIFECYCLE_ACTIONS.indexOf(action) === -1) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'invalid action "%s": must be one of %s', action,
+            LIFECYCLE_ACTIONS.join(', '))));
+    }
+
+    if (this.proto_mode) {
+        return (new mod_errors.UnsupportedOperationError(sprintf(
+            'cannot %s VMs in proto mode', action)));
+    }
+
+    return (null);
+}
+
+/*
+ * Run a long-running action on an instance, func(op, cb), tracking its
+ * progress with an operation (see setStep() and runVmJob()), so that if SAPI
+ * restarts while it's waiting for a VMAPI job, it can be resumed (see
+ * Model.resumeOperations()).  Normally, cb is called with the action's result
+ * once it's done.  When opts.async is set, cb is called with the operation as
+ * soon as it's been created, and the action runs in the background.
+ */
+function runInstanceAction(opts, func, cb) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.action, 'opts.action');
+    assert.object(opts.instance, 'opts.instance');
+    assert.object(opts.params, 'opts.params');
+    assert.optionalBool(opts.async, 'opts.async');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.func(func, 'func');
+    assert.func(cb, 'cb');
+
+    createOperation.call(self, {
+        action: opts.action,
+        object_type: 'instance',
+        object_uuid: opts.instance.uuid,
+        params: opts.params,
+        step: null,
+        job_uuid: null,
+        req_id: opts.req_id || null
+    }, function (err, op) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (opts.async)
+            cb(null, op);
+
+        func(op, function (suberr, res) {
+            finishOperation.call(self, op, suberr || null, function () {
+                if (!opts.async)
+                    cb(suberr, res);
+            });
+        });
+    });
+}
+
+/*
+ * Record the step an instance action has reached in its operation.
+ */
+function setStep(op, step) {
+    assert.object(op, 'op');
+    assert.string(step, 'step');
+
+    op.step = step;
+    saveOperation.call(this, op);
+}
+
+/*
+ * For actions with nothing left to do once their VMAPI job has finished, only
+ * its result to report.
+ */
+function reportJob(op, err, cb) {
+    cb(err);
+}
+
+/*
+ * What's left of each instance action once the VMAPI job for its VM has
+ * finished: the kind of job (see VMAPIPlus.waitForVmJob()), and what to do
+ * with its result, done(op, err, cb).  This is the same whether the job was
+ * dispatched by this SAPI or by one which has since restarted.
+ */
+var AFTER_JOB = {
+    'create': {
+        kind: 'provision',
+        done: function (op, err, cb) {
+            if (!err) {
+                cb();
+                return;
+            }
+
+            // As if the instance had never been created
+            removeInstance.call(this, op, function () {
+                // Report the original error
+                cb(err);
+            });
+        }
+    },
+    'upgrade': {
+        kind: 'reprovision',
+        done: reportJob
+    },
+    'delete': {
+        kind: 'destroy',
+        done: function (op, err, cb) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            removeInstance.call(this, op, cb);
+        }
+    },
+    'start': {
+        kind: 'start',
+        done: reportJob
+    },
+    'stop': {
+        kind: 'stop',
+        done: reportJob
+    },
+    'reboot': {
+        kind: 'reboot',
+        done: reportJob
+    }
+};
+
+/*
+ * Wait for the VMAPI job of an instance action to finish, recording it in the
+ * action's operation, then finish the action (see AFTER_JOB).
+ */
+function runVmJob(op, job_uuid, cb) {
+    var self = this;
+
+    assert.object(op, 'op');
+    assert.string(job_uuid, 'job_uuid');
+    assert.func(cb, 'cb');
+
+    var after = AFTER_JOB[op.action];
+    assert.object(after, 'after');
+
+    op.job_uuid = job_uuid;
+    setStep.call(self, op, 'wait-for-job');
+
+    self.vmapiplus.waitForVmJob(after.kind, job_uuid, function (err) {
+        after.done.call(self, op, err || null, cb);
+    });
+}
+
+/*
+ * Remove the instance an action's operation is for, recording the removal in
+ * the instance's history.  It's only removed if it matches any opts.if_match
+ * (see deleteObject()).
+ */
+function removeInstance(op, opts, cb) {
+    var self = this;
+
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.object(op, 'op');
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.if_match, 'opts.if_match');
+    assert.func(cb, 'cb');
+
+    setStep.call(self, op, 'delete-object');
+    deleteObject.call(self, BUCKETS.instances, op.object_uuid, {
+        req_id: op.req_id || undefined,
+        if_match: opts.if_match
+    }, function (err) {
+        if (err) {
+            self.log.warn(err, 'failed to delete instance object %s',
+                op.object_uuid);
+        }
+        cb(err);
+    });
+}
+
+function runTeardownHook(inst, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.object(inst, 'inst');
+    assert.string(inst.uuid, 'inst.uuid');
+    assert.func(cb, 'cb');
+
+    if (self.proto_mode) {
+        log.info('in proto mode, no need to run teardown-hook');
+        cb();
+        return;
+    }
+
+    var script;
+    var server_uuid;
+
+    async.waterfall([
+        function genZoneParams(subcb) {
+            self.attributes.generateZoneParams(inst.uuid, subcb);
+        },
+        function setTeardownHook(params, subcb) {
+            if (!params || !params['teardown-hook']) {
+                log.info('no params[\'teardown-hook\'] ' +
+                    ' for instance %s', inst.uuid);
+                cb();
+                return;
+            }
+
+            script = params['teardown-hook'];
+            subcb();
+        },
+        function verifyInst(subcb) {
+            verifyZoneExists.call(self, inst.uuid, function (err, vm) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                server_uuid = vm.server_uuid;
+                subcb();
+            });
+        },
+        function execTeardownHook(subcb) {
+            script = sprintf('/usr/sbin/zlogin %s "%s"',
+                inst.uuid, script);
+
+            log.info({
+                server_uuid: server_uuid,
+                script: script
+            }, 'running teardown-hook script');
+
+            self.cnapi.commandExecute(server_uuid, script,
+                function cmdExecCb(suberr) {
+                if (suberr) {
+                    log.error(suberr, 'failed to execute ' +
+                        'command on %s', server_uuid);
+
+                    suberr =
+                        new mod_errors.TeardownHookError(
+                        suberr.message);
+
+                    subcb(suberr);
+                    return;
+                }
+
+                log.info('executed command on %s', server_uuid);
+                subcb();
+            });
+        }
+    ], function (err) {
+        cb(err);
+    });
+}
+
+function deployInstance(inst, opts, cb) {
+    var self = this;
+
+    assert.object(inst, 'inst');
+    assert.object(opts, 'opts');
+    assert.func(cb, 'cb');
+
+    async.waterfall([
+        function (subcb) {
+            self.attributes.generateZoneParams(inst.uuid, subcb);
+        },
+        function (params, subcb) {
+            assert.object(params, 'params');
+            assert.func(subcb, 'subcb');
+
+            if (inst.exists)
+                verifyZoneExists.call(self, inst.uuid, subcb);
+            else
+                provisionZone.call(self, params, opts, subcb);
+        }
+    ], function (err, res) {
+        cb(err, res);
+    });
+}
+
+
+/*
+ * Check that an image exists in the local IMGAPI, is active, and can be used by
+ * an instance of the given brand.  Unless opts.force is set, it must also have
+ * the same name as the image of the given service, so that an instance isn't
+ * accidentally provisioned or upgraded with the image of another service.  In
+ * proto mode, there's no IMGAPI to check with.
+ */
+function checkImage(opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.image_uuid, 'opts.image_uuid');
+    assert.string(opts.brand, 'opts.brand');
+    assert.object(opts.application, 'opts.application');
+    assert.object(opts.service, 'opts.service');
+    assert.bool(opts.force, 'opts.force');
+    assert.func(cb, 'cb');
+
+    var uuid = opts.image_uuid;
+
+    if (self.proto_mode) {
+        log.info('skipping validation of image %s since in proto mode', uuid);
+        setImmediate(cb);
+        return;
+    }
+
+    self.imgapi.getImage(uuid, function (err, image) {
+        if (err && verror.hasCauseWithName(err, 'ResourceNotFoundError')) {
+            cb(new mod_errors.InvalidImageError(sprintf(
+                'image %s is not in the local IMGAPI', uuid)));
+            return;
+        } else if (err) {
+            log.error(err, 'failed to get image %s', uuid);
+            cb(err);
+            return;
+        }
+
+        if (image.state !== 'active') {
+            cb(new mod_errors.InvalidImageError(sprintf(
+                'image %s is %s, not active', uuid, image.state)));
+            return;
+        }
+
+        var invalid = mod_brands.validateImage(opts.brand, image);
+        if (invalid !== null) {
+            cb(invalid);
+            return;
+        }
+
+        var svc_image_uuid = self.attributes.assembleAttributes(
+            opts.application, opts.service, {}).params.image_uuid;
+
+        if (opts.force || !svc_image_uuid || svc_image_uuid === uuid) {
+            cb();
+            return;
+        }
+
+        self.imgapi.getImage(svc_image_uuid, function (suberr, svc_image) {
+            if (suberr) {
+                log.warn(suberr, 'failed to get image %s of service %s; ' +
+                    'not comparing image names', svc_image_uuid,
+                    opts.service.uuid);
+                cb();
+                return;
+            }
+
+            if (svc_image.name !== image.name) {
+                cb(new mod_errors.InvalidImageError(sprintf(
+                    'image %s is "%s", but service %s uses "%s" images; ' +
+                    'set "force" to use it anyway', uuid, image.name,
+                    opts.service.uuid, svc_image.name)));
+                return;
+            }
+
+            cb();
+        });
+    });
+}
+
+/*
+ * Run func(cb) once any other placements of the service's instances have
+ * finished (see createInstance()).
+ */
+function withPlacementLock(service_uuid, func, cb) {
+    var self = this;
+    var placements = self.placements;
+
+    if (placements[service_uuid]) {
+        placements[service_uuid].push({ func: func, cb: cb });
+        return;
+    }
+
+    placements[service_uuid] = [];
+
+    function run(f, c) {
+        f(function () {
+            var waiting = placements[service_uuid].shift();
+            if (waiting)
+                run(waiting.func, waiting.cb);
+            else
+                delete placements[service_uuid];
+            c.apply(null, arguments);
+        });
+    }
+
+    run(func, cb);
+}
+
+/*
+ * If an instance has a placement policy (see placement.js), choose the server
+ * its VM is provisioned on, and set it as the instance's server_uuid.  In proto
+ * mode, there are no servers to choose from.
+ */
+function placeInstance(inst, service, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.object(inst, 'inst');
+    assert.object(service, 'service');
+    assert.func(cb, 'cb');
+
+    var app;
+    var placement;
+    var servers;
+    var peers;
+
+    async.waterfall([
+        function (subcb) {
+            self.getApplication(service.application_uuid,
+                function (err, obj) {
+                if (err) {
+                    subcb(err);
+                    return;
+                }
+
+                app = obj;
+                placement = self.attributes.assembleAttributes(app, service,
+                    inst).params.placement;
+                subcb();
+            });
+        },
+        function (subcb) {
+            if (!placement) {
+                cb();
+                return;
+            }
+
+            if (self.proto_mode) {
+                log.info('skipping placement of %s since in proto mode',
+                    inst.uuid);
+                cb();
+                return;
+            }
+
+            self.cnapi.listServers({ setup: true }, function (err, objs) {
+                if (err)
+                    log.error(err, 'failed to list servers');
+                servers = objs;
+                subcb(err);
+            });
+        },
+        function (subcb) {
+            self.listInstances({ service_uuid: service.uuid }, subcb);
+        },
+        function (insts, subcb) {
+            peers = mod_placement.findPeers({
+                placement: placement,
+                instance: inst,
+                instances: insts,
+                metadata: function (obj) {
+                    return (self.attributes.assembleAttributes(app, service,
+                        obj).metadata);
+                }
+            });
+
+            listActiveVms.call(self, app.owner_uuid, subcb);
+        },
+        function (vms, subcb) {
+            var located = {};
+            vms.forEach(function (vm) {
+                located[vm.uuid] = vm.server_uuid;
+            });
+
+            /*
+             * A peer whose VM VMAPI doesn't have (yet), such as one still
+             * being provisioned, is counted on the server it was placed on.
+             */
+            var chosen = mod_placement.chooseServer({
+                placement: placement,
+                servers: servers,
+                peers: peers.map(function (peer) {
+                    return (located[peer.uuid] ||
+                        (peer.params && peer.params.server_uuid));
+                }).filter(function (server_uuid) {
+                    return (typeof (server_uuid) === 'string');
+                }),
+                server_uuid: inst.params && inst.params.server_uuid
+            });
+
+            if (chosen instanceof Error) {
+                log.warn(chosen, 'failed to place instance %s', inst.uuid);
+                subcb(chosen);
+                return;
+            }
+
+            log.info({ placement: placement }, 'placing instance %s on ' +
+                'server %s', inst.uuid, chosen);
+
+            inst.params = inst.params || {};
+            inst.params.server_uuid = chosen;
+            subcb();
+        }
+    ], cb);
+}
+
+/*
+ * Checks VMAPI to see if a the given zone exists.  If in proto mode, assume it
+ * exists.
+ *
+ * Returns an error if the zone does not exist.
+ */
+function verifyZoneExists(uuid, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.string(uuid, 'uuid');
+    assert.func(cb, 'cb');
+
+    if (self.proto_mode) {
+        log.info('skipping verification of %s since in proto mode',
+            uuid);
+        cb(null, true);
+        return;
+    }
+
+    log.info('checking to ensure zone %s exists', uuid);
+
+    self.vmapi.getVm({ uuid: uuid }, function (err, vm) {
+        if (err && verror.hasCauseWithName(err, 'ResourceNotFoundError')) {
+            var msg = sprintf('no such zone: %s', uuid);
+            log.warn(msg);
+            cb(new restify.InvalidArgumentError(msg));
+            return;
+        } else if (err) {
+            log.error(err, 'failed to get VM %s', uuid);
+            cb(err);
+            return;
+        }
+
+        log.info('VM %s exists', uuid);
+        cb(null, vm);
+    });
+}
+
+function provisionZone(params, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.object(params, 'params');
+    assert.object(opts, 'opts');
+    assert.string(params.uuid, 'params.uuid');
+
+    if (self.proto_mode) {
+        log.info('skipping provision of %s since in proto mode',
+            params.uuid);
+        cb(null);
+        return;
+    }
+
+    log.info('checking to see if %s already exists', params.uuid);
+
+    self.vmapi.getVm({ uuid: params.uuid }, function getVmCb(err, vm) {
+        if (err && verror.hasCauseWithName(err, 'ResourceNotFoundError')) {
+            log.debug({ params: params, opts: opts }, 'provisioning zone');
+            self.vmapiplus.createVm(params, opts, cb);
+            return;
+        } else if (err) {
+            log.error(err, 'failed to get zone %s', params.uuid);
+            cb(err);
+            return;
+        }
+
+        log.info('zone %s already exists', vm.uuid);
+        cb(null);
+    });
+}
+
+
+
+// -- Reconciliation
+
+/*
+ * Cross-reference SAPI's instances with VMAPI's VMs, and report where the two
+ * have drifted apart:
+ *
+ *     missing_vm     instances whose VM VMAPI has no record of
+ *     destroyed_vm   instances whose VM has been destroyed
+ *     orphaned_vm    VMs which carry the tags of a service, but have no
+ *                    instance
+ *
+ * A VM carries the tags of a service when it belongs to the owner of the
+ * service's application, and has each of the tags in the service's own "tags"
+ * param (such as "smartdc_role").  Tags inherited from an application are
+ * shared by all its services, so services without tags of their own don't
+ * claim any VMs.  Agent instances have no VM to check, and nor do instances
+ * which are still being created or have a running operation, as their VMs
+ * may not exist yet.
+ */
+Model.prototype.reconcile = function reconcile(cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.func(cb, 'cb');
+
+    if (self.proto_mode) {
+        cb(new mod_errors.UnsupportedOperationError(
+            'reconciliation is not available in proto mode'));
+        return;
+    }
+
+    var report = {
+        missing_vm: [],
+        destroyed_vm: [],
+        orphaned_vm: []
+    };
+    var apps = {};
+    var svcs;
+    var insts = {};
+    var busy = {};
+    var vms = {};
+
+    async.waterfall([
+        function listApps(subcb) {
+            self.listApplications({}, function (err, objs) {
+                if (!err) {
+                    objs.forEach(function (app) {
+                        apps[app.uuid] = app;
+                    });
+                }
+                subcb(err);
+            });
+        },
+        function listSvcs(subcb) {
+            self.listServices({}, function (err, objs) {
+                svcs = objs;
+                subcb(err);
+            });
+        },
+        function listInsts(subcb) {
+            self.listInstances({ type: 'vm' }, function (err, objs) {
+                if (!err) {
+                    objs.forEach(function (inst) {
+                        insts[inst.uuid] = inst;
+                    });
+                }
+                subcb(err);
+            });
+        },
+        function listBusy(subcb) {
+            /*
+             * An instance still being provisioned (or otherwise acted on)
+             * may not have a VM yet, so isn't reported.
+             */
+            self.stor.listObjectValues(BUCKETS.operations,
+                { state: 'running', object_type: 'instance' }, {},
+                function (err, ops) {
+                if (!err) {
+                    ops.forEach(function (op) {
+                        busy[op.object_uuid] = true;
+                    });
+                    Object.keys(self.creating).forEach(function (uuid) {
+                        busy[uuid] = true;
+                    });
+                }
+                subcb(err);
+            });
+        },
+        function listVms(subcb) {
+            var owners = [];
+            Object.keys(apps).forEach(function (uuid) {
+                if (owners.indexOf(apps[uuid].owner_uuid) === -1)
+                    owners.push(apps[uuid].owner_uuid);
+            });
+
+            vasync.forEachParallel({
+                func: function (owner_uuid, ownercb) {
+                    listActiveVms.call(self, owner_uuid,
+                        function (err, objs) {
+                        if (!err) {
+                            objs.forEach(function (vm) {
+                                vms[vm.uuid] = vm;
+                            });
+                        }
+                        ownercb(err);
+                    });
+                },
+                inputs: owners
+            }, function (err) {
+                subcb(err && err.ase_errors ? err.ase_errors[0] : err);
+            });
+        },
+        function checkInsts(subcb) {
+            var unmatched = Object.keys(insts).filter(function (uuid) {
+                return (!vms.hasOwnProperty(uuid) && !busy[uuid]);
+            });
+
+            /*
+             * Only active VMs were listed, so ask about the rest one at a
+             * time.  Their VMs may just belong to someone else.
+             */
+            vasync.forEachParallel({
+                func: function (uuid, instcb) {
+                    var entry = {
+                        uuid: uuid,
+                        service_uuid: insts[uuid].service_uuid
+                    };
+
+                    self.vmapi.getVm({ uuid: uuid }, function (err, vm) {
+                        if (err && verror.hasCauseWithName(err,
+                            'ResourceNotFoundError')) {
+                            report.missing_vm.push(entry);
+                            instcb();
+                            return;
+                        } else if (err) {
+                            log.error(err, 'failed to get VM %s', uuid);
+                            instcb(err);
+                            return;
+                        }
+
+                        if (vm.state === 'destroyed')
+                            report.destroyed_vm.push(entry);
+                        instcb();
+                    });
+                },
+                inputs: unmatched
+            }, function (err) {
+                subcb(err && err.ase_errors ? err.ase_errors[0] : err);
+            });
+        },
+        function findOrphans(subcb) {
+            var tagged = svcs.filter(function (svc) {
+                var tags = svc.params && svc.params.tags;
+
+                return (svc.type !== 'agent' && apps[svc.application_uuid] &&
+                    typeof (tags) === 'object' && tags !== null &&
+                    Object.keys(tags).length > 0);
+            }).map(function (svc) {
+                return ({
+                    uuid: svc.uuid,
+                    owner_uuid: apps[svc.application_uuid].owner_uuid,
+                    tags: svc.params.tags
+                });
+            });
+
+            Object.keys(vms).forEach(function (uuid) {
+                var vm = vms[uuid];
+
+                if (insts.hasOwnProperty(uuid))
+                    return;
+
+                var matches = tagged.filter(function (svc) {
+                    return (svc.owner_uuid === vm.owner_uuid &&
+                        Object.keys(svc.tags).every(function (key) {
+                        return (vm.tags && vm.tags[key] === svc.tags[key]);
+                    }));
+                });
+
+                if (matches.length === 0)
+                    return;
+
+                report.orphaned_vm.push({
+                    uuid: uuid,
+                    alias: vm.alias,
+                    server_uuid: vm.server_uuid,
+                    service_uuids: matches.map(function (svc) {
+                        return (svc.uuid);
+                    })
+                });
+            });
+
+            subcb();
+        }
+    ], function (err) {
+        if (err) {
+            log.error(err, 'failed to reconcile instances');
+            cb(err);
+            return;
+        }
+
+        cb(null, report);
+    });
+};
+
+/*
+ * Fix the drift found by reconcile() for the given VMs or instances (by
+ * default, all of them): opts.action "adopt" creates an instance for each
+ * orphaned VM (as if it were given to CreateInstance with "exists"), and
+ * "remove" removes each instance whose VM is missing or destroyed.  Each UUID
+ * gets its own result, either { uuid, result } or { uuid, error }.
+ */
+Model.prototype.fixDrift = function fixDrift(opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.action, 'opts.action');
+    assert.optionalArrayOfString(opts.uuids, 'opts.uuids');
+    assert.func(cb, 'cb');
+
+    self.reconcile(function (err, report) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var drifted = {};
+        var describe;
+
+        if (opts.action === 'adopt') {
+            describe = 'an orphaned VM';
+            report.orphaned_vm.forEach(function (entry) {
+                drifted[entry.uuid] = entry;
+            });
+        } else {
+            assert.equal(opts.action, 'remove', 'opts.action');
+            describe = 'an instance without a VM';
+            report.missing_vm.concat(report.destroyed_vm).forEach(
+                function (entry) {
+                drifted[entry.uuid] = entry;
+            });
+        }
+
+        var uuids = opts.uuids || Object.keys(drifted);
+
+        function fix(uuid, fixcb) {
+            var entry = drifted[uuid];
+
+            if (!entry) {
+                fixcb(new restify.InvalidArgumentError(sprintf(
+                    '%s is not %s', uuid, describe)));
+                return;
+            }
+
+            if (opts.action === 'remove') {
+                log.info('removing instance %s, whose VM is gone', uuid);
+                deleteObject.call(self, BUCKETS.instances, uuid,
+                    { req_id: opts.req_id }, function (suberr) {
+                    fixcb(suberr, 'removed');
+                });
+                return;
+            }
+
+            if (entry.service_uuids.length !== 1) {
+                fixcb(new restify.InvalidArgumentError(sprintf(
+                    'VM %s carries the tags of services %s; adopt it with ' +
+                    'CreateInstance instead', uuid,
+                    entry.service_uuids.join(', '))));
+                return;
+            }
+
+            log.info('adopting VM %s into service %s', uuid,
+                entry.service_uuids[0]);
+
+            var inst = {
+                uuid: uuid,
+                service_uuid: entry.service_uuids[0],
+                params: {},
+                exists: true
+            };
+            if (entry.alias)
+                inst.params.alias = entry.alias;
+
+            self.createInstance(inst, { req_id: opts.req_id },
+                function (suberr) {
+                fixcb(suberr, 'adopted');
+            });
+        }
+
+        var results = [];
+
+        vasync.forEachPipeline({
+            func: function (uuid, subcb) {
+                fix(uuid, function (suberr, result) {
+                    if (suberr) {
+                        log.warn(suberr, 'failed to %s %s', opts.action,
+                            uuid);
+                        results.push({ uuid: uuid, error: suberr.message });
+                    } else {
+                        results.push({ uuid: uuid, result: result });
+                    }
+                    subcb();
+                });
+            },
+            inputs: uuids
+        }, function () {
+            cb(null, results);
+        });
+    });
+};
+
+/*
+ * List all of an owner's active VMs, a page at a time.
+ */
+function listActiveVms(owner_uuid, cb) {
+    var self = this;
+
+    assert.string(owner_uuid, 'owner_uuid');
+    assert.func(cb, 'cb');
+
+    var vms = [];
+
+    function listPage() {
+        var params = {
+            owner_uuid: owner_uuid,
+            state: 'active',
+            limit: VMAPI_PAGE_LIMIT,
+            offset: vms.length
+        };
+
+        self.vmapi.listVms(params, function (err, page) {
+            if (err) {
+                self.log.error(err, 'failed to list VMs of %s', owner_uuid);
+                cb(err);
+                return;
+            }
+
+            vms = vms.concat(page);
+            if (page.length < VMAPI_PAGE_LIMIT)
+                cb(null, vms);
+            else
+                listPage();
+        });
+    }
+
+    listPage();
+}
+
+/*
+ * Reconcile every opts.interval seconds, logging any drift found, until the
+ * model is closed.
+ */
+function startReconciling(opts) {
+    var self = this;
+    var log = self.log;
+
+    assert.object(opts, 'opts');
+    assert.number(opts.interval, 'opts.interval');
+
+    self.reconcile_timer = setInterval(function () {
+        if (self.proto_mode)
+            return;
+
+        self.reconcile(function (err, report) {
+            if (err)
+                return;
+
+            var drift = report.missing_vm.length +
+                report.destroyed_vm.length + report.orphaned_vm.length;
+            if (drift > 0) {
+                log.warn({ report: report }, 'instances have drifted from ' +
+                    'their VMs');
+            } else {
+                log.info('instances match their VMs');
+            }
+        });
+    }, opts.interval * 1000);
+    self.reconcile_timer.unref();
+}
+
+
+
+// -- Images
+
+/*
+ * Search for images matching the given filters (see IMGAPI ListImages) in the
+ * local IMGAPI and, if opts.updates is set, the updates server too.  Images
+ * which are only on the updates server have a "source", from which
+ * downloadImage() imports them.
+ */
+Model.prototype.searchImages = function searchImages(filters, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.object(filters, 'filters');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.updates, 'opts.updates');
+    assert.func(cb, 'cb');
+
+    if (self.proto_mode) {
+        cb(new mod_errors.UnsupportedOperationError(
+            'images cannot be searched in proto mode'));
+        return;
+    }
+
+    if (opts.updates && !self.updates) {
+        cb(new mod_errors.UnsupportedOperationError(
+            'no updates server is configured'));
+        return;
+    }
+
+    var sources = [ { client: self.imgapi } ];
+    if (opts.updates) {
+        sources.push({ client: self.updates,
+            url: updatesSource(self.config.updates) });
+    }
+
+    log.debug({ filters: filters, opts: opts }, 'searching images');
+
+    vasync.forEachParallel({
+        func: function (source, subcb) {
+            source.client.listImages(filters, subcb);
+        },
+        inputs: sources
+    }, function (err, results) {
+        if (err) {
+            log.error(err, 'failed to search images');
+            cb(err);
+            return;
+        }
+
+        var seen = {};
+        var images = [];
+
+        results.operations.forEach(function (op, i) {
+            op.result.forEach(function (image) {
+                if (seen[image.uuid])
+                    return;
+                seen[image.uuid] = true;
+
+                if (sources[i].url)
+                    image.source = sources[i].url;
+                images.push(image);
+            });
+        });
+
+        cb(null, images);
+    });
+};
+
+/*
+ * Import an image into the local IMGAPI, from opts.source or else the updates
+ * server, and wait for the import to finish.  Images which are already in the
+ * local IMGAPI are returned as they are.
+ */
+Model.prototype.downloadImage = function downloadImage(uuid, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.source, 'opts.source');
+    assert.func(cb, 'cb');
+
+    if (self.proto_mode) {
+        cb(new mod_errors.UnsupportedOperationError(
+            'images cannot be downloaded in proto mode'));
+        return;
+    }
+
+    self.imgapi.getImage(uuid, function (err, image) {
+        if (!err) {
+            log.info('image %s is already imported', uuid);
+            cb(null, image);
+            return;
+        } else if (!verror.hasCauseWithName(err, 'ResourceNotFoundError')) {
+            log.error(err, 'failed to get image %s', uuid);
+            cb(err);
+            return;
+        }
+
+        var source = opts.source ||
+            (self.config.updates && updatesSource(self.config.updates));
+        if (!source) {
+            cb(new restify.MissingParameterError(sprintf('image %s is not ' +
+                'in the local IMGAPI, and no source or updates server is ' +
+                'configured', uuid)));
+            return;
+        }
+
+        log.info({ source: source }, 'importing image %s', uuid);
+
+        self.imgapi.adminImportRemoteImageAndWait(uuid, source,
+            { skipOwnerCheck: true }, function (suberr, imported) {
+            if (suberr) {
+                log.error(suberr, 'failed to import image %s', uuid);
+                cb(suberr);
+                return;
+            }
+
+            log.info('imported image %s', uuid);
+            cb(null, imported);
+        });
+    });
+};
+
+/*
+ * The source URL for images on the updates server, which includes the update
+ * channel if one is configured.
+ */
+function updatesSource(updates) {
+    assert.object(updates, 'updates');
+
+    if (!updates.channel)
+        return (updates.url);
+    return (sprintf('%s?channel=%s', updates.url,
+        encodeURIComponent(updates.channel)));
+}
+
+
+
+// -- Manifests
+
+/*
+ * Create a configuration manifest.
+ */
+Model.prototype.createManifest = function createManifest(mfest, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.object(mfest, 'mfest');
+    assert.string(mfest.name, 'mfest.name');
+    assert.string(mfest.path, 'mfest.path');
+    assert.ok(mfest.template, 'mfest.template');
+    assert.optionalString(mfest.post_cmd, 'mfest.post_cmd');
+    assert.optionalString(mfest.version, 'mfest.version');
+
+    /*
+     * If the caller hasn't provided a UUID, generate one here.
+     */
+    if (!mfest.uuid)
+        mfest.uuid = node_uuid.v4();
+
+    /*
+     * If no version specified, use version 1.0.0.
+     */
+    if (!mfest.version)
+        mfest.version = '1.0.0';
+
+    log.info({
+        name: mfest.name,
+        path: mfest.path,
+        post_cmd: mfest.post_cmd,
+        version: mfest.version
+    }, 'creating manifest %s', mfest.uuid);
+
+    self.stor.putObject(BUCKETS.manifests, mfest.uuid, mfest,
+        function (err) {
+        if (err) {
+            log.error(err, 'failed to put ' +
+                'configuration manifest %s', mfest.uuid);
+            return (cb(err));
+        }
+
+        log.info('created manifest %s', mfest.uuid);
+
+        recordHistory.call(self, {
+            bucket: BUCKETS.manifests,
+            uuid: mfest.uuid,
+            action: 'create',
+            after: mfest,
+            req_id: opts.req_id
+        }, function () {
+            cb(null, mfest);
+        });
+
+        return (null);
+    });
 };
 
-Model.prototype.delInstance = function (uuid, cb) {
+/*
+ * Publish a new version of a manifest.  Manifests themselves are never
+ * modified; instead, the new version is created as a separate manifest with
+ * the same name, so objects which refer to older versions by UUID keep working.
+ *
+ * The new version must be greater than every existing version of the manifest.
+ * If no version is given, the patch version of the latest one is incremented.
+ * Anything else not given (path, template, post_cmd) is carried over from the
+ * manifest being updated.
+ */
+Model.prototype.updateManifest = function updateManifest(uuid, changes, opts,
+    cb) {
     var self = this;
     var log = self.log;
 
+    if (arguments.length === 3) {
+        cb = opts;
+        opts = {};
+    }
+
     assert.string(uuid, 'uuid');
+    assert.object(changes, 'changes');
+    assert.optionalString(changes.version, 'changes.version');
+    assert.object(opts, 'opts');
     assert.func(cb, 'cb');
 
-    var inst;
+    var mfest;
 
     async.waterfall([
-        function getInst(subcb) {
-            self.getInstance(uuid, function (err, obj) {
-                if (err) {
-                    subcb(err);
-                    return;
-                }
-                inst = obj;
-                subcb();
+        function (subcb) {
+            self.getManifest(uuid, function (err, obj) {
+                mfest = obj;
+                subcb(err);
             });
         },
-        function runTearDown(subcb) {
-            if (inst.type === 'agent') {
-                log.info('skipping teardown of %s since ' +
-                    'instance type is agent', uuid);
-                subcb();
-                return;
-            }
-
-            runTeardownHook.call(self, inst, subcb);
+        function (subcb) {
+            self.listManifests({ name: mfest.name },
+                { include_master: true }, subcb);
         },
-        function deleteInst(subcb) {
-            if (inst.type === 'agent') {
-                log.info('skipping deletion of %s since + ' +
-                    'instance type is agent', uuid);
-                subcb();
+        function (mfests, subcb) {
+            var latest = semver.maxSatisfying(mfests.map(function (m) {
+                return (m.version);
+            }).filter(function (v) {
+                return (semver.valid(v));
+            }), '*') || '0.0.0';
+
+            var version = changes.version || semver.inc(latest, 'patch');
+            if (!semver.valid(version)) {
+                subcb(new restify.InvalidArgumentError(
+                    'invalid version: ' + version));
                 return;
-            }
-
-            if (self.proto_mode) {
-                log.info('in proto mode, no VM to delete');
-                subcb();
+            } else if (!semver.gt(version, latest)) {
+                subcb(new restify.InvalidArgumentError(sprintf(
+                    'version %s of manifest %s must be greater than %s',
+                    version, mfest.name, latest)));
                 return;
             }
 
-            self.vmapiplus.deleteVm(uuid, function delVmCb(err) {
-                if (err) {
-                    log.error(err,
-                        'failed to delete VM %s', uuid);
-                    subcb(err);
-                    return;
-                }
+            var newMfest = {
+                name: mfest.name,
+                path: changes.path || mfest.path,
+                template: changes.template !== undefined ?
+                    changes.template : mfest.template,
+                post_cmd: changes.post_cmd !== undefined ?
+                    changes.post_cmd : mfest.post_cmd,
+                version: version,
+                master: mfest.master
+            };
 
-                subcb();
-                return;
-            });
-        },
-        function delObj(subcb) {
-            self.stor.delObject(BUCKETS.instances, uuid,
-                function delObjCb(err) {
-                if (err) {
-                    log.warn(err, 'failed to ' +
-                        'delete instance object %s',
-                        uuid);
-                    subcb(err);
-                    return;
-                }
+            log.info({
+                name: mfest.name,
+                from: mfest.version,
+                version: version
+            }, 'updating manifest %s', uuid);
 
-                subcb();
-            });
+            self.createManifest(newMfest, opts, subcb);
         }
     ], cb);
 };
 
-function runTeardownHook(inst, cb) {
+Model.prototype.listManifests = function (filters, opts, cb) {
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.object(filters, 'filters');
+    assert.object(opts, 'opts');
+    assert.func(cb, 'cb');
+
+    this.stor.listObjectValues(BUCKETS.manifests, filters, opts, cb);
+};
+
+Model.prototype.getManifest = function (uuid, cb) {
+    var log = this.log;
+
+    getObjectValue.call(this, BUCKETS.manifests, uuid,
+        function (err, mfest) {
+        if (err) {
+            log.error(err, 'failed to get manifest %s', uuid);
+            return (cb(err));
+        }
+
+        if (!mfest) {
+            err = new restify.ResourceNotFoundError(
+                'no such manifest: ' + uuid);
+            log.error(err, 'failed to get manifest %s', uuid);
+            return (cb(err));
+        }
+
+        return (cb(null, mfest));
+    });
+};
+
+/*
+ * Resolve a reference to a manifest, as found in an object's manifests.  A
+ * reference is either the UUID of a particular manifest, or an object with the
+ * name of a manifest and an optional semver range, in which case the highest
+ * matching version of the manifest is used.
+ */
+Model.prototype.resolveManifest = function resolveManifest(ref, cb) {
     var self = this;
     var log = self.log;
 
-    assert.object(inst, 'inst');
-    assert.string(inst.uuid, 'inst.uuid');
     assert.func(cb, 'cb');
 
-    if (self.proto_mode) {
-        log.info('in proto mode, no need to run teardown-hook');
-        cb();
+    if (typeof (ref) === 'string') {
+        self.getManifest(ref, cb);
         return;
     }
 
-    var script;
-    var server_uuid;
+    assert.object(ref, 'ref');
+    assert.string(ref.name, 'ref.name');
+    assert.optionalString(ref.version, 'ref.version');
 
-    async.waterfall([
-        function genZoneParams(subcb) {
-            self.attributes.generateZoneParams(inst.uuid, subcb);
-        },
-        function setTeardownHook(params, subcb) {
-            if (!params || !params['teardown-hook']) {
-                log.info('no params[\'teardown-hook\'] ' +
-                    ' for instance %s', inst.uuid);
-                cb();
-                return;
-            }
+    var range = ref.version || '*';
 
-            script = params['teardown-hook'];
-            subcb();
-        },
-        function verifyInst(subcb) {
-            verifyZoneExists.call(self, inst.uuid, function (err, vm) {
+    self.listManifests({ name: ref.name }, { include_master: true },
+        function (err, mfests) {
+        if (err) {
+            log.error(err, 'failed to list manifests named %s', ref.name);
+            cb(err);
+            return;
+        }
+
+        var versions = mfests.map(function (m) {
+            return (m.version);
+        }).filter(function (v) {
+            return (semver.valid(v));
+        });
+
+        var version = semver.maxSatisfying(versions, range);
+        if (!version) {
+            err = new restify.ResourceNotFoundError(sprintf(
+                'no manifest %s matching version %s', ref.name, range));
+            log.error(err, 'failed to resolve manifest %s', ref.name);
+            cb(err);
+            return;
+        }
+
+        cb(null, mfests.filter(function (m) {
+            return (m.version === version);
+        })[0]);
+    });
+};
+
+Model.prototype.delManifest = function (uuid, opts, cb) {
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    deleteObject.call(this, BUCKETS.manifests, uuid, opts, cb);
+};
+
+
+
+// -- Batches
+
+/*
+ * Make a batch of changes to applications, services, instances and manifests,
+ * all or nothing.  Each of the ops is one of:
+ *
+ *     { action: 'create', type, object }
+ *     { action: 'update', type, uuid, changes, update_action }
+ *     { action: 'delete', type, uuid }
+ *
+ * where type is "application", "service", "instance" or "manifest".  An update
+ * or delete may also have an if_match (see etagMatches()).
+ *
+ * The ops are made in turn, each just as its own create, update or delete would
+ * be, except that every write (history included) is held in a StagedStorage.
+ * Only if all of them succeed are the writes made, together, with the stor's
+ * batch().  The staged writes have no etags of their own, so an op's if_match
+ * is matched against its object's etag from before the batch, even if an
+ * earlier op changed it; an object which an earlier op created can only be
+ * matched by "*".
+ *
+ * Instances can only be created and deleted for agent services, as there's no
+ * undoing the provision or destruction of a VM, and deletes don't cascade.
+ *
+ * The callback is given each op's result: its action, type and uuid, and the
+ * object it left (null, for a delete).
+ */
+Model.prototype.batch = function batch(ops, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.arrayOfObject(ops, 'ops');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.func(cb, 'cb');
+
+    var staged = new StagedStorage({ log: log, stor: self.stor });
+
+    /*
+     * The ops are made with a view of the model whose stor is the staged one,
+     * so that each of them (and the resolution of manifest references) sees
+     * those before it.
+     */
+    var view = Object.create(self);
+    view.stor = staged;
+    view.attributes = new Attributes({ log: log, model: view });
+
+    var results = [];
+
+    log.info({ count: ops.length }, 'making batch');
+
+    vasync.forEachPipeline({
+        inputs: ops,
+        func: function (op, subcb) {
+            batchOperation.call(view, op, opts, function (err, obj) {
                 if (err) {
-                    cb(err);
+                    subcb(batchError(err, results.length));
                     return;
                 }
 
-                server_uuid = vm.server_uuid;
+                results.push({
+                    action: op.action,
+                    type: op.type,
+                    uuid: obj ? obj.uuid : op.uuid,
+                    object: obj || null
+                });
                 subcb();
             });
-        },
-        function execTeardownHook(subcb) {
-            script = sprintf('/usr/sbin/zlogin %s "%s"',
-                inst.uuid, script);
+        }
+    }, function (err) {
+        if (err) {
+            log.error(err, 'batch failed; nothing was changed');
+            cb(err);
+            return;
+        }
 
-            log.info({
-                server_uuid: server_uuid,
-                script: script
-            }, 'running teardown-hook script');
+        staged.commit(function (suberr) {
+            if (suberr &&
+                verror.hasCauseWithName(suberr, 'EtagConflictError')) {
+                suberr = new mod_errors.EtagConflictError(
+                    'batch not made, as objects it changes were changed ' +
+                    'at the same time; nothing was changed');
+            }
+            if (suberr) {
+                log.error(suberr, 'failed to commit batch');
+                cb(suberr);
+                return;
+            }
 
-            self.cnapi.commandExecute(server_uuid, script,
-                function cmdExecCb(suberr) {
-                if (suberr) {
-                    log.error(suberr, 'failed to execute ' +
-                        'command on %s', server_uuid);
+            log.info({ count: ops.length }, 'made batch');
+            cb(null, results);
+        });
+    });
+};
 
-                    suberr =
-                        new mod_errors.TeardownHookError(
-                        suberr.message);
+/*
+ * Make one of a batch's ops (see batch()), calling back with the object it
+ * leaves.
+ */
+function batchOperation(op, opts, cb) {
+    var self = this;
 
-                    subcb(suberr);
+    assert.string(op.action, 'op.action');
+    assert.string(op.type, 'op.type');
+    assert.ok(BATCH_BUCKETS.hasOwnProperty(op.type), 'op.type');
+    assert.optionalArrayOfString(op.if_match, 'op.if_match');
+
+    var bucket = BATCH_BUCKETS[op.type];
+    var reqOpts = { req_id: opts.req_id };
+
+    if (op.action === 'create') {
+        assert.object(op.object, 'op.object');
+
+        if (op.type === 'application') {
+            self.createApplication(op.object, reqOpts, cb);
+        } else if (op.type === 'service') {
+            self.createService(op.object, reqOpts, cb);
+        } else if (op.type === 'manifest') {
+            self.createManifest(op.object, reqOpts, cb);
+        } else {
+            assert.string(op.object.service_uuid, 'op.object.service_uuid');
+
+            self.getService(op.object.service_uuid, function (err, svc) {
+                if (!err && svc.type !== 'agent') {
+                    err = new mod_errors.UnsupportedOperationError(
+                        'only instances of agent services can be created ' +
+                        'in a batch');
+                }
+                if (err) {
+                    cb(err);
                     return;
                 }
 
-                log.info('executed command on %s', server_uuid);
-                subcb();
+                self.createInstance(op.object, reqOpts, cb);
             });
         }
-    ], function (err) {
-        cb(err);
+        return;
+    }
+
+    assert.string(op.uuid, 'op.uuid');
+
+    /*
+     * Updates and deletes both need the object to exist, and to match any
+     * If-Match precondition.
+     */
+    getObjectValue.call(self, bucket, op.uuid, function (err, obj, etag) {
+        if (!err && !obj) {
+            err = new restify.ResourceNotFoundError(sprintf(
+                'no such %s: %s', op.type, op.uuid));
+        } else if (!err && op.if_match !== undefined &&
+            !etagMatches(op.if_match, etag)) {
+            err = etag !== undefined ?
+                preconditionFailed(bucket, op.uuid, etag) :
+                new restify.PreconditionFailedError(sprintf('%s %s is ' +
+                'created by the batch, so has no etag yet', op.type,
+                op.uuid));
+        }
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (op.action === 'update' && op.type === 'manifest') {
+            self.updateManifest(op.uuid, op.changes, reqOpts, cb);
+        } else if (op.action === 'update') {
+            assert.object(op.changes, 'op.changes');
+            assert.string(op.update_action, 'op.update_action');
+
+            self.updateObject(bucket, op.uuid, op.changes, op.update_action,
+                0, reqOpts, function (suberr, updated) {
+                cb(suberr, updated);
+            });
+        } else if (op.action !== 'delete') {
+            cb(new restify.InvalidArgumentError(
+                'unknown batch action ' + op.action));
+        } else if (op.type === 'application') {
+            self.delApplication(op.uuid, reqOpts, function (suberr) {
+                cb(suberr);
+            });
+        } else if (op.type === 'service') {
+            self.delService(op.uuid, reqOpts, function (suberr) {
+                cb(suberr);
+            });
+        } else if (op.type === 'instance' && obj.type !== 'agent') {
+            cb(new mod_errors.UnsupportedOperationError(
+                'only instances of agent services can be deleted in a batch'));
+        } else {
+            deleteObject.call(self, bucket, op.uuid, reqOpts, cb);
+        }
     });
 }
 
-function deployInstance(inst, opts, cb) {
+/*
+ * Say which of a batch's ops an error comes from.
+ */
+function batchError(err, index) {
+    var message = sprintf('operation %d: %s', index, err.message);
+
+    err.message = message;
+    if (err.body && typeof (err.body) === 'object')
+        err.body.message = message;
+
+    return (err);
+}
+
+
+// -- Export and import
+
+/*
+ * Export an application: a document holding the application, its services,
+ * their instances and every manifest any of them refers to, which
+ * importApplication() can re-create it from.
+ */
+Model.prototype.exportApplication = function exportApplication(uuid, cb) {
     var self = this;
+    var log = self.log;
+
+    assert.string(uuid, 'uuid');
+    assert.func(cb, 'cb');
+
+    loadAppObjects({
+        buckets: BUCKETS,
+        stor: self.stor,
+        uuid: uuid
+    }, function (err, objs) {
+        if (err) {
+            log.error(err, 'failed to export application %s', uuid);
+            cb(err);
+            return;
+        }
+
+        if (!objs.application) {
+            cb(new restify.ResourceNotFoundError(
+                'no such application: ' + uuid));
+            return;
+        }
+
+        log.info({
+            services: objs.services.length,
+            instances: objs.instances.length,
+            manifests: objs.manifests.length
+        }, 'exported application %s', uuid);
+
+        cb(null, {
+            version: EXPORT_VERSION,
+            exported: new Date().toISOString(),
+            application: objs.application.value,
+            services: objs.services,
+            instances: objs.instances,
+            manifests: objs.manifests
+        });
+    });
+};
+
+/*
+ * Check a document to be imported (see exportApplication()), returning an
+ * InvalidArgumentError or null.
+ */
+function validateExport(doc) {
+    function invalid(msg) {
+        return (new restify.InvalidArgumentError('invalid export: ' + msg));
+    }
+
+    function isObjects(val) {
+        return (Array.isArray(val) && val.every(function (obj) {
+            return (typeof (obj) === 'object' && obj !== null &&
+                typeof (obj.uuid) === 'string');
+        }));
+    }
 
-    assert.object(inst, 'inst');
-    assert.object(opts, 'opts');
-    assert.func(cb, 'cb');
+    if (doc.version !== EXPORT_VERSION)
+        return (invalid('version must be ' + EXPORT_VERSION));
 
-    async.waterfall([
-        function (subcb) {
-            self.attributes.generateZoneParams(inst.uuid, subcb);
-        },
-        function (params, subcb) {
-            assert.object(params, 'params');
-            assert.func(subcb, 'subcb');
+    var app = doc.application;
+    if (!isObjects([ app ]) || typeof (app.name) !== 'string' ||
+        typeof (app.owner_uuid) !== 'string') {
+        return (invalid('application must have a uuid, name and owner_uuid'));
+    }
 
-            if (inst.exists)
-                verifyZoneExists.call(self, inst.uuid, subcb);
-            else
-                provisionZone.call(self, params, opts, subcb);
+    var lists = [ 'services', 'instances', 'manifests' ];
+    for (var i = 0; i < lists.length; i++) {
+        if (!isObjects(doc[lists[i]])) {
+            return (invalid(sprintf('%s must be an array of objects, each ' +
+                'with a uuid', lists[i])));
         }
-    ], function (err, res) {
-        cb(err, res);
-    });
-}
+    }
+
+    var svcs = {};
+    var svc = doc.services.filter(function (obj) {
+        svcs[obj.uuid] = obj;
+        return (typeof (obj.name) !== 'string' ||
+            obj.application_uuid !== app.uuid);
+    })[0];
+    if (svc) {
+        return (invalid(sprintf('service %s must have a name, and be of ' +
+            'application %s', svc.uuid, app.uuid)));
+    }
+
+    var inst = doc.instances.filter(function (obj) {
+        return (!svcs.hasOwnProperty(obj.service_uuid));
+    })[0];
+    if (inst) {
+        return (invalid(sprintf('instance %s isn\'t of any of the services',
+            inst.uuid)));
+    }
 
+    var mfest = doc.manifests.filter(function (obj) {
+        return (typeof (obj.name) !== 'string' ||
+            typeof (obj.path) !== 'string' || !obj.template);
+    })[0];
+    if (mfest) {
+        return (invalid(sprintf('manifest %s must have a name, path and ' +
+            'template', mfest.uuid)));
+    }
+
+    return (null);
+}
 
 /*
- * Checks VMAPI to see if a the given zone exists.  If in proto mode, assume it
- * exists.
- *
- * Returns an error if the zone does not exist.
+ * Work out what importing an object means: creating it if it doesn't exist,
+ * otherwise updating its IMPORT_FIELDS with a JSON Patch, if they differ.
+ * Manifests are never changed, so an existing one is left alone.
  */
-function verifyZoneExists(uuid, cb) {
+function planImport(type, obj, cb) {
     var self = this;
-    var log = self.log;
-
-    assert.string(uuid, 'uuid');
-    assert.func(cb, 'cb');
+    var bucket = BATCH_BUCKETS[type];
+    var parent = { service: 'application_uuid', instance: 'service_uuid' };
 
-    if (self.proto_mode) {
-        log.info('skipping verification of %s since in proto mode',
-            uuid);
-        cb(null, true);
-        return;
-    }
+    getObjectValue.call(self, bucket, obj.uuid, function (err, current) {
+        if (err) {
+            cb(err);
+            return;
+        }
 
-    log.info('checking to ensure zone %s exists', uuid);
+        var step = { action: 'create', type: type, uuid: obj.uuid };
 
-    self.vmapi.getVm({ uuid: uuid }, function (err, vm) {
-        if (err && verror.hasCauseWithName(err, 'ResourceNotFoundError')) {
-            var msg = sprintf('no such zone: %s', uuid);
-            log.warn(msg);
-            cb(new restify.InvalidArgumentError(msg));
+        if (!current) {
+            step.object = jsprim.deepCopy(obj);
+            cb(null, step);
             return;
-        } else if (err) {
-            log.error(err, 'failed to get VM %s', uuid);
-            cb(err);
+        }
+
+        var key = parent[type];
+        if (key && current[key] !== obj[key]) {
+            cb(new mod_errors.ObjectInUseError(sprintf(
+                '%s %s already exists, with another %s', type, obj.uuid,
+                key)));
             return;
         }
 
-        log.info('VM %s exists', uuid);
-        cb(null, vm);
+        var patch = [];
+        if (type !== 'manifest') {
+            IMPORT_FIELDS.forEach(function (field) {
+                if (jsprim.deepEqual(current[field], obj[field]))
+                    return;
+
+                patch.push(obj[field] === undefined ?
+                    { op: 'remove', path: '/' + field } :
+                    { op: 'add', path: '/' + field, value: obj[field] });
+            });
+        }
+
+        if (patch.length === 0) {
+            step.action = 'unchanged';
+        } else {
+            step.action = 'update';
+            step.changes = { patch: patch };
+            step.update_action = 'json-patch';
+        }
+
+        cb(null, step);
     });
 }
 
-function provisionZone(params, opts, cb) {
+/*
+ * Import an application from a document made by exportApplication(),
+ * creating each object which doesn't exist and updating each which does (see
+ * planImport()), so that importing the same document again changes nothing.
+ * Instances are left out if opts.skip_instances is set.
+ *
+ * Everything but the instances whose VMs must be provisioned is imported all
+ * or nothing with batch().  Those instances are then created in turn; should
+ * one fail, importing the document again carries on where this left off.
+ *
+ * The callback is given what was done to each object: its type and uuid, and
+ * an action of "create", "update" or "unchanged".  With opts.dry_run, nothing
+ * is done, and the callback is given what would be.
+ */
+Model.prototype.importApplication = function importApplication(doc, opts,
+    cb) {
     var self = this;
     var log = self.log;
 
-    assert.object(params, 'params');
+    assert.object(doc, 'doc');
     assert.object(opts, 'opts');
-    assert.string(params.uuid, 'params.uuid');
+    assert.optionalBool(opts.dry_run, 'opts.dry_run');
+    assert.optionalBool(opts.skip_instances, 'opts.skip_instances');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.func(cb, 'cb');
 
-    if (self.proto_mode) {
-        log.info('skipping provision of %s since in proto mode',
-            params.uuid);
-        cb(null);
+    var invalid = validateExport(doc);
+    if (invalid !== null) {
+        cb(invalid);
         return;
     }
 
-    log.info('checking to see if %s already exists', params.uuid);
+    var svcTypes = {};
+    doc.services.forEach(function (svc) {
+        svcTypes[svc.uuid] = svc.type || 'vm';
+    });
 
-    self.vmapi.getVm({ uuid: params.uuid }, function getVmCb(err, vm) {
-        if (err && verror.hasCauseWithName(err, 'ResourceNotFoundError')) {
-            log.debug({ params: params, opts: opts }, 'provisioning zone');
-            self.vmapiplus.createVm(params, opts, cb);
-            return;
-        } else if (err) {
-            log.error(err, 'failed to get zone %s', params.uuid);
+    // Manifests come first, so that references to them can be resolved
+    var objs = doc.manifests.map(function (obj) {
+        return ({ type: 'manifest', obj: obj });
+    }).concat([ { type: 'application', obj: doc.application } ],
+        doc.services.map(function (obj) {
+        return ({ type: 'service', obj: obj });
+    }));
+    if (!opts.skip_instances) {
+        objs = objs.concat(doc.instances.map(function (obj) {
+            return ({ type: 'instance', obj: obj });
+        }));
+    }
+
+    var steps = [];
+
+    vasync.forEachPipeline({
+        inputs: objs,
+        func: function (o, subcb) {
+            planImport.call(self, o.type, o.obj, function (err, step) {
+                if (step)
+                    steps.push(step);
+                subcb(err);
+            });
+        }
+    }, function (err) {
+        if (err) {
+            log.error(err, 'failed to plan import of application %s',
+                doc.application.uuid);
             cb(err);
             return;
         }
 
-        log.info('zone %s already exists', vm.uuid);
-        cb(null);
-    });
-}
+        var results = steps.map(function (step) {
+            return ({ type: step.type, uuid: step.uuid, action: step.action });
+        });
 
+        if (opts.dry_run) {
+            cb(null, results);
+            return;
+        }
 
+        function provisions(step) {
+            return (step.type === 'instance' && step.action === 'create' &&
+                svcTypes[step.object.service_uuid] !== 'agent');
+        }
 
-// -- Manifests
+        var batched = steps.filter(function (step) {
+            return (step.action !== 'unchanged' && !provisions(step));
+        });
+        var provisioned = steps.filter(provisions);
 
-/*
- * Create a configuration manifest.
- */
-Model.prototype.createManifest = function createManifest(mfest, cb) {
-    var self = this;
-    var log = self.log;
+        log.info({
+            batched: batched.length,
+            provisioned: provisioned.length
+        }, 'importing application %s', doc.application.uuid);
 
-    assert.object(mfest, 'mfest');
-    assert.string(mfest.name, 'mfest.name');
-    assert.string(mfest.path, 'mfest.path');
-    assert.ok(mfest.template, 'mfest.template');
-    assert.optionalString(mfest.post_cmd, 'mfest.post_cmd');
-    assert.optionalString(mfest.version, 'mfest.version');
+        vasync.pipeline({
+            funcs: [
+                function importBatch(_, subcb) {
+                    if (batched.length === 0) {
+                        subcb();
+                        return;
+                    }
 
-    /*
-     * If the caller hasn't provided a UUID, generate one here.
-     */
-    if (!mfest.uuid)
-        mfest.uuid = node_uuid.v4();
+                    self.batch(batched, { req_id: opts.req_id },
+                        function (suberr) {
+                        subcb(suberr);
+                    });
+                },
+                function importInstances(_, subcb) {
+                    vasync.forEachPipeline({
+                        inputs: provisioned,
+                        func: function (step, instcb) {
+                            self.createInstance(step.object,
+                                { req_id: opts.req_id }, function (suberr) {
+                                instcb(suberr);
+                            });
+                        }
+                    }, subcb);
+                }
+            ]
+        }, function (suberr) {
+            if (suberr) {
+                log.error(suberr, 'failed to import application %s',
+                    doc.application.uuid);
+                cb(suberr);
+                return;
+            }
 
-    /*
-     * If no version specified, use version 1.0.0.
-     */
-    if (!mfest.version)
-        mfest.version = '1.0.0';
+            log.info('imported application %s', doc.application.uuid);
+            cb(null, results);
+        });
+    });
+};
 
-    log.info({
-        name: mfest.name,
-        path: mfest.path,
-        post_cmd: mfest.post_cmd,
-        version: mfest.version
-    }, 'creating manifest %s', mfest.uuid);
 
-    self.stor.putObject(BUCKETS.manifests, mfest.uuid, mfest,
-        function (err) {
-        if (err) {
-            log.error(err, 'failed to put ' +
-                'configuration manifest %s', mfest.uuid);
-            return (cb(err));
-        }
+// -- Desired state
 
-        log.info('created manifest %s', mfest.uuid);
+/*
+ * Find the state of an application which applyApplication() plans against:
+ * the application, its services, how many instances each has, and the latest
+ * version of each manifest the document gives.
+ */
+function loadApplyState(uuid, doc, cb) {
+    var self = this;
+    var state = { instances: {}, manifests: {} };
 
-        return (cb(err, mfest));
+    vasync.pipeline({
+        funcs: [
+            function getApp(_, subcb) {
+                self.getApplication(uuid, function (err, app) {
+                    state.application = app;
+                    subcb(err);
+                });
+            },
+            function listSvcs(_, subcb) {
+                self.listServices({ application_uuid: uuid },
+                    function (err, svcs) {
+                    state.services = svcs;
+                    subcb(err);
+                });
+            },
+            function countInsts(_, subcb) {
+                vasync.forEachPipeline({
+                    inputs: state.services,
+                    func: function (svc, svccb) {
+                        self.listInstances({ service_uuid: svc.uuid },
+                            function (err, insts) {
+                            if (insts)
+                                state.instances[svc.uuid] = insts.length;
+                            svccb(err);
+                        });
+                    }
+                }, subcb);
+            },
+            function findMfests(_, subcb) {
+                vasync.forEachPipeline({
+                    inputs: (doc.manifests || []).map(function (mfest) {
+                        return (mfest.name);
+                    }),
+                    func: function (name, mfestcb) {
+                        self.resolveManifest({ name: name },
+                            function (err, mfest) {
+                            if (err && err.statusCode === 404)
+                                err = null;
+                            if (mfest)
+                                state.manifests[name] = mfest;
+                            mfestcb(err);
+                        });
+                    }
+                }, subcb);
+            }
+        ]
+    }, function (err) {
+        cb(err, state);
     });
-};
+}
 
-Model.prototype.listManifests = function (opts, cb) {
-    if (arguments.length === 1) {
-        cb = opts;
-        opts = {};
-    }
+/*
+ * Bring an application to the state a declarative document describes (see
+ * lib/server/apply.js), by planning the steps to take and then taking each in
+ * turn, just as the corresponding request would.  With opts.plan set, the
+ * steps are only planned.
+ *
+ * Scaling a service starts an operation (see scaleService()), which carries
+ * on after this returns.  Should a step fail, the steps before it have still
+ * been taken; applying the document again plans whatever is left.
+ *
+ * The callback is given the steps, with the UUID of each object created and
+ * the operation_uuid of each scale.
+ */
+Model.prototype.applyApplication = function applyApplication(uuid, doc, opts,
+    cb) {
+    var self = this;
+    var log = self.log;
 
+    assert.string(uuid, 'uuid');
     assert.object(opts, 'opts');
+    assert.optionalBool(opts.plan, 'opts.plan');
+    assert.optionalString(opts.req_id, 'opts.req_id');
     assert.func(cb, 'cb');
 
-    this.stor.listObjectValues(BUCKETS.manifests, {}, opts, cb);
-};
-
-Model.prototype.getManifest = function (uuid, cb) {
-    var log = this.log;
+    var invalid = mod_apply.validateDocument(doc);
+    if (invalid !== null) {
+        cb(invalid);
+        return;
+    }
 
-    getObjectValue.call(this, BUCKETS.manifests, uuid,
-        function (err, mfest) {
+    loadApplyState.call(self, uuid, doc, function (err, state) {
         if (err) {
-            log.error(err, 'failed to get manifest %s', uuid);
-            return (cb(err));
+            log.error(err, 'failed to plan applying to application %s', uuid);
+            cb(err);
+            return;
         }
 
-        if (!mfest) {
-            err = new restify.ResourceNotFoundError(
-                'no such manifest: ' + uuid);
-            log.error(err, 'failed to get manifest %s', uuid);
-            return (cb(err));
+        state.doc = doc;
+        var steps = mod_apply.planApply(state);
+        if (steps instanceof Error) {
+            cb(steps);
+            return;
         }
 
-        return (cb(null, mfest));
-    });
-};
+        log.info({ steps: steps.length, plan: opts.plan || false },
+            'planned applying to application %s', uuid);
 
-Model.prototype.delManifest = function (uuid, cb) {
-    this.stor.delObject(BUCKETS.manifests, uuid, cb);
-};
+        if (opts.plan) {
+            cb(null, steps);
+            return;
+        }
+
+        var reqOpts = { req_id: opts.req_id };
+        var svcUuids = {};
+
+        vasync.forEachPipeline({
+            inputs: steps,
+            func: function (step, subcb) {
+                function done(suberr, obj) {
+                    if (!suberr && obj && obj.uuid)
+                        step.uuid = obj.uuid;
+                    subcb(suberr);
+                }
+
+                if (step.type === 'manifest' && step.action === 'create') {
+                    self.createManifest(jsprim.deepCopy(step.object), reqOpts,
+                        done);
+                } else if (step.type === 'manifest') {
+                    self.updateManifest(step.uuid, step.changes, reqOpts,
+                        done);
+                } else if (step.type === 'application') {
+                    self.updateApplication(uuid, { patch: step.patch },
+                        'json-patch', reqOpts, done);
+                } else if (step.action === 'create') {
+                    self.createService(jsprim.deepCopy(step.object), reqOpts,
+                        function (suberr, svc) {
+                        if (!suberr)
+                            svcUuids[step.name] = svc.uuid;
+                        done(suberr, svc);
+                    });
+                } else if (step.action === 'update') {
+                    self.updateService(step.uuid, { patch: step.patch },
+                        'json-patch', reqOpts, done);
+                } else if (step.action === 'scale') {
+                    step.uuid = step.uuid || svcUuids[step.name];
+                    self.scaleService(step.uuid, step.to, reqOpts,
+                        function (suberr, op) {
+                        if (!suberr)
+                            step.operation_uuid = op.uuid;
+                        subcb(suberr);
+                    });
+                } else {
+                    self.delService(step.uuid, {
+                        cascade: true,
+                        req_id: opts.req_id
+                    }, function (suberr) {
+                        subcb(suberr);
+                    });
+                }
+            }
+        }, function (suberr) {
+            if (suberr) {
+                log.error(suberr, 'failed to apply to application %s', uuid);
+                cb(suberr);
+                return;
+            }
 
+            log.info('applied %d step(s) to application %s', steps.length,
+                uuid);
+            cb(null, steps);
+        });
+    });
+};
 
 
 // -- Configs
@@ -1163,6 +4967,55 @@ Model.prototype.getConfig = function getConfig(uuid, cb) {
     });
 };
 
+/*
+ * Render an instance's configuration files.  If opts.manifest_name is given,
+ * only that manifest is rendered, and a template which fails to render is an
+ * error; otherwise each rendered manifest reports its own error, if any.
+ */
+Model.prototype.renderConfig = function renderConfig(uuid, opts, cb) {
+    var log = this.log;
+
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.manifest_name, 'opts.manifest_name');
+    assert.func(cb, 'cb');
+
+    this.attributes.renderZoneConfig(uuid, function (err, rendered) {
+        if (err) {
+            log.error(err, 'failed to render config for %s', uuid);
+            cb(err);
+            return;
+        }
+
+        if (opts.manifest_name === undefined) {
+            cb(null, rendered);
+            return;
+        }
+
+        var result = rendered.filter(function (r) {
+            return (r.name === opts.manifest_name);
+        })[0];
+
+        if (!result) {
+            cb(new restify.ResourceNotFoundError(sprintf(
+                'no manifest %s for instance %s', opts.manifest_name, uuid)));
+            return;
+        } else if (result.error) {
+            cb(new mod_errors.TemplateRenderError(sprintf(
+                'failed to render manifest %s: %s', result.name,
+                result.error)));
+            return;
+        }
+
+        cb(null, result);
+    });
+};
+
 
 
 // -- Mode
@@ -1308,6 +5161,26 @@ function doUpgradeToFullMode(cb) {
                 }
             }, subcb);
         },
+        function loadHistory(subcb) {
+            log.info('loading history from local storage');
+            loadObjects.call(self, {
+                'bucket': BUCKETS.history,
+                'createfunc': function (entry, subcb2) {
+                    self.stor.putObject(BUCKETS.history, entry.uuid,
+                        entry, subcb2);
+                }
+            }, subcb);
+        },
+        function loadOperations(subcb) {
+            log.info('loading operations from local storage');
+            loadObjects.call(self, {
+                'bucket': BUCKETS.operations,
+                'createfunc': function (op, subcb2) {
+                    self.stor.putObject(BUCKETS.operations, op.uuid, op,
+                        subcb2);
+                }
+            }, subcb);
+        },
         function initMorayLocalStore(subcb) {
             log.info('initing moray + local stor');
             ml_stor = new MorayLocalStorage({
@@ -0,0 +1,226 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/placement.js: choosing the server a new instance's VM is
+ *     provisioned on.
+ *
+ * A service (or an application, or an instance) may give a placement policy in
+ * its "placement" param:
+ *
+ *     spread          "server" or "rack": put each instance on the server (or
+ *                     rack) with the fewest of its peers
+ *     traits          only use servers with each of these CNAPI traits
+ *     max_per_server  never put more than this many peers on one server
+ *     group           the metadata key which instances must share a value of
+ *                     to be each other's peers, e.g. "SHARD"; without one,
+ *                     all of a service's instances are peers
+ *
+ * When an instance is created with a policy, SAPI chooses its server from the
+ * CNAPI servers which are set up, running and not reserved, breaking ties by
+ * picking the server with the most memory available.  If the instance itself
+ * gives a server_uuid, that server is checked against the policy instead.  The
+ * policy is only SAPI's: it's left out of the zone parameters given to VMAPI.
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+
+var sprintf = require('util').format;
+
+var mod_errors = require('./errors');
+
+
+var SPREAD = [ 'server', 'rack' ];
+var KEYS = [ 'spread', 'traits', 'max_per_server', 'group' ];
+
+
+function isObject(val) {
+    return (typeof (val) === 'object' && val !== null && !Array.isArray(val));
+}
+
+/*
+ * Check the placement policy in an application's, service's or instance's
+ * params, returning an InvalidArgumentError or null.
+ */
+function validatePlacement(placement) {
+    if (!isObject(placement)) {
+        return (new restify.InvalidArgumentError(
+            'placement must be an object'));
+    }
+
+    var unknown = Object.keys(placement).filter(function (key) {
+        return (KEYS.indexOf(key) === -1);
+    });
+    if (unknown.length > 0) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'unknown placement key(s) %s: must be one of %s',
+            unknown.join(', '), KEYS.join(', '))));
+    }
+
+    if (placement.spread !== undefined &&
+        SPREAD.indexOf(placement.spread) === -1) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'placement.spread must be one of %s', SPREAD.join(', '))));
+    }
+
+    if (placement.traits !== undefined && !isObject(placement.traits)) {
+        return (new restify.InvalidArgumentError(
+            'placement.traits must be an object'));
+    }
+
+    var max = placement.max_per_server;
+    if (max !== undefined &&
+        (typeof (max) !== 'number' || max < 1 || Math.floor(max) !== max)) {
+        return (new restify.InvalidArgumentError(
+            'placement.max_per_server must be a positive integer'));
+    }
+
+    if (placement.group !== undefined &&
+        (typeof (placement.group) !== 'string' || placement.group === '')) {
+        return (new restify.InvalidArgumentError(
+            'placement.group must be a metadata key'));
+    }
+
+    return (null);
+}
+
+function rackOf(server) {
+    return (server.rack_identifier || server.uuid);
+}
+
+function hasTraits(server, traits) {
+    return (Object.keys(traits || {}).every(function (key) {
+        return (server.traits && server.traits[key] === traits[key]);
+    }));
+}
+
+function count(values, value) {
+    return (values.filter(function (v) {
+        return (v === value);
+    }).length);
+}
+
+/*
+ * Find an instance's peers among its service's instances:
+ *
+ *     placement    the instance's placement policy
+ *     instance     the instance
+ *     instances    the service's instances
+ *     metadata     function returning an instance's metadata, as assembled
+ *                  with its service's and application's
+ *
+ * Without a group, all the other instances are peers.
+ */
+function findPeers(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.placement, 'opts.placement');
+    assert.object(opts.instance, 'opts.instance');
+    assert.arrayOfObject(opts.instances, 'opts.instances');
+    assert.func(opts.metadata, 'opts.metadata');
+
+    var group = opts.placement.group;
+    var value = group && opts.metadata(opts.instance)[group];
+
+    return (opts.instances.filter(function (peer) {
+        return (peer.uuid !== opts.instance.uuid &&
+            (!group || opts.metadata(peer)[group] === value));
+    }));
+}
+
+/*
+ * Choose a server for an instance:
+ *
+ *     placement    the instance's placement policy
+ *     servers      CNAPI's servers
+ *     peers        the server_uuid of each of the instance's peers' VMs
+ *     server_uuid  the server the instance itself asks for, if any
+ *
+ * Returns the chosen server's UUID, or a PlacementFailedError.
+ */
+function chooseServer(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.placement, 'opts.placement');
+    assert.arrayOfObject(opts.servers, 'opts.servers');
+    assert.arrayOfString(opts.peers, 'opts.peers');
+    assert.optionalString(opts.server_uuid, 'opts.server_uuid');
+
+    var placement = opts.placement;
+    var peers = opts.peers;
+    var servers = opts.servers;
+
+    var racks = {};
+    servers.forEach(function (server) {
+        racks[server.uuid] = rackOf(server);
+    });
+    var peerRacks = peers.map(function (uuid) {
+        return (racks[uuid] || uuid);
+    });
+
+    function reason(server) {
+        if (!server.setup || server.reserved || server.status !== 'running')
+            return ('is not available');
+        if (!hasTraits(server, placement.traits))
+            return ('lacks the traits the placement policy needs');
+        if (placement.max_per_server !== undefined &&
+            count(peers, server.uuid) >= placement.max_per_server) {
+            return (sprintf('already has %d of the instance\'s peers',
+                count(peers, server.uuid)));
+        }
+        return (null);
+    }
+
+    if (opts.server_uuid !== undefined) {
+        var asked = servers.filter(function (server) {
+            return (server.uuid === opts.server_uuid);
+        })[0];
+        var why = asked ? reason(asked) : 'does not exist';
+
+        if (why !== null) {
+            return (new mod_errors.PlacementFailedError(sprintf(
+                'server %s %s', opts.server_uuid, why)));
+        }
+        return (opts.server_uuid);
+    }
+
+    var candidates = servers.filter(function (server) {
+        return (reason(server) === null);
+    });
+
+    if (candidates.length === 0) {
+        return (new mod_errors.PlacementFailedError(sprintf(
+            'no server satisfies the placement policy %s (%d peer(s) ' +
+            'placed)', JSON.stringify(placement), peers.length)));
+    }
+
+    candidates.sort(function (a, b) {
+        var diff = 0;
+        if (placement.spread === 'rack')
+            diff = count(peerRacks, rackOf(a)) - count(peerRacks, rackOf(b));
+        if (diff === 0 && placement.spread !== undefined)
+            diff = count(peers, a.uuid) - count(peers, b.uuid);
+        if (diff === 0) {
+            diff = (b.memory_available_bytes || 0) -
+                (a.memory_available_bytes || 0);
+        }
+        if (diff === 0)
+            diff = a.uuid < b.uuid ? -1 : 1;
+        return (diff);
+    });
+
+    return (candidates[0].uuid);
+}
+
+
+module.exports = {
+    chooseServer: chooseServer,
+    findPeers: findPeers,
+    validatePlacement: validatePlacement
+};
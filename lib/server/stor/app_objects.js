@@ -0,0 +1,172 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/stor/app_objects.js: load an application and everything under it
+ *                                 from a stor.
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+module.exports = loadAppObjects;
+
+/*
+ * Load the application opts.uuid from opts.stor, with its services, their
+ * instances and every manifest any of them refers to.  The callback is given
+ * the application's record (null if there's no such application) as
+ * "application", and the values of each type of object in "applications",
+ * "services", "instances" and "manifests".  opts.buckets gives the bucket of
+ * each type.
+ */
+function loadAppObjects(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.buckets, 'opts.buckets');
+    assert.object(opts.stor, 'opts.stor');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.func(cb, 'cb');
+
+    var b = opts.buckets;
+    var stor = opts.stor;
+    var uuid = opts.uuid;
+
+    var arg = {};
+    var funcs = [
+        function findApp(_, subcb) {
+            stor.getObject(b.applications, uuid, function (err, a) {
+                _.application = a;
+                // Makes things "easier" later...
+                _.applications = [];
+                if (a) {
+                    _.applications.push(a.value);
+                }
+                return (subcb(err));
+            });
+        },
+        // Find all services
+        function findServices(_, subcb) {
+            if (!_.application) {
+                _.services = [];
+                subcb();
+                return;
+            }
+            var f = {
+                'application_uuid': _.application.value.uuid
+            };
+            function onFind(err, services) {
+                _.services = services;
+                return (subcb(err));
+            }
+            stor.listObjectValues(b.services, f, {}, onFind);
+        },
+        // Find all instances
+        function findInstances(_, subcb) {
+            var inputs = _.services.map(function (s) {
+                return ({
+                    'service_uuid': s.uuid
+                });
+            });
+            function fServices(filter, fcb) {
+                stor.listObjectValues(b.instances, filter,
+                              {}, fcb);
+            }
+            vasync.forEachParallel({
+                'inputs': inputs,
+                'func': fServices
+            }, function (err, res) {
+                var ins = [];
+                ins = ins.concat.apply(ins, res.successes);
+                _.instances = ins;
+                return (subcb(err));
+            });
+        },
+        // Find all manifests
+        function findManifests(_, subcb) {
+            /*
+             * Manifests are referred to either by UUID or by name (and
+             * version range).  For the latter, every version is loaded, so
+             * the reference can still be resolved from the local stor.
+             */
+            var muuids = [];
+            var mnames = [];
+            function extractManifests(a) {
+                a.map(function (o) {
+                    if (!o.manifests) {
+                        return;
+                    }
+                    var refs = Object.keys(o.manifests).map(
+                        function (k) {
+                            return (o.manifests[k]);
+                        });
+                    refs.forEach(function (r) {
+                        if (typeof (r) === 'string') {
+                            if (muuids.indexOf(r) === -1) {
+                                muuids.push(r);
+                            }
+                        } else if (r && r.name &&
+                            mnames.indexOf(r.name) === -1) {
+                            mnames.push(r.name);
+                        }
+                    });
+                });
+            }
+            extractManifests(_.applications);
+            extractManifests(_.services);
+            extractManifests(_.instances);
+            function fManifests(u, mcb) {
+                stor.getObject(b.manifests, u, function (err, m) {
+                    mcb(err, m ? [ m.value ] : []);
+                });
+            }
+            function fManifestsByName(name, mcb) {
+                stor.listObjectValues(b.manifests, { 'name': name },
+                              {}, mcb);
+            }
+            vasync.parallel({
+                'funcs': [
+                    function (pcb) {
+                        vasync.forEachParallel({
+                            'inputs': muuids,
+                            'func': fManifests
+                        }, pcb);
+                    },
+                    function (pcb) {
+                        vasync.forEachParallel({
+                            'inputs': mnames,
+                            'func': fManifestsByName
+                        }, pcb);
+                    }
+                ]
+            }, function vasyncCb(err, res) {
+                var seen = {};
+                _.manifests = [];
+                res.successes.forEach(function (r) {
+                    r.successes.forEach(function (ms) {
+                        ms.forEach(function (m) {
+                            if (!seen[m.uuid]) {
+                                seen[m.uuid] = true;
+                                _.manifests.push(m);
+                            }
+                        });
+                    });
+                });
+
+                return (subcb(err));
+            });
+        }
+    ];
+
+    vasync.pipeline({
+        'arg': arg,
+        'funcs': funcs
+    }, function (err) {
+        return (cb(err, arg));
+    });
+}
@@ -0,0 +1,239 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/stor/filters.js: translates the filters given to
+ * listObjectValues() into moray filters, and evaluates them against objects.
+ *
+ * A filter map maps an attribute to what its value must be:
+ *
+ *     { service_uuid: '...' }
+ *
+ * The value may instead be a term, which matches when the attribute's value
+ * equals any of the "eq" values and none of the "ne" values:
+ *
+ *     { name: { eq: [ 'webapi', 'moray*' ], ne: [ 'moray-test' ] } }
+ *
+ * Values within a term may contain "*" wildcards.  Two attributes are
+ * special: "since" and "until" bound the object's "started" time.
+ *
+ * An attribute may also name a key of the object's params or metadata, such
+ * as "params.server_uuid".  Unless the key is one of the few with an index
+ * (see BUCKET_SCHEMAS in moray.js), MorayStorage can't ask moray for them:
+ * instead it asks moray for objects matching the rest of the filter, and uses
+ * matcher() to check the nested keys itself.  Either way, the same moray
+ * filter objects decide what matches.
+ */
+
+var assert = require('assert-plus');
+var morayFilter = require('moray-filter');
+
+
+var NESTED_FIELDS = [ 'params', 'metadata' ];
+
+
+function isNested(key) {
+    return (NESTED_FIELDS.indexOf(key.split('.')[0]) !== -1 &&
+        key.indexOf('.') !== -1);
+}
+
+function isTerm(value) {
+    return (typeof (value) === 'object' && value !== null);
+}
+
+function valueFilter(attribute, value) {
+    value = String(value);
+
+    if (value.indexOf('*') === -1) {
+        return (new morayFilter.EqualityFilter({
+            attribute: attribute,
+            value: value
+        }));
+    }
+
+    if (value === '*')
+        return (new morayFilter.PresenceFilter({ attribute: attribute }));
+
+    var parts = value.split('*');
+    return (new morayFilter.SubstringFilter({
+        attribute: attribute,
+        initial: parts.shift(),
+        final: parts.pop(),
+        any: parts.filter(function (part) {
+            return (part !== '');
+        })
+    }));
+}
+
+function termFilter(attribute, term) {
+    assert.optionalArray(term.eq, attribute + '.eq');
+    assert.optionalArray(term.ne, attribute + '.ne');
+
+    var filters = [];
+
+    if (term.eq && term.eq.length === 1) {
+        filters.push(valueFilter(attribute, term.eq[0]));
+    } else if (term.eq) {
+        filters.push(new morayFilter.OrFilter({
+            filters: term.eq.map(function (value) {
+                return (valueFilter(attribute, value));
+            })
+        }));
+    }
+
+    (term.ne || []).forEach(function (value) {
+        filters.push(new morayFilter.NotFilter({
+            filter: valueFilter(attribute, value)
+        }));
+    });
+
+    return (filters);
+}
+
+function andFilter(filters) {
+    if (filters.length === 1)
+        return (filters[0]);
+    return (new morayFilter.AndFilter({ filters: filters }));
+}
+
+/*
+ * Returns the moray filters for the attributes of a filter map: "indexed" for
+ * the object's own attributes, which may be given to moray, and "nested" (or
+ * null) for keys of its params and metadata.  "indexes" optionally maps
+ * nested keys which moray has indexes for to the indexed attributes'
+ * names, and filters on those keys are included in "indexed".
+ */
+function compile(filterMap, indexes) {
+    assert.object(filterMap, 'filterMap');
+    assert.optionalObject(indexes, 'indexes');
+
+    indexes = indexes || {};
+
+    var indexed = [ morayFilter.parse('(uuid=*)') ];
+    var nested = [];
+
+    Object.keys(filterMap).forEach(function (key) {
+        var value = filterMap[key];
+
+        if (key === 'since') {
+            indexed.push(new morayFilter.GreaterThanEqualsFilter({
+                attribute: 'started',
+                value: String(value)
+            }));
+        } else if (key === 'until') {
+            indexed.push(new morayFilter.LessThanEqualsFilter({
+                attribute: 'started',
+                value: String(value)
+            }));
+        } else if (isNested(key) && indexes[key]) {
+            indexed = indexed.concat(termFilter(indexes[key],
+                isTerm(value) ? value : { eq: [ value ] }));
+        } else if (isNested(key)) {
+            nested = nested.concat(termFilter(key,
+                isTerm(value) ? value : { eq: [ value ] }));
+        } else if (isTerm(value)) {
+            indexed = indexed.concat(termFilter(key, value));
+        } else {
+            indexed.push(new morayFilter.EqualityFilter({
+                attribute: key,
+                value: String(value)
+            }));
+        }
+    });
+
+    return ({
+        indexed: andFilter(indexed),
+        nested: nested.length > 0 ? andFilter(nested) : null
+    });
+}
+
+/*
+ * Returns the value of an attribute of an object in the form moray filters
+ * compare: a string, or an array of strings (which matches when any of its
+ * elements do).
+ */
+function attributeValue(obj, key) {
+    var value = obj;
+
+    key.split('.').forEach(function (part) {
+        if (isTerm(value) && !Array.isArray(value))
+            value = value[part];
+        else
+            value = undefined;
+    });
+
+    if (value === undefined || value === null)
+        return (undefined);
+    if (Array.isArray(value))
+        return (value.map(toString));
+    return (toString(value));
+}
+
+function toString(value) {
+    return (isTerm(value) ? JSON.stringify(value) : String(value));
+}
+
+/*
+ * Returns a function which checks whether an object matches a filter map.
+ * When "nestedOnly" is set, only keys of params and metadata without indexes
+ * are checked, which is what's left after moray has applied the rest of the
+ * filter (given the same "indexes" as compile()).
+ */
+function matcher(filterMap, nestedOnly, indexes) {
+    assert.object(filterMap, 'filterMap');
+    assert.optionalObject(indexes, 'indexes');
+
+    indexes = indexes || {};
+
+    var termMap = {};
+    Object.keys(filterMap).forEach(function (key) {
+        if (key !== 'since' && key !== 'until' &&
+            (!nestedOnly || (isNested(key) && !indexes[key]))) {
+            termMap[key] = filterMap[key];
+        }
+    });
+
+    var keys = Object.keys(termMap);
+    var filters = compile(termMap);
+    var filter = filters.nested;
+    if (!nestedOnly) {
+        filter = filter ? andFilter([ filters.indexed, filter ]) :
+            filters.indexed;
+    }
+
+    return (function matches(obj) {
+        if (!nestedOnly) {
+            if (filterMap.since !== undefined &&
+                !(obj.started >= filterMap.since)) {
+                return (false);
+            }
+            if (filterMap.until !== undefined &&
+                !(obj.started <= filterMap.until)) {
+                return (false);
+            }
+        }
+
+        if (!filter)
+            return (true);
+
+        var target = { uuid: attributeValue(obj, 'uuid') };
+        keys.forEach(function (key) {
+            target[key] = attributeValue(obj, key);
+        });
+
+        return (filter.matches(target, true));
+    });
+}
+
+
+module.exports = {
+    compile: compile,
+    matcher: matcher
+};
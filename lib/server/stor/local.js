@@ -10,10 +10,32 @@
 
 /*
  * lib/server/stor/local.js: provide local storage for SAPI objects
+ *
+ * Each object is stored as a JSON file, named by its uuid, in its bucket's
+ * directory.  In proto mode, or while moray is down, this file is the only copy
+ * of the object, so files are written atomically: the new contents are written
+ * to a temporary file which is flushed to disk and then renamed over the
+ * object's file.  A file which nevertheless holds invalid JSON (say, after a
+ * disk fault) is moved aside into the bucket's quarantine directory, both when
+ * SAPI starts and whenever a list comes across it, and reported by
+ * repairStatus() rather than failing every list of its bucket.
+ *
+ * An object's etag is the SHA-1 hash of its file's contents.  As with moray, a
+ * put or delete given an etag only succeeds if the object's etag is still that
+ * (or, for a put given a null etag, if the object doesn't exist yet), and fails
+ * with an EtagConflictError otherwise.
+ *
+ * Before a batch of writes (see batch()) is made to the objects' files, what
+ * those files held is written to a journal file.  Should a write fail part way
+ * through, the batch is undone from its journal before it's reported to have
+ * failed, and should SAPI stop part way through, any journal left behind is
+ * undone when it next starts, so either all of a batch's writes are made or
+ * none are.
  */
 
 var async = require('async');
 var assert = require('assert-plus');
+var crypto = require('crypto');
 var fs = require('fs');
 var mkdirp = require('mkdirp');
 var path = require('path');
@@ -21,6 +43,8 @@ var vasync = require('vasync');
 var verror = require('verror');
 
 var mod_errors = require('../errors');
+var mod_filters = require('./filters');
+var paging = require('./paging');
 
 var sprintf = require('util').format;
 
@@ -28,6 +52,34 @@ var ROOT = '/sapi';
 var BACKUP_ROOT = '/opt/smartdc/sapi/storage';
 var ENCODING = 'utf8';
 
+/*
+ * Files in a bucket's directory whose names start with a dot aren't objects:
+ * they're temporary files being written (see writeFileAtomic()), and the
+ * directory corrupt files are quarantined in.
+ */
+var QUARANTINE_DIR = '.quarantine';
+var TEMP_SUFFIX = '.tmp';
+
+/*
+ * The directory, alongside the buckets' directories, which batches are
+ * journaled in.
+ */
+var JOURNAL_DIR = '.journal';
+var JOURNAL_SUFFIX = '.json';
+
+var tempCount = 0;
+var journalCount = 0;
+
+/*
+ * How long to wait before retrying to undo a batch, or to remove its journal.
+ */
+var JOURNAL_RETRY_DELAY = 5000;
+
+/*
+ * The number of objects read at once when listing a bucket.
+ */
+var LIST_BATCH_SIZE = 512;
+
 
 module.exports = LocalStorage;
 
@@ -40,6 +92,8 @@ function LocalStorage(config) {
 
     self.log = config.log;
     self.buckets = config.buckets;
+    self.repairs = [];
+    self.writes = {};
 }
 
 LocalStorage.prototype.init = function init(cb) {
@@ -66,24 +120,74 @@ LocalStorage.prototype.init = function init(cb) {
         function (subcb) {
             vasync.forEachParallel({
                 func: function (key, subsubcb) {
-                    initBucket(buckets[key], subsubcb);
+                    initBucket.call(self, buckets[key], subsubcb);
                 },
                 inputs: Object.keys(buckets)
             }, function (err) {
                 subcb(err);
             });
+        },
+        function (subcb) {
+            replayJournals.call(self, subcb);
         }
-    ], cb);
+    ], function (err) {
+        if (!err && self.repairs.length > 0) {
+            self.log.warn({ repairs: self.repairs },
+                'quarantined %d corrupt object(s)', self.repairs.length);
+        }
+        cb(err);
+    });
 };
 
+/*
+ * Create a bucket's directory if need be, then clean up after any writes which
+ * were interrupted, and check that each of its objects can be read.
+ */
 function initBucket(bucket, cb) {
+    var self = this;
+    var log = self.log;
     var dir = path.join(ROOT, bucket);
 
-    fs.mkdir(dir, function (err) {
-        if (err && err.code !== 'EEXIST')
-            return (cb(err));
-        return (cb(null));
-    });
+    async.waterfall([
+        function (subcb) {
+            fs.mkdir(dir, function (err) {
+                if (err && err.code !== 'EEXIST')
+                    return (subcb(err));
+                return (subcb(null));
+            });
+        },
+        function (subcb) {
+            fs.readdir(dir, subcb);
+        },
+        function (dirents, subcb) {
+            var temps = dirents.filter(isTempFile);
+            if (temps.length > 0) {
+                log.info({ files: temps }, 'removing %d temporary file(s) ' +
+                    'left in "%s"', temps.length, dir);
+            }
+
+            vasync.forEachParallel({
+                func: function (temp, subsubcb) {
+                    fs.unlink(path.join(dir, temp), function (err) {
+                        if (err && err.code !== 'ENOENT')
+                            return (subsubcb(err));
+                        return (subsubcb(null));
+                    });
+                },
+                inputs: temps
+            }, function (err) {
+                subcb(err, dirents.filter(isObjectFile));
+            });
+        },
+        function (uuids, subcb) {
+            // Quarantines any corrupt objects, as a list would
+            loadObjects.call(self, bucket, uuids, function () {
+                return (false);
+            }, function (err) {
+                subcb(err);
+            });
+        }
+    ], cb);
 }
 
 
@@ -93,6 +197,205 @@ function getObjectFile(bucket, uuid) {
     return (sprintf('%s/%s/%s', ROOT, bucket, uuid));
 }
 
+function isTempFile(dirent) {
+    return (dirent[0] === '.' &&
+        dirent.slice(-TEMP_SUFFIX.length) === TEMP_SUFFIX);
+}
+
+function isObjectFile(dirent) {
+    return (dirent[0] !== '.');
+}
+
+/*
+ * Write a file so that a crash or a full disk part way through leaves either
+ * its old contents or its new ones: the contents are written to a temporary
+ * file in the same directory and flushed to disk, the temporary file is renamed
+ * over the file, and then the directory is flushed so that the rename is too.
+ */
+function writeFileAtomic(file, contents, cb) {
+    var dir = path.dirname(file);
+    var temp = path.join(dir, sprintf('.%s.%d.%d%s', path.basename(file),
+        process.pid, tempCount++, TEMP_SUFFIX));
+    var fd = null;
+
+    async.waterfall([
+        function (subcb) {
+            fs.open(temp, 'w', subcb);
+        },
+        function (tempFd, subcb) {
+            fd = tempFd;
+            fs.write(fd, contents, null, ENCODING, function (err, written) {
+                if (!err &&
+                    written !== Buffer.byteLength(contents, ENCODING)) {
+                    err = new Error(sprintf('short write to "%s"', temp));
+                }
+                subcb(err);
+            });
+        },
+        function (subcb) {
+            fs.fsync(fd, subcb);
+        },
+        function (subcb) {
+            var closing = fd;
+            fd = null;
+            fs.close(closing, subcb);
+        },
+        function (subcb) {
+            fs.rename(temp, file, subcb);
+        },
+        function (subcb) {
+            fsyncDir(dir, subcb);
+        }
+    ], function (err) {
+        if (!err)
+            return (cb(null));
+
+        if (fd !== null)
+            fs.close(fd, function () {});
+        fs.unlink(temp, function () {
+            cb(err);
+        });
+        return (null);
+    });
+}
+
+function fsyncDir(dir, cb) {
+    fs.open(dir, 'r', function (err, fd) {
+        if (err)
+            return (cb(err));
+
+        fs.fsync(fd, function (syncErr) {
+            fs.close(fd, function (closeErr) {
+                cb(syncErr || closeErr || null);
+            });
+        });
+        return (null);
+    });
+}
+
+function computeEtag(contents) {
+    return (crypto.createHash('sha1').update(contents, ENCODING).digest('hex'));
+}
+
+/*
+ * Run func(cb) once any other writes to the same file have finished, so that a
+ * put's etag check and its write happen together.
+ */
+function withWriteLock(file, func, cb) {
+    var self = this;
+
+    if (self.writes[file]) {
+        self.writes[file].push({ func: func, cb: cb });
+        return;
+    }
+
+    self.writes[file] = [];
+
+    function run(f, c) {
+        f(function () {
+            var waiting = self.writes[file].shift();
+            if (waiting)
+                run(waiting.func, waiting.cb);
+            else
+                delete self.writes[file];
+            c.apply(null, arguments);
+        });
+    }
+
+    run(func, cb);
+}
+
+/*
+ * As withWriteLock(), but for several files at once.  Each lock is taken once,
+ * and always in the same order, so that two batches can't each wait on the
+ * other.
+ */
+function withWriteLocks(files, func, cb) {
+    var self = this;
+
+    files = files.filter(function (file, i) {
+        return (files.indexOf(file) === i);
+    }).sort();
+
+    function lock(i, subcb) {
+        if (i === files.length) {
+            func(subcb);
+            return;
+        }
+
+        withWriteLock.call(self, files[i], function (lockcb) {
+            lock(i + 1, lockcb);
+        }, subcb);
+    }
+
+    lock(0, cb);
+}
+
+/*
+ * Check a put's or delete's etag (see above) against the object's file.
+ */
+function checkEtag(file, etag, cb) {
+    fs.readFile(file, ENCODING, function (err, contents) {
+        if (err && err.code !== 'ENOENT')
+            return (cb(err));
+
+        var current = err ? null : computeEtag(contents);
+        if (current !== etag) {
+            return (cb(new mod_errors.EtagConflictError(sprintf(
+                'etag conflict for "%s": expected %s, found %s', file,
+                etag, current))));
+        }
+
+        return (cb(null));
+    });
+}
+
+/*
+ * Move a corrupt object's file into its bucket's quarantine directory, and add
+ * it to the repair report (see repairStatus()).  The object is then gone as
+ * far as SAPI is concerned, but its file is kept for an operator to look at.
+ * Failing to move the file is only logged.
+ */
+function quarantineObject(bucket, uuid, reason, cb) {
+    var self = this;
+    var log = self.log;
+
+    var file = getObjectFile(bucket, uuid);
+    var dir = path.join(ROOT, bucket, QUARANTINE_DIR);
+    var dest = path.join(dir, sprintf('%s.%d', uuid, Date.now()));
+
+    async.waterfall([
+        function (subcb) {
+            mkdirp(dir, function (err) {
+                subcb(err);
+            });
+        },
+        function (subcb) {
+            fs.rename(file, dest, subcb);
+        }
+    ], function (err) {
+        if (err && err.code === 'ENOENT') {
+            // Already quarantined, or replaced and then deleted
+            return (cb());
+        } else if (err) {
+            log.error(err, 'failed to quarantine "%s"', file);
+            return (cb());
+        }
+
+        var repair = {
+            bucket: bucket,
+            uuid: uuid,
+            error: reason.message,
+            file: dest,
+            time: new Date().toISOString()
+        };
+        self.repairs.push(repair);
+        log.warn({ repair: repair }, 'quarantined corrupt object %s', uuid);
+
+        return (cb());
+    });
+}
+
 LocalStorage.prototype.putObject = putObject;
 
 function putObject(bucket, uuid, obj, opts, cb) {
@@ -103,21 +406,32 @@ function putObject(bucket, uuid, obj, opts, cb) {
     assert.string(uuid, 'uuid');
     assert.object(obj, 'obj');
 
-    /*
-     * This is kind of wacky since opts isn't used anywhere, but it's
-     * necessary to keep the same function signature as
-     * MorayStorage.putObject().
-     */
     if (arguments.length === 4) {
         cb = opts;
         opts = {};
     }
 
+    assert.object(opts, 'opts');
+    assert.func(cb, 'cb');
+
     var file = getObjectFile(bucket, uuid);
     var contents = JSON.stringify(obj, null, 4);
 
-    fs.writeFile(file, contents, ENCODING, function (err) {
-        if (err)
+    withWriteLock.call(self, file, function (subcb) {
+        async.waterfall([
+            function (stepcb) {
+                if (opts.etag === undefined)
+                    return (stepcb(null));
+                return (checkEtag(file, opts.etag, stepcb));
+            },
+            function (stepcb) {
+                writeFileAtomic(file, contents, stepcb);
+            }
+        ], subcb);
+    }, function (err) {
+        if (err && err.name === 'EtagConflictError')
+            log.info(err, 'not writing file "%s"', file);
+        else if (err)
             log.error(err, 'failed to write file "%s"', file);
         cb(err);
     });
@@ -146,29 +460,54 @@ LocalStorage.prototype.getObject = function getObject(bucket, uuid, cb) {
         try {
             obj = JSON.parse(contents);
         } catch (e) {
-            err = new Error('invalid JSON in "' + file + '"');
+            err = new mod_errors.CorruptObjectError(
+                'invalid JSON in "' + file + '"');
         }
 
         if (err)
             return (cb(err));
 
-        return (cb(null, { value: obj }));
+        return (cb(null, { value: obj, etag: computeEtag(contents) }));
     });
 };
 
-LocalStorage.prototype.delObject = function delObject(bucket, uuid, cb) {
+LocalStorage.prototype.delObject = delObject;
+
+function delObject(bucket, uuid, opts, cb) {
     var self = this;
     var log = self.log;
 
     assert.string(bucket, 'bucket');
     assert.string(uuid, 'uuid');
+
+    if (arguments.length === 3) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.etag, 'opts.etag');
     assert.func(cb, 'cb');
 
     var file = getObjectFile(bucket, uuid);
 
-    fs.unlink(file, function (err) {
+    withWriteLock.call(self, file, function (subcb) {
+        async.waterfall([
+            function (stepcb) {
+                if (opts.etag === undefined)
+                    return (stepcb(null));
+                return (checkEtag(file, opts.etag, stepcb));
+            },
+            function (stepcb) {
+                fs.unlink(file, stepcb);
+            }
+        ], subcb);
+    }, function (err) {
         if (err) {
-            if (err.code === 'ENOENT') {
+            if (err.name === 'EtagConflictError') {
+                log.info(err, 'not removing file "%s"', file);
+                return (cb(err));
+            } else if (err.code === 'ENOENT') {
                 log.warn('not deleting %s; ' +
                     'object doesn\'t exist', uuid);
                 return (cb(new mod_errors.ObjectNotFoundError(
@@ -181,18 +520,289 @@ LocalStorage.prototype.delObject = function delObject(bucket, uuid, cb) {
 
         return (cb(null));
     });
+}
+
+// -- Batches
+
+function getJournalFile(name) {
+    return (path.join(ROOT, JOURNAL_DIR, name));
+}
+
+function isJournalFile(dirent) {
+    return (dirent[0] !== '.' &&
+        dirent.slice(-JOURNAL_SUFFIX.length) === JOURNAL_SUFFIX);
+}
+
+/*
+ * Remove a journal once its batch has been made or undone.  This must reach
+ * the disk before any later write does, or undoing the batch again when SAPI
+ * next starts would undo that write too.
+ */
+function removeJournal(file, cb) {
+    fs.unlink(file, function (err) {
+        if (err && err.code !== 'ENOENT')
+            return (cb(err));
+        return (fsyncDir(path.dirname(file), cb));
+    });
+}
+
+/*
+ * Write an object's file with the given contents, or remove it if they're
+ * null.
+ */
+function writeObjectFile(file, contents, cb) {
+    if (contents !== null) {
+        writeFileAtomic(file, contents, cb);
+        return;
+    }
+
+    fs.unlink(file, function (err) {
+        if (err && err.code !== 'ENOENT')
+            return (cb(err));
+
+        return (fsyncDir(path.dirname(file), function (syncErr) {
+            // A directory which doesn't exist has no file to remove
+            cb(syncErr && syncErr.code !== 'ENOENT' ? syncErr : null);
+        }));
+    });
+}
+
+/*
+ * Read what the files of a batch's writes hold, checking that each write which
+ * is given an etag finds the object with that etag, as putObject() does.
+ * Returns how to undo the batch: the contents (or null, for none) to restore
+ * to each file, in the order they're to be restored.
+ */
+function readBatch(ops, cb) {
+    var contents = {};
+    var undo = [];
+
+    vasync.forEachPipeline({
+        func: function (op, subcb) {
+            var file = getObjectFile(op.bucket, op.uuid);
+
+            function check(current) {
+                var etag = current === null ? null : computeEtag(current);
+
+                undo.unshift({
+                    bucket: op.bucket,
+                    uuid: op.uuid,
+                    contents: current
+                });
+                contents[file] = op.operation === 'put' ?
+                    JSON.stringify(op.value, null, 4) : null;
+
+                if (op.etag !== undefined && op.etag !== etag) {
+                    return (subcb(new mod_errors.EtagConflictError(sprintf(
+                        'etag conflict for "%s": expected %s, found %s', file,
+                        op.etag, etag))));
+                }
+
+                return (subcb());
+            }
+
+            // An object written earlier in the batch is as that left it
+            if (contents.hasOwnProperty(file)) {
+                check(contents[file]);
+                return;
+            }
+
+            fs.readFile(file, ENCODING, function (err, current) {
+                if (err && err.code !== 'ENOENT')
+                    return (subcb(err));
+                return (check(err ? null : current));
+            });
+        },
+        inputs: ops
+    }, function (err) {
+        cb(err, undo);
+    });
+}
+
+/*
+ * Make each of a batch's writes to the objects' files in turn.
+ */
+function applyBatch(ops, cb) {
+    vasync.forEachPipeline({
+        func: function (op, subcb) {
+            writeObjectFile(getObjectFile(op.bucket, op.uuid),
+                op.operation === 'put' ?
+                JSON.stringify(op.value, null, 4) : null, subcb);
+        },
+        inputs: ops
+    }, function (err) {
+        cb(err);
+    });
+}
+
+/*
+ * Restore the objects' files as they were before a batch (see readBatch()),
+ * and then remove its journal.  Restoring a file which was never written (as
+ * when the batch failed part way through) is harmless.
+ */
+function undoBatch(journal, undo, cb) {
+    vasync.forEachPipeline({
+        func: function (entry, subcb) {
+            writeObjectFile(getObjectFile(entry.bucket, entry.uuid),
+                entry.contents, subcb);
+        },
+        inputs: undo
+    }, function (err) {
+        if (err)
+            return (cb(err));
+        return (removeJournal(journal, cb));
+    });
+}
+
+/*
+ * Run func(cb) until it succeeds, waiting JOURNAL_RETRY_DELAY between tries.
+ * This is used while a batch's write locks are held, so that no other write
+ * can be made to its objects until its journal is gone.
+ */
+function retryJournal(what, func, cb) {
+    var self = this;
+
+    func(function (err) {
+        if (!err)
+            return (cb());
+
+        self.log.error(err, 'failed to %s; next try in %d seconds', what,
+            JOURNAL_RETRY_DELAY / 1000);
+        return (setTimeout(retryJournal.bind(self, what, func, cb),
+            JOURNAL_RETRY_DELAY));
+    });
+}
+
+/*
+ * Make a batch of writes to objects, each either { operation: 'put', bucket,
+ * uuid, value, etag } or { operation: 'delete', bucket, uuid, etag }, where
+ * the etag is optional.  Either all of the writes are made or, if any of them
+ * has an etag which doesn't match or fails, none are.  Deleting an object
+ * which doesn't exist, without an etag, does nothing.
+ */
+LocalStorage.prototype.batch = function batch(ops, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.arrayOfObject(ops, 'ops');
+    assert.func(cb, 'cb');
+
+    var files = ops.map(function (op) {
+        assert.ok(op.operation === 'put' || op.operation === 'delete',
+            'op.operation');
+        assert.string(op.bucket, 'op.bucket');
+        assert.string(op.uuid, 'op.uuid');
+        return (getObjectFile(op.bucket, op.uuid));
+    });
+    var journal = getJournalFile(sprintf('%d.%d.%d%s', Date.now(),
+        process.pid, journalCount++, JOURNAL_SUFFIX));
+
+    withWriteLocks.call(self, files, function (subcb) {
+        var undo;
+
+        async.waterfall([
+            function (stepcb) {
+                readBatch(ops, stepcb);
+            },
+            function (readUndo, stepcb) {
+                undo = readUndo;
+                writeFileAtomic(journal, JSON.stringify({ undo: undo }),
+                    stepcb);
+            },
+            function (stepcb) {
+                applyBatch(ops, function (err) {
+                    if (!err)
+                        return (stepcb(null));
+
+                    log.error(err, 'failed to write batch of %d object(s); ' +
+                        'undoing it', ops.length);
+                    return (retryJournal.call(self, 'undo batch "' +
+                        journal + '"', undoBatch.bind(null, journal, undo),
+                        function () {
+                        stepcb(err);
+                    }));
+                });
+            },
+            function (stepcb) {
+                retryJournal.call(self, 'remove journal "' + journal + '"',
+                    removeJournal.bind(null, journal), stepcb);
+            }
+        ], subcb);
+    }, function (err) {
+        if (err && err.name === 'EtagConflictError') {
+            log.info(err, 'not writing batch of %d object(s)', ops.length);
+        } else if (err) {
+            log.error(err, 'failed to write batch of %d object(s)',
+                ops.length);
+        }
+        cb(err);
+    });
 };
 
+/*
+ * Undo any batches whose journals were left behind, latest first.
+ */
+function replayJournals(cb) {
+    var self = this;
+    var log = self.log;
+    var dir = path.join(ROOT, JOURNAL_DIR);
+
+    async.waterfall([
+        function (subcb) {
+            fs.mkdir(dir, function (err) {
+                if (err && err.code !== 'EEXIST')
+                    return (subcb(err));
+                return (subcb(null));
+            });
+        },
+        function (subcb) {
+            fs.readdir(dir, subcb);
+        },
+        function (dirents, subcb) {
+            var journals = dirents.filter(isJournalFile).sort().reverse();
+
+            vasync.forEachPipeline({
+                func: function (name, subsubcb) {
+                    var file = getJournalFile(name);
+
+                    if (isTempFile(name)) {
+                        fs.unlink(file, subsubcb);
+                        return;
+                    }
+
+                    log.warn('undoing batch from journal "%s"', file);
+
+                    fs.readFile(file, ENCODING, function (err, contents) {
+                        if (err)
+                            return (subsubcb(err));
+
+                        var undo;
+                        try {
+                            undo = JSON.parse(contents).undo;
+                        } catch (e) {
+                            // Journals are written atomically (see above)
+                            return (subsubcb(new mod_errors.CorruptObjectError(
+                                sprintf('journal "%s" is corrupt: %s', file,
+                                e.message))));
+                        }
+
+                        return (undoBatch(file, undo, subsubcb));
+                    });
+                },
+                inputs: dirents.filter(isTempFile).concat(journals)
+            }, function (err) {
+                subcb(err);
+            });
+        }
+    ], cb);
+}
+
 LocalStorage.prototype.listObjectValues = listObjectValues;
 
 function listObjectValues(bucket, filters, opts, cb) {
     var self = this;
     var log = self.log;
 
-    /*
-     * The opts argument isn't used here, but is kept to maintain
-     * compatibility with MorayStorage.listObjectValues().
-     */
     assert.string(bucket, 'bucket');
     assert.object(filters, 'filters');
     assert.object(opts, 'opts');
@@ -206,73 +816,147 @@ function listObjectValues(bucket, filters, opts, cb) {
             return (cb(err));
         }
 
-        var results = [];
-        var errors = [];
+        dirents = dirents.filter(isObjectFile);
 
-        var queue = vasync.queue(
-            function (dirent, subcb) {
-                filterObject.call(self,
-                    bucket, dirent, filters, function (filterErr, result) {
-                        if (filterErr) {
-                            subcb(filterErr);
-                            return;
-                        }
-                        results.push(result);
-                        subcb();
-                    });
-            },
-            512);
+        var matches = mod_filters.matcher(filters);
 
+        if (!paging.isPaged(opts)) {
+            loadObjects.call(self, bucket, dirents, matches, cb);
+            return (null);
+        }
 
-        queue.push(dirents, function (queueErr) {
-            if (queueErr) {
-                errors.push(queueErr);
-            }
+        var sort = paging.sortOf(opts);
+        if (sort.attribute !== 'uuid') {
+            loadObjects.call(self, bucket, dirents, matches,
+                function (loadErr, vals) {
+                if (loadErr)
+                    return (cb(loadErr));
+                return (cb(null, paging.pageObjects(vals, opts)));
+            });
+            return (null);
+        }
+
+        /*
+         * Objects are stored in files named by their uuid, so when sorting
+         * by uuid only as many files as are needed to fill the page are
+         * read, in batches taken in order from the sorted directory entries.
+         */
+        dirents.sort();
+        if (sort.order === 'DESC')
+            dirents.reverse();
+
+        if (opts.marker !== undefined) {
+            dirents = dirents.filter(function (dirent) {
+                return (paging.afterMarker(dirent, opts.marker, sort));
+            });
+        }
+
+        var wanted = (opts.limit === undefined ?
+            Infinity : (opts.offset || 0) + opts.limit);
+        var next = 0;
+        var vals = [];
+
+        async.whilst(function () {
+            return (next < dirents.length && vals.length < wanted);
+        }, function (subcb) {
+            var batch = dirents.slice(next, next + LIST_BATCH_SIZE);
+            next += batch.length;
+
+            loadObjects.call(self, bucket, batch, matches,
+                function (loadErr, batchVals) {
+                if (loadErr)
+                    return (subcb(loadErr));
+                vals = vals.concat(batchVals);
+                return (subcb());
+            });
+        }, function (loadErr) {
+            if (loadErr)
+                return (cb(loadErr));
+            return (cb(null, paging.pageObjects(vals, opts)));
         });
 
-        queue.close();
+        return (null);
+    });
+}
 
-        queue.on('end', function () {
-            if (errors.length) {
-                return (cb(new verror.VError(errors[0], 'loading objects')));
-            }
+/*
+ * Reads the objects with the given uuids, returning those accepted by
+ * "matches" (in no particular order).
+ */
+function loadObjects(bucket, uuids, matches, cb) {
+    var self = this;
 
-            var vals = [];
+    var results = [];
+    var errors = [];
+
+    var queue = vasync.queue(
+        function (uuid, subcb) {
+            filterObject.call(self,
+                bucket, uuid, matches, function (filterErr, result) {
+                    if (filterErr) {
+                        subcb(filterErr);
+                        return;
+                    }
+                    results.push(result);
+                    subcb();
+                });
+        },
+        LIST_BATCH_SIZE);
 
-            results.forEach(function (op) {
-                if (op) {
-                    vals.push(op);
-                }
-            });
 
-            return (cb(null, vals));
+    queue.push(uuids, function (queueErr) {
+        if (queueErr) {
+            errors.push(queueErr);
+        }
+    });
+
+    queue.close();
+
+    queue.on('end', function () {
+        if (errors.length) {
+            return (cb(new verror.VError(errors[0], 'loading objects')));
+        }
+
+        var vals = [];
+
+        results.forEach(function (op) {
+            if (op) {
+                vals.push(op);
+            }
         });
 
-        return (null);
+        return (cb(null, vals));
     });
 }
 
-function filterObject(bucket, uuid, filters, cb) {
+function filterObject(bucket, uuid, matches, cb) {
+    var self = this;
+
     assert.string(bucket, 'bucket');
     assert.string(uuid, 'uuid');
-    assert.object(filters, 'filters');
+    assert.func(matches, 'matches');
     assert.func(cb, 'cb');
 
-    this.getObject(bucket, uuid, function (err, record) {
-        if (err)
+    self.getObject(bucket, uuid, function (err, record) {
+        if (err && err.name === 'CorruptObjectError') {
+            quarantineObject.call(self, bucket, uuid, err, function () {
+                cb(null, null);
+            });
+            return (null);
+        } else if (err) {
             return (cb(err));
+        } else if (!record) {
+            // Deleted since the directory was read
+            return (cb(null, null));
+        }
 
         var val = record.value;
 
         /*
-         * Filter objects which match all the search options.
+         * Filter objects which match all the search options, in the same way
+         * as MorayStorage does.
          */
-        var matches = true;
-        Object.keys(filters).forEach(function (key) {
-            matches = matches && filters[key] === val[key];
-        });
-
-        return (cb(null, matches ? val : null));
+        return (cb(null, matches(val) ? val : null));
     });
 }
 
@@ -280,6 +964,19 @@ LocalStorage.prototype.ping = function ping(cb) {
     process.nextTick(cb);
 };
 
+LocalStorage.prototype.bucketStatus = function bucketStatus() {
+    // Local buckets are plain directories, which are never versioned
+    return ({});
+};
+
+/*
+ * Returns the corrupt objects which have been quarantined (see
+ * quarantineObject()) since SAPI started.
+ */
+LocalStorage.prototype.repairStatus = function repairStatus() {
+    return (this.repairs.slice());
+};
+
 LocalStorage.prototype.close = function close() {
     // Nothing to do when closing client
     return;
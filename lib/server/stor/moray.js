@@ -24,6 +24,8 @@ var vasync = require('vasync');
 var VError = require('verror');
 
 var mod_errors = require('../errors');
+var mod_filters = require('./filters');
+var paging = require('./paging');
 
 var sprintf = require('util').format;
 
@@ -41,6 +43,7 @@ function MorayStorage(config, metricsManager) {
     this.log = config.log;
     this.buckets = config.buckets;
     this.metricsManager = metricsManager;
+    this.bucketStatuses = {};
 }
 
 MorayStorage.prototype.init = function init(cb) {
@@ -132,7 +135,7 @@ MorayStorage.prototype.init = function init(cb) {
         log.info({ tag: tag, client: client.toString() },
             'moray: setting up');
 
-        initBuckets.call(self, client, function (err) {
+        initBuckets.call(self, tag, client, function (err) {
             if (err) {
                 cb(err);
                 return;
@@ -180,111 +183,318 @@ MorayStorage.prototype.init = function init(cb) {
 
 // -- Bucket operations
 
-function initBuckets(client, cb) {
-    var self = this;
-    var buckets = self.buckets;
+/*
+ * The moray buckets used by SAPI, keyed as in config.buckets, along with the
+ * types of their indexes (every bucket also has a unique index on uuid).  A
+ * bucket's version must be bumped whenever its indexes change, so that
+ * existing buckets are updated and their objects reindexed at startup.
+ *
+ * Moray can only index an object's own attributes, so an index on a key of
+ * its params or metadata (such as "params.server_uuid") is backed by a copy of
+ * that key's value, which is stored in the object when it's put (see
+ * derivedIndexName()) and removed from it when it's read.
+ */
+var BUCKET_SCHEMAS = {
+    applications: {
+        version: 1,
+        index: {
+            name: 'string',
+            owner_uuid: 'string',
+            master: 'boolean'
+        }
+    },
+    services: {
+        version: 1,
+        index: {
+            name: 'string',
+            application_uuid: 'string',
+            type: 'string',
+            master: 'boolean'
+        }
+    },
+    instances: {
+        version: 1,
+        index: {
+            service_uuid: 'string',
+            type: 'string',
+            master: 'boolean',
+            'params.server_uuid': 'string'
+        }
+    },
+    manifests: {
+        version: 1,
+        index: {
+            name: 'string',
+            version: 'string',
+            master: 'boolean'
+        }
+    },
+    history: {
+        version: 1,
+        index: {
+            object_uuid: 'string',
+            object_type: 'string',
+            action: 'string',
+            started: 'number'
+        }
+    },
+    operations: {
+        version: 1,
+        index: {
+            object_uuid: 'string',
+            object_type: 'string',
+            action: 'string',
+            state: 'string',
+            created: 'number'
+        }
+    }
+};
 
-    assert.object(client, 'client');
-    assert.func(cb, 'cb');
+/*
+ * The number of objects rewritten or reindexed at a time while updating a
+ * bucket, and how long to wait before retrying a failed update.
+ */
+var REINDEX_BATCH_SIZE = 100;
+var REINDEX_RETRY_DELAY = 60 * 1000;
+
+
+function derivedIndexName(key) {
+    return ('index_' + key.replace(/\./g, '_'));
+}
+
+function isDerivedIndex(key) {
+    return (key.indexOf('.') !== -1);
+}
+
+/*
+ * Returns the nested keys of a bucket's schema which are indexed, mapped to
+ * the names of the attributes which hold their values.
+ */
+function derivedIndexes(schema) {
+    var indexes = {};
+
+    Object.keys(schema.index).filter(isDerivedIndex).forEach(function (key) {
+        indexes[key] = derivedIndexName(key);
+    });
 
-    var basecfg = {
+    return (indexes);
+}
+
+function bucketConfig(schema) {
+    var cfg = {
         index: {
             uuid: {
                 type: 'string',
                 unique: true
             }
+        },
+        options: {
+            version: schema.version
         }
     };
 
+    Object.keys(schema.index).forEach(function (key) {
+        var name = isDerivedIndex(key) ? derivedIndexName(key) : key;
+        cfg.index[name] = {
+            type: schema.index[key]
+        };
+    });
+
+    return (cfg);
+}
+
+/*
+ * Returns a copy of an object with the values of its derived indexes added,
+ * or the object itself if it has none.
+ */
+function addDerivedIndexes(indexes, obj) {
+    var keys = Object.keys(indexes);
+    if (keys.length === 0)
+        return (obj);
+
+    var copy = jsprim.mergeObjects(obj);
+
+    keys.forEach(function (key) {
+        var value = jsprim.pluck(obj, key);
+        if (value === undefined)
+            delete copy[indexes[key]];
+        else
+            copy[indexes[key]] = value;
+    });
+
+    return (copy);
+}
+
+function removeDerivedIndexes(indexes, obj) {
+    if (obj) {
+        Object.keys(indexes).forEach(function (key) {
+            delete obj[indexes[key]];
+        });
+    }
+
+    return (obj);
+}
+
+/*
+ * Returns the derived indexes of the named bucket (see derivedIndexes()).
+ */
+function bucketIndexes(bucket) {
+    var self = this;
+
+    var key = Object.keys(self.buckets).filter(function (k) {
+        return (self.buckets[k] === bucket);
+    })[0];
+
+    if (!key || !BUCKET_SCHEMAS[key])
+        return ({});
+
+    return (derivedIndexes(BUCKET_SCHEMAS[key]));
+}
+
+/*
+ * Returns the derived indexes of the named bucket which can be used when
+ * listing objects with the given options: those of buckets which are up to
+ * date in every moray being listed from.
+ */
+function readyIndexes(bucket, opts) {
+    var self = this;
+
+    var tags = [ 'local_moray' ];
+    if (opts.include_master && self.master)
+        tags.push('master_moray');
+
+    var ready = tags.every(function (tag) {
+        var status = self.bucketStatuses[tag] &&
+            self.bucketStatuses[tag][bucket];
+        return (status && status.state === 'ready');
+    });
+
+    return (ready ? bucketIndexes.call(self, bucket) : {});
+}
+
+function initBuckets(tag, client, cb) {
+    var self = this;
+    var buckets = self.buckets;
+
+    assert.string(tag, 'tag');
+    assert.object(client, 'client');
+    assert.func(cb, 'cb');
+
+    if (!self.bucketStatuses[tag])
+        self.bucketStatuses[tag] = {};
+
     async.waterfall([
         function (subcb) {
-            var cfg = jsprim.deepCopy(basecfg);
-            cfg.index.name = {
-                type: 'string'
-            };
-            cfg.index.owner_uuid = {
-                type: 'string'
-            };
-
-            createBucket.call(self, client,
-                buckets.applications, basecfg, subcb);
+            setupBucket.call(self, tag, client, 'applications', subcb);
         },
         function (subcb) {
-            var cfg = jsprim.deepCopy(basecfg);
-            cfg.index.name = {
-                type: 'string'
-            };
-            cfg.index.application_uuid = {
-                type: 'string'
-            };
-            cfg.index.type = {
-                type: 'string'
-            };
-
-            createBucket.call(self, client,
-                buckets.services, cfg, subcb);
+            setupBucket.call(self, tag, client, 'services', subcb);
         },
         function (subcb) {
-            var cfg = jsprim.deepCopy(basecfg);
-            cfg.index.service_uuid = {
-                type: 'string'
-            };
-            cfg.index.type = {
-                type: 'string'
-            };
-
-            createBucket.call(self, client,
-                buckets.instances, cfg, subcb);
+            setupBucket.call(self, tag, client, 'instances', subcb);
         },
         function (subcb) {
-            createBucket.call(self, client,
-                buckets.manifests, basecfg, subcb);
+            setupBucket.call(self, tag, client, 'manifests', subcb);
         },
-        function removeHistoryBucket(subcb) {
-            client.getBucket('sapi_history', function getBucketCb(err) {
+        function removeOldHistoryBucket(subcb) {
+            /*
+             * Older versions of SAPI kept a history bucket in a different
+             * format, which was never used.  Remove it so it can be
+             * re-created with the current indexes.
+             */
+            client.getBucket(buckets.history, function getBucketCb(err, b) {
                 if (err && VError.hasCauseWithName(err,
                     'BucketNotFoundError')) {
                     subcb();
                     return;
+                } else if (err) {
+                    subcb(err);
+                    return;
                 }
-                client.deleteBucket('sapi_history', subcb);
+
+                if (b.index && b.index.object_uuid) {
+                    subcb();
+                    return;
+                }
+
+                self.log.info('removing old history bucket %s',
+                    buckets.history);
+                client.deleteBucket(buckets.history, subcb);
             });
+        },
+        function (subcb) {
+            setupBucket.call(self, tag, client, 'history', subcb);
+        },
+        function (subcb) {
+            setupBucket.call(self, tag, client, 'operations', subcb);
         }
     ], function (err) {
         if (err) {
             self.log.error({
                 err: err
             }, 'Error creating buckets.  Next try in 5 seconds.');
-            return (setTimeout(initBuckets.bind(self, client, cb),
+            return (setTimeout(initBuckets.bind(self, tag, client, cb),
                     5000));
         }
         return (cb());
     });
 }
 
-function createBucket(client, name, cfg, cb) {
+/*
+ * Creates a bucket if it doesn't exist.  If it exists at an older version,
+ * it's updated in the background (see updateBucket()); until that's done,
+ * its new indexes aren't used.
+ */
+function setupBucket(tag, client, key, cb) {
     var self = this;
     var log = self.log;
 
+    assert.string(tag, 'tag');
     assert.object(client, 'client');
-    assert.string(name, 'name');
-    assert.object(cfg, 'cfg');
+    assert.string(key, 'key');
     assert.func(cb, 'cb');
 
-    client.getBucket(name, function (err) {
-        if (!err) {
-            log.info({ client: client.toString() },
-                'moray: bucket %s already exists', name);
-            cb(null);
-            return;
-        }
+    var name = self.buckets[key];
+    var schema = BUCKET_SCHEMAS[key];
+    var cfg = bucketConfig(schema);
+    var statuses = self.bucketStatuses[tag];
 
+    client.getBucket(name, function (err, bucket) {
         if (err && !VError.hasCauseWithName(err, 'BucketNotFoundError')) {
             log.error(err, 'failed to get bucket %s', name);
             cb(err);
             return;
         }
 
+        if (!err) {
+            var version = (bucket.options && bucket.options.version) || 0;
+            var reindexing = bucket.reindex_active &&
+                Object.keys(bucket.reindex_active).length > 0;
+
+            log.info({ client: client.toString(), version: version },
+                'moray: bucket %s already exists', name);
+
+            if (version > schema.version) {
+                log.warn('moray: bucket %s is at version %d, newer than ' +
+                    'this SAPI\'s %d', name, version, schema.version);
+                statuses[name] = { version: version, state: 'newer' };
+            } else if (version < schema.version || reindexing) {
+                statuses[name] = {
+                    version: version,
+                    state: 'updating',
+                    rewritten: 0,
+                    reindexed: 0
+                };
+                updateBucket.call(self, client, name, schema, statuses[name],
+                    version < schema.version);
+            } else {
+                statuses[name] = { version: version, state: 'ready' };
+            }
+
+            cb(null);
+            return;
+        }
+
         client.createBucket(name, cfg, function (suberr) {
             if (suberr) {
                 log.error(suberr,
@@ -296,11 +506,179 @@ function createBucket(client, name, cfg, cb) {
             log.info({ client: client.toString() },
                 'moray: create bucket %s', name);
 
+            statuses[name] = { version: schema.version, state: 'ready' };
             cb();
         });
     });
 }
 
+/*
+ * Brings an existing bucket up to date with its schema, in three steps which
+ * may each be repeated should SAPI restart part way through:
+ *
+ *  - store the values of any derived indexes in each existing object, which
+ *    is only needed (and done) when the bucket's version is out of date,
+ *  - update the bucket to the new version, which creates the new indexes,
+ *  - have moray reindex the bucket's objects until none are left.
+ *
+ * Progress is recorded in "status", which is reported by bucketStatus().
+ * Should any step fail, the update is retried later.
+ */
+function updateBucket(client, name, schema, status, outdated) {
+    var self = this;
+    var log = self.log;
+
+    log.info({ client: client.toString(), from: status.version,
+        to: schema.version }, 'moray: updating bucket %s', name);
+
+    vasync.pipeline({ funcs: [
+        function backfill(_, subcb) {
+            var indexes = derivedIndexes(schema);
+            if (!outdated || Object.keys(indexes).length === 0) {
+                subcb();
+                return;
+            }
+
+            backfillDerivedIndexes.call(self, client, name, indexes, status,
+                subcb);
+        },
+        function update(_, subcb) {
+            if (!outdated) {
+                subcb();
+                return;
+            }
+
+            client.updateBucket(name, bucketConfig(schema), function (err) {
+                if (!err)
+                    status.version = schema.version;
+                subcb(err);
+            });
+        },
+        function reindex(_, subcb) {
+            var done = false;
+
+            async.whilst(function () {
+                return (!done);
+            }, function (whilstcb) {
+                client.reindexObjects(name, REINDEX_BATCH_SIZE,
+                    function (err, res) {
+                    if (err) {
+                        whilstcb(err);
+                        return;
+                    }
+
+                    status.reindexed += res.processed;
+                    done = (res.processed === 0);
+                    whilstcb();
+                });
+            }, subcb);
+        }
+    ]}, function (err) {
+        if (err) {
+            log.error(err, 'moray: failed to update bucket %s, retrying ' +
+                'in %d seconds', name, REINDEX_RETRY_DELAY / 1000);
+            status.state = 'failed';
+            status.error = err.message;
+            setTimeout(function () {
+                status.state = 'updating';
+                delete status.error;
+                updateBucket.call(self, client, name, schema, status,
+                    status.version < schema.version);
+            }, REINDEX_RETRY_DELAY);
+            return;
+        }
+
+        log.info({ client: client.toString(), rewritten: status.rewritten,
+            reindexed: status.reindexed }, 'moray: updated bucket %s', name);
+        status.state = 'ready';
+    });
+}
+
+/*
+ * Stores the values of a bucket's derived indexes in each of its objects
+ * which doesn't have them yet.  Objects put since SAPI started already have
+ * them, as do any that are changed while this runs (in which case the etag
+ * check fails, and the object is skipped).
+ */
+function backfillDerivedIndexes(client, name, indexes, status, cb) {
+    var self = this;
+
+    var marker;
+    var done = false;
+
+    async.whilst(function () {
+        return (!done);
+    }, function (subcb) {
+        var filter = morayFilter.parse('(uuid=*)');
+        if (marker) {
+            filter = new morayFilter.AndFilter({ filters: [
+                new morayFilter.GreaterThanEqualsFilter({
+                    attribute: 'uuid',
+                    value: marker
+                }),
+                new morayFilter.NotFilter({
+                    filter: new morayFilter.EqualityFilter({
+                        attribute: 'uuid',
+                        value: marker
+                    })
+                })
+            ]});
+        }
+
+        var findOpts = {
+            sort: [ { attribute: 'uuid', order: 'ASC' } ],
+            limit: REINDEX_BATCH_SIZE
+        };
+
+        findObjectsPaginated.call(self, client, name, filter.toString(),
+            findOpts, function (err, records) {
+            if (err) {
+                subcb(err);
+                return;
+            }
+
+            done = (records.length < REINDEX_BATCH_SIZE);
+            if (records.length > 0)
+                marker = records[records.length - 1].key;
+
+            async.forEachSeries(records, function (record, putcb) {
+                var value = addDerivedIndexes(indexes, record.value);
+                if (jsprim.deepEqual(value, record.value)) {
+                    putcb();
+                    return;
+                }
+
+                client.putObject(name, record.key, value,
+                    { etag: record._etag }, function (puterr) {
+                    if (puterr && !VError.hasCauseWithName(puterr,
+                        'EtagConflictError')) {
+                        putcb(puterr);
+                        return;
+                    }
+
+                    status.rewritten++;
+                    putcb();
+                });
+            }, subcb);
+        });
+    }, cb);
+}
+
+/*
+ * Returns the state of each bucket in each moray: its version, and whether
+ * it's ready, being updated (with how many objects have been rewritten and
+ * reindexed so far), failed to update (and will be retried) or newer than
+ * this SAPI knows about.
+ */
+MorayStorage.prototype.bucketStatus = function bucketStatus() {
+    return (jsprim.deepCopy(this.bucketStatuses));
+};
+
+MorayStorage.prototype.repairStatus = function repairStatus() {
+    // Moray objects are never quarantined; see LocalStorage
+    return ([]);
+};
+
 
 // -- Object operations
 
@@ -335,7 +713,9 @@ function putObject(bucket, uuid, obj, opts, cb) {
         client = this.master;
     }
 
-    client.putObject(bucket, uuid, obj, opts, function (err, res) {
+    var value = addDerivedIndexes(bucketIndexes.call(self, bucket), obj);
+
+    client.putObject(bucket, uuid, value, opts, function (err, res) {
         if (err) {
             log.error(err, 'failed to put object %s', uuid);
             cb(err);
@@ -352,6 +732,7 @@ function putObject(bucket, uuid, obj, opts, cb) {
 
 MorayStorage.prototype.getObject = function getObject(bucket, uuid, cb) {
     var log = this.log;
+    var indexes = bucketIndexes.call(this, bucket);
 
     assert.string(bucket, 'bucket');
     assert.string(uuid, 'uuid');
@@ -371,23 +752,37 @@ MorayStorage.prototype.getObject = function getObject(bucket, uuid, cb) {
         if (err) {
             log.error(err, 'failed to get object %s', uuid);
             cb(err);
+        } else if (objs.length === 0) {
+            cb(null, null);
         } else {
-            cb(null, objs.length > 0 ? objs[0] : null);
+            removeDerivedIndexes(indexes, objs[0].value);
+            // Like LocalStorage's, the record's etag is its "etag"
+            objs[0].etag = objs[0]._etag;
+            cb(null, objs[0]);
         }
     });
 
     return (null);
 };
 
-MorayStorage.prototype.delObject = function delObject(bucket, uuid, cb) {
+MorayStorage.prototype.delObject = delObject;
+
+function delObject(bucket, uuid, opts, cb) {
     var self = this;
     var log = self.log;
 
     assert.string(bucket, 'bucket');
     assert.string(uuid, 'uuid');
+
+    if (arguments.length === 3) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.object(opts, 'opts');
     assert.func(cb, 'cb');
 
-    this.local.delObject(bucket, uuid, function (err) {
+    this.local.delObject(bucket, uuid, opts, function (err) {
         if (err && !VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
             cb(err);
             return;
@@ -411,7 +806,7 @@ MorayStorage.prototype.delObject = function delObject(bucket, uuid, cb) {
          * When the object isn't present in the local datacenter's
          * moray, try to delete it from the master datacenter's moray.
          */
-        self.master.delObject(bucket, uuid, function (suberr) {
+        self.master.delObject(bucket, uuid, opts, function (suberr) {
             if (suberr &&
                 !VError.hasCauseWithName(suberr, 'ObjectNotFoundError')) {
                 cb(suberr);
@@ -426,37 +821,95 @@ MorayStorage.prototype.delObject = function delObject(bucket, uuid, cb) {
             cb(new mod_errors.ObjectNotFoundError(err.message));
         });
     });
+}
+
+/*
+ * Make a batch of writes to objects (see LocalStorage.batch()) in a single
+ * moray transaction.  Objects in the master datacenter's moray can't be
+ * written in the same transaction as local ones, so they can't be batched.
+ */
+MorayStorage.prototype.batch = function batch(ops, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.arrayOfObject(ops, 'ops');
+    assert.func(cb, 'cb');
+
+    var requests = [];
+    for (var i = 0; i < ops.length; i++) {
+        var op = ops[i];
+
+        if (op.operation === 'put' && op.value.master && self.master) {
+            cb(new mod_errors.UnsupportedOperationError(sprintf(
+                'object %s belongs to the master datacenter, so can\'t be ' +
+                'written in a batch', op.uuid)));
+            return;
+        }
+
+        var request = {
+            operation: op.operation,
+            bucket: op.bucket,
+            key: op.uuid,
+            options: {}
+        };
+        if (op.operation === 'put') {
+            request.value = addDerivedIndexes(
+                bucketIndexes.call(self, op.bucket), op.value);
+        }
+        if (op.etag !== undefined)
+            request.options.etag = op.etag;
+
+        requests.push(request);
+    }
+
+    log.debug('writing batch of %d object(s)', requests.length);
+
+    self.local.batch(requests, function (err) {
+        if (err) {
+            log.error(err, 'failed to write batch of %d object(s)',
+                requests.length);
+            cb(err);
+            return;
+        }
+
+        cb(null);
+    });
 };
 
 MorayStorage.prototype.listObjectValues = listObjectValues;
 
 function listObjectValues(bucket, filterMap, opts, cb) {
-    var log = this.log;
+    var self = this;
+    var log = self.log;
 
     assert.string(bucket, 'bucket');
     assert.object(filterMap, 'filterMap');
     assert.object(opts, 'opts');
     assert.func(cb, 'cb');
 
-    var filters = [ morayFilter.parse('(uuid=*)') ];
-    Object.keys(filterMap).forEach(function aFilterKey(key) {
-        if (key === 'since') {
-            filters.push(new morayFilter.GreaterThanEqualsFilter({
-                attribute: 'started',
-                value: String(filterMap[key])
-            }));
-        } else if (key === 'until') {
-            filters.push(new morayFilter.LessThanEqualsFilter({
-                attribute: 'started',
-                value: String(filterMap[key])
-            }));
-        } else {
-            filters.push(new morayFilter.EqualityFilter({
-                attribute: key,
-                value: filterMap[key]
-            }));
-        }
-    });
+    var indexes = readyIndexes.call(this, bucket, opts);
+    var compiled = mod_filters.compile(filterMap, indexes);
+    var filters = [ compiled.indexed ];
+
+    if (opts.marker !== undefined) {
+        /*
+         * Moray has no strict inequality filters, so only objects after the
+         * marker are found with (&(uuid>=marker)(!(uuid=marker))).
+         */
+        var MarkerFilter = (paging.sortOf(opts).order === 'DESC' ?
+            morayFilter.LessThanEqualsFilter :
+            morayFilter.GreaterThanEqualsFilter);
+        filters.push(new MarkerFilter({
+            attribute: 'uuid',
+            value: opts.marker
+        }));
+        filters.push(new morayFilter.NotFilter({
+            filter: new morayFilter.EqualityFilter({
+                attribute: 'uuid',
+                value: opts.marker
+            })
+        }));
+    }
 
     var filter;
     if (filters.length === 1) {
@@ -470,15 +923,24 @@ function listObjectValues(bucket, filterMap, opts, cb) {
         filter: filter.toString() },
     'listing objects');
 
-    findObjects.call(this, bucket, filter.toString(), opts,
+    /*
+     * Most keys of params and metadata aren't indexed, so objects are checked
+     * for those here as they're found.
+     */
+    var listOpts = jsprim.mergeObjects(opts);
+    if (compiled.nested)
+        listOpts.match = mod_filters.matcher(filterMap, true, indexes);
+
+    findObjects.call(this, bucket, filter.toString(), listOpts,
         function (err, records) {
         if (err)
             return (cb(err));
 
+        var allIndexes = bucketIndexes.call(self, bucket);
         var vals = records.map(function (record) {
             var val = null;
             if (record)
-                val = record.value;
+                val = removeDerivedIndexes(allIndexes, record.value);
             return (val);
         });
 
@@ -493,6 +955,7 @@ function findObjects(bucket, filter, opts, cb) {
     assert.string(bucket, 'bucket');
     assert.string(filter, 'filter');
     assert.object(opts, 'opts');
+    assert.optionalFunc(opts.match, 'opts.match');
     assert.func(cb, 'cb');
 
     var clients = [ this.local ];
@@ -502,10 +965,38 @@ function findObjects(bucket, filter, opts, cb) {
 
     log.debug('finding objects with %d moray clients', clients.length);
 
+    var paged = paging.isPaged(opts);
+    var findOpts = {};
+
+    /*
+     * Any part of the requested page may come from either moray, and moray
+     * can't skip objects it doesn't know won't match, so in either case
+     * everything up to the end of the page is fetched and the page is taken
+     * from the results below.
+     */
+    var skip = paged && (clients.length > 1 || opts.match !== undefined);
+
+    if (paged) {
+        var sort = paging.sortOf(opts);
+
+        findOpts.sort = [ sort ];
+        if (sort.attribute !== 'uuid')
+            findOpts.sort.push({ attribute: 'uuid', order: sort.order });
+
+        if (!skip) {
+            findOpts.offset = opts.offset;
+            findOpts.limit = opts.limit;
+        } else if (opts.limit !== undefined) {
+            findOpts.limit = (opts.offset || 0) + opts.limit;
+        }
+    }
+
+    findOpts.match = opts.match;
+
     vasync.forEachParallel({
         func: function (client, subcb) {
             findObjectsPaginated.call(self,
-                client, bucket, filter, subcb);
+                client, bucket, filter, findOpts, subcb);
         },
         inputs: clients
     }, function (err, results) {
@@ -517,32 +1008,62 @@ function findObjects(bucket, filter, opts, cb) {
             objs = objs.concat(r);
         });
 
+        if (paged && clients.length > 1) {
+            var compare = paging.comparator(paging.sortOf(opts));
+
+            objs.sort(function (a, b) {
+                return (compare(a.value, b.value));
+            });
+        }
+
+        if (skip) {
+            var start = opts.offset || 0;
+            var end = (opts.limit === undefined ?
+                objs.length : start + opts.limit);
+
+            objs = objs.slice(start, end);
+        }
+
         log.debug('found %d objects', objs.length);
 
         return (cb(null, objs));
     });
 }
 
-function findObjectsPaginated(client, bucket, filter, cb) {
+/*
+ * Finds the records matching a filter, starting at findOpts.offset and
+ * stopping after findOpts.limit records (or the last record, if no limit is
+ * given).  If findOpts.match is given, only records whose values it accepts
+ * are kept (and counted towards the limit).
+ */
+function findObjectsPaginated(client, bucket, filter, findOpts, cb) {
     var self = this;
     var log = self.log;
 
     assert.object(client, 'client');
     assert.string(bucket, 'bucket');
     assert.string(filter, 'filter');
+    assert.object(findOpts, 'findOpts');
+    assert.optionalArrayOfObject(findOpts.sort, 'findOpts.sort');
+    assert.optionalNumber(findOpts.offset, 'findOpts.offset');
+    assert.optionalNumber(findOpts.limit, 'findOpts.limit');
+    assert.optionalFunc(findOpts.match, 'findOpts.match');
     assert.func(cb, 'cb');
 
     cb = once(cb);
 
+    var limit = (findOpts.limit === undefined ? Infinity : findOpts.limit);
+
     /*
-     * Find 1000 records at a time.  By default records are sorted by _id,
-     * so the records will be sorted by creation time.
+     * Find at most 1000 records at a time.  By default records are sorted by
+     * _id, so the records will be sorted by creation time.
      */
     var opts = {};
-    opts.limit = 1000;
-    opts.offset = 0;
+    opts.offset = findOpts.offset || 0;
+    if (findOpts.sort)
+        opts.sort = findOpts.sort;
 
-    var hasMoreObjs = true;
+    var hasMoreObjs = limit > 0;
     var objs = [];
 
     async.whilst(function () {
@@ -550,6 +1071,11 @@ function findObjectsPaginated(client, bucket, filter, cb) {
     }, function (subcb) {
         var count = 0;
 
+        if (findOpts.match)
+            opts.limit = 1000;
+        else
+            opts.limit = Math.min(1000, limit - objs.length);
+
         // This can happen if moray isn't inited yet (see the init
         // timeout).
         try {
@@ -566,8 +1092,9 @@ function findObjectsPaginated(client, bucket, filter, cb) {
         }
 
         res.on('record', function (record) {
-            objs.push(record);
             count++;
+            if (!findOpts.match || findOpts.match(record.value))
+                objs.push(record);
         });
 
         res.on('error', function (err) {
@@ -581,19 +1108,19 @@ function findObjectsPaginated(client, bucket, filter, cb) {
                 count, objs.length);
 
             /*
-             * If there are less than 1000 objects in the most
+             * If there are fewer objects than asked for in the most
              * recent query, we've reached the end of the bucket and
              * there are no more objects.
              */
-            if (count !== 1000)
+            if (count !== opts.limit || objs.length >= limit)
                 hasMoreObjs = false;
             else
-                opts.offset += 1000;
+                opts.offset += count;
 
             subcb();
         });
     }, function (err) {
-        cb(err, objs);
+        cb(err, objs.slice(0, limit));
     });
 }
 
@@ -17,6 +17,7 @@ var assert = require('assert-plus');
 var vasync = require('vasync');
 var VError = require('verror');
 
+var loadAppObjects = require('./app_objects');
 var util = require('../../common/util');
 
 module.exports = MorayLocalStorage;
@@ -89,6 +90,20 @@ function morayUsageError(err) {
     return false;
 }
 
+/*
+ * A batch's etags are moray's, and mean nothing to local storage.
+ */
+function withoutEtag(op) {
+    var local = {
+        operation: op.operation,
+        bucket: op.bucket,
+        uuid: op.uuid
+    };
+    if (op.operation === 'put')
+        local.value = op.value;
+    return (local);
+}
+
 function findApplication(uuid, cb) {
     var self = this;
     var b = self.buckets;
@@ -128,113 +143,6 @@ function findApplication(uuid, cb) {
     });
 }
 
-function loadAppObjects(uuid, stor, cb) {
-    var self = this;
-    var b = self.buckets;
-
-    var arg = {};
-    var funcs = [
-        function findApp(_, subcb) {
-            stor.getObject(b.applications, uuid, function (err, a) {
-                _.application = a;
-                // Makes things "easier" later...
-                _.applications = [];
-                if (a) {
-                    _.applications.push(a.value);
-                }
-                return (subcb(err));
-            });
-        },
-        // Find all services
-        function findServices(_, subcb) {
-            if (!_.application) {
-                _.services = [];
-                subcb();
-                return;
-            }
-            var f = {
-                'application_uuid': _.application.value.uuid
-            };
-            function onFind(err, services) {
-                _.services = services;
-                return (subcb(err));
-            }
-            stor.listObjectValues(b.services, f, {}, onFind);
-        },
-        // Find all instances
-        function findInstances(_, subcb) {
-            var inputs = _.services.map(function (s) {
-                return ({
-                    'service_uuid': s.uuid
-                });
-            });
-            function fServices(filter, fcb) {
-                stor.listObjectValues(b.instances, filter,
-                              {}, fcb);
-            }
-            vasync.forEachParallel({
-                'inputs': inputs,
-                'func': fServices
-            }, function (err, res) {
-                var ins = [];
-                ins = ins.concat.apply(ins, res.successes);
-                _.instances = ins;
-                return (subcb(err));
-            });
-        },
-        // Find all manifests
-        function findManifests(_, subcb) {
-            function extractManifests(a) {
-                var uuids = [];
-                a.map(function (o) {
-                    if (!o.manifests) {
-                        return;
-                    }
-                    var us = Object.keys(o.manifests).map(
-                        function (k) {
-                            return (o.manifests[k]);
-                        });
-                    us.forEach(function (u) {
-                        if (uuids.indexOf(u) === -1) {
-                            uuids.push(u);
-                        }
-                    });
-                });
-                return (uuids);
-            }
-            var muuids = [];
-            muuids = muuids.concat(
-                extractManifests(_.applications),
-                extractManifests(_.services),
-                extractManifests(_.instances));
-            function fManifests(u, mcb) {
-                stor.getObject(b.manifests, u, mcb);
-            }
-            vasync.forEachParallel({
-                'inputs': muuids,
-                'func': fManifests
-            }, function vasyncCb(err, res) {
-                _.manifests = res.successes.filter(function filterCb(m) {
-                    // if a file isn't found
-                    return (m !== null);
-                }).map(function mapCb(m) {
-                    return (m.value);
-                });
-
-                return (subcb(err));
-            });
-        }
-    ];
-
-    vasync.pipeline({
-        'arg': arg,
-        'funcs': funcs
-    }, function (err) {
-        return (cb(err, arg));
-    });
-
-}
-
 function refreshLocal(cb) {
     var self = this;
     var log = self.log;
@@ -271,8 +179,11 @@ function refreshLocal(cb) {
                 _.moray = objs;
                 return (subcb());
             }
-            loadAppObjects.call(self, _.application.key,
-                        self.moray, onLoad);
+            loadAppObjects({
+                buckets: self.buckets,
+                stor: self.moray,
+                uuid: _.application.key
+            }, onLoad);
         },
         // Find all "local" objects
         function findLocalObjects(_, subcb) {
@@ -283,8 +194,11 @@ function refreshLocal(cb) {
                 _.local = objs;
                 return (subcb());
             }
-            loadAppObjects.call(self, _.application.key,
-                        self.local, onLoad);
+            loadAppObjects({
+                buckets: self.buckets,
+                stor: self.local,
+                uuid: _.application.key
+            }, onLoad);
         },
         // Load everything from moray to local
         function loadInLocal(_, subcb) {
@@ -391,6 +305,11 @@ MorayLocalStorage.prototype.putObject = putObject;
 function putObject(bucket, uuid, obj, opts, cb) {
     var self = this;
 
+    if (arguments.length === 4) {
+        cb = opts;
+        opts = {};
+    }
+
     // Put to both places, if moray fails, it's OK it doesn't get written
     // to local.  If the local fails, it'll be refreshed at the next
     // refresh period.
@@ -404,8 +323,8 @@ function putObject(bucket, uuid, obj, opts, cb) {
                 function onRes(_err) {
                     subcb();
                 }
-                self.local.putObject(bucket, uuid, obj,
-                        opts, onRes);
+                // An etag is moray's, and means nothing to local storage
+                self.local.putObject(bucket, uuid, obj, {}, onRes);
             }
         ]
     }, cb);
@@ -435,25 +354,49 @@ MorayLocalStorage.prototype.getObject = function getObject(bucket, uuid, cb) {
     });
 };
 
-MorayLocalStorage.prototype.delObject = function delObject(bucket, uuid, cb) {
+MorayLocalStorage.prototype.delObject = delObject;
+
+function delObject(bucket, uuid, opts, cb) {
     var self = this;
 
+    if (arguments.length === 3) {
+        cb = opts;
+        opts = {};
+    }
+
     // Delete from both places.  If the local fails, it'll be resolved at
     // refresh time.
     vasync.pipeline({
         'funcs': [
             function delMoray(_, subcb) {
-                self.moray.delObject(bucket, uuid, subcb);
+                self.moray.delObject(bucket, uuid, opts, subcb);
             },
             function delLocal(_, subcb) {
                 function onRes(_err) {
                     subcb();
                     return;
                 }
-                self.local.delObject(bucket, uuid, onRes);
+                // As with putObject(), an etag is moray's
+                self.local.delObject(bucket, uuid, {}, onRes);
             }
         ]
     }, cb);
+}
+
+MorayLocalStorage.prototype.batch = function batch(ops, cb) {
+    var self = this;
+
+    // As with putObject(), the batch is only made locally once moray has it
+    self.moray.batch(ops, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        self.local.batch(ops.map(withoutEtag), function (_err) {
+            cb();
+        });
+    });
 };
 
 MorayLocalStorage.prototype.listObjectValues = listObjectValues;
@@ -499,6 +442,14 @@ MorayLocalStorage.prototype.ping = function ping(cb) {
     });
 };
 
+MorayLocalStorage.prototype.bucketStatus = function bucketStatus() {
+    return (this.moray.bucketStatus());
+};
+
+MorayLocalStorage.prototype.repairStatus = function repairStatus() {
+    return (this.local.repairStatus());
+};
+
 MorayLocalStorage.prototype.close = function close() {
     var self = this;
     if (self.interval) {
@@ -0,0 +1,123 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/stor/paging.js: helpers shared by the storage backends to sort
+ *                            and page the results of listObjectValues().
+ *
+ * The paging options understood by listObjectValues() are:
+ *
+ *     sort     { attribute: <field>, order: 'ASC' | 'DESC' }
+ *     limit    maximum number of objects to return
+ *     offset   number of matching objects to skip
+ *     marker   only return objects whose uuid sorts after this one (only
+ *              valid when sorting by uuid)
+ *
+ * When none of these are given, backends return every matching object in
+ * whatever order is natural to them, as they always have.
+ */
+
+var assert = require('assert-plus');
+
+
+var DEFAULT_SORT = { attribute: 'uuid', order: 'ASC' };
+
+
+function isPaged(opts) {
+    assert.object(opts, 'opts');
+
+    return (opts.sort !== undefined || opts.limit !== undefined ||
+        opts.offset !== undefined || opts.marker !== undefined);
+}
+
+function sortOf(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.sort, 'opts.sort');
+
+    return (opts.sort || DEFAULT_SORT);
+}
+
+/*
+ * Missing values sort after everything else, as they do in moray.
+ */
+function compareValues(a, b) {
+    if (a === b)
+        return (0);
+    if (a === undefined || a === null)
+        return (1);
+    if (b === undefined || b === null)
+        return (-1);
+    return (a < b ? -1 : 1);
+}
+
+/*
+ * Returns a comparison function for objects which orders them by the sort
+ * attribute, breaking ties by uuid so that the order is stable between pages.
+ */
+function comparator(sort) {
+    assert.object(sort, 'sort');
+    assert.string(sort.attribute, 'sort.attribute');
+
+    var sign = sort.order === 'DESC' ? -1 : 1;
+
+    return (function compare(a, b) {
+        var res = compareValues(a[sort.attribute], b[sort.attribute]);
+        if (res === 0)
+            res = compareValues(a.uuid, b.uuid);
+        return (sign * res);
+    });
+}
+
+/*
+ * Returns true when an object with the given uuid comes after the marker in
+ * the given sort order.
+ */
+function afterMarker(uuid, marker, sort) {
+    if (sort.order === 'DESC')
+        return (uuid < marker);
+    return (uuid > marker);
+}
+
+/*
+ * Sorts a complete list of matching objects and returns the requested page.
+ */
+function pageObjects(vals, opts) {
+    assert.arrayOfObject(vals, 'vals');
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.limit, 'opts.limit');
+    assert.optionalNumber(opts.offset, 'opts.offset');
+    assert.optionalString(opts.marker, 'opts.marker');
+
+    var sort = sortOf(opts);
+
+    vals = vals.slice().sort(comparator(sort));
+
+    if (opts.marker !== undefined) {
+        assert.equal(sort.attribute, 'uuid',
+            'marker is only valid when sorting by uuid');
+        vals = vals.filter(function (val) {
+            return (afterMarker(val.uuid, opts.marker, sort));
+        });
+    }
+
+    var start = opts.offset || 0;
+    var end = opts.limit === undefined ? vals.length : start + opts.limit;
+
+    return (vals.slice(start, end));
+}
+
+
+module.exports = {
+    afterMarker: afterMarker,
+    comparator: comparator,
+    isPaged: isPaged,
+    pageObjects: pageObjects,
+    sortOf: sortOf
+};
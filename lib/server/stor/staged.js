@@ -0,0 +1,263 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/server/stor/staged.js: a stor which holds writes in memory over another
+ *                            stor until they're committed together.
+ *
+ * Reads see the staged writes as though they'd been made, but with the etag
+ * the object had before they were staged (or none, for an object which didn't
+ * exist), as the staged writes have no etags of their own yet.  commit() then
+ * makes them all with one call to the underlying stor's batch(), so either
+ * all of them are made or none are.  Each write is made with the etag its
+ * object had when it was first staged (or, for an object which didn't exist, a
+ * null etag), so the commit fails if any of the objects has been changed since.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+
+var mod_errors = require('../errors');
+var mod_filters = require('./filters');
+var paging = require('./paging');
+
+var sprintf = require('util').format;
+
+var PAGING_OPTS = [ 'sort', 'limit', 'offset', 'marker' ];
+
+
+module.exports = StagedStorage;
+
+function StagedStorage(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.stor, 'opts.stor');
+
+    this.log = opts.log;
+    this.stor = opts.stor;
+
+    /*
+     * For each bucket, the staged value of each object written (or null, if
+     * it's been deleted), and its etag in the underlying stor when it was
+     * first staged.
+     */
+    this.staged = {};
+    this.order = [];
+}
+
+function stagedRecord(bucket, uuid) {
+    var records = this.staged[bucket];
+
+    return (records && records.hasOwnProperty(uuid) ? records[uuid] : null);
+}
+
+/*
+ * Stage a new value for an object, first fetching its etag if this is the
+ * first write to it.
+ */
+function stage(bucket, uuid, value, cb) {
+    var self = this;
+
+    if (stagedRecord.call(self, bucket, uuid) !== null) {
+        self.staged[bucket][uuid].value = value;
+        setImmediate(cb);
+        return;
+    }
+
+    self.stor.getObject(bucket, uuid, function (err, record) {
+        if (err && !(err instanceof mod_errors.ObjectNotFoundError)) {
+            cb(err);
+            return;
+        }
+
+        if (!self.staged[bucket])
+            self.staged[bucket] = {};
+        self.staged[bucket][uuid] = {
+            value: value,
+            existed: !!record,
+            etag: record ? record.etag : null
+        };
+        self.order.push({ bucket: bucket, uuid: uuid });
+        cb();
+    });
+}
+
+
+// -- Object operations
+
+StagedStorage.prototype.putObject = putObject;
+
+function putObject(bucket, uuid, obj, opts, cb) {
+    assert.string(bucket, 'bucket');
+    assert.string(uuid, 'uuid');
+    assert.object(obj, 'obj');
+
+    // Staged objects are only ever written in turn, so any etag is ignored
+    if (arguments.length === 4) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.func(cb, 'cb');
+
+    stage.call(this, bucket, uuid, jsprim.deepCopy(obj), cb);
+}
+
+StagedStorage.prototype.getObject = function getObject(bucket, uuid, cb) {
+    assert.string(bucket, 'bucket');
+    assert.string(uuid, 'uuid');
+    assert.func(cb, 'cb');
+
+    var record = stagedRecord.call(this, bucket, uuid);
+    if (record === null) {
+        this.stor.getObject(bucket, uuid, cb);
+        return;
+    }
+
+    setImmediate(function () {
+        if (record.value === null) {
+            cb(null, null);
+            return;
+        }
+
+        var staged = { value: jsprim.deepCopy(record.value) };
+        if (record.existed)
+            staged.etag = record.etag;
+        cb(null, staged);
+    });
+};
+
+StagedStorage.prototype.delObject = delObject;
+
+function delObject(bucket, uuid, opts, cb) {
+    var self = this;
+
+    assert.string(bucket, 'bucket');
+    assert.string(uuid, 'uuid');
+
+    if (arguments.length === 3) {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.etag, 'opts.etag');
+    assert.func(cb, 'cb');
+
+    self.getObject(bucket, uuid, function (err, record) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (!record) {
+            cb(new mod_errors.ObjectNotFoundError('no such object: ' + uuid));
+            return;
+        }
+
+        // The etag a read gave, if any, is still the object's until commit()
+        if (opts.etag !== undefined && opts.etag !== record.etag) {
+            cb(new mod_errors.EtagConflictError(sprintf(
+                'etag conflict for %s: expected %s, found %s', uuid,
+                opts.etag, record.etag)));
+            return;
+        }
+
+        stage.call(self, bucket, uuid, null, cb);
+    });
+}
+
+StagedStorage.prototype.listObjectValues = listObjectValues;
+
+function listObjectValues(bucket, filters, opts, cb) {
+    var self = this;
+
+    assert.string(bucket, 'bucket');
+    assert.object(filters, 'filters');
+    assert.object(opts, 'opts');
+    assert.func(cb, 'cb');
+
+    var records = self.staged[bucket] || {};
+
+    /*
+     * A page can only be taken once the staged objects are in the list, so
+     * the whole list is fetched first.
+     */
+    var listOpts = {};
+    Object.keys(opts).forEach(function (key) {
+        if (PAGING_OPTS.indexOf(key) === -1)
+            listOpts[key] = opts[key];
+    });
+
+    self.stor.listObjectValues(bucket, filters, listOpts,
+        function (err, vals) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var matches = mod_filters.matcher(filters);
+
+        vals = vals.filter(function (val) {
+            return (!records.hasOwnProperty(val.uuid));
+        });
+
+        Object.keys(records).forEach(function (uuid) {
+            var value = records[uuid].value;
+            if (value !== null && matches(value))
+                vals.push(jsprim.deepCopy(value));
+        });
+
+        if (paging.isPaged(opts))
+            vals = paging.pageObjects(vals, opts);
+
+        cb(null, vals);
+    });
+}
+
+/*
+ * Make all of the staged writes to the underlying stor (see above).
+ */
+StagedStorage.prototype.commit = function commit(cb) {
+    var self = this;
+
+    assert.func(cb, 'cb');
+
+    var ops = [];
+    self.order.forEach(function (key) {
+        var record = self.staged[key.bucket][key.uuid];
+
+        if (record.value !== null) {
+            ops.push({
+                operation: 'put',
+                bucket: key.bucket,
+                uuid: key.uuid,
+                value: record.value,
+                etag: record.etag
+            });
+        } else if (record.existed) {
+            ops.push({
+                operation: 'delete',
+                bucket: key.bucket,
+                uuid: key.uuid,
+                etag: record.etag
+            });
+        }
+    });
+
+    self.log.debug({ count: ops.length }, 'committing staged writes');
+
+    if (ops.length === 0) {
+        setImmediate(cb);
+        return;
+    }
+
+    self.stor.batch(ops, cb);
+};
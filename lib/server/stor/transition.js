@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -14,6 +14,7 @@
  */
 
 var assert = require('assert-plus');
+var jsprim = require('jsprim');
 var vasync = require('vasync');
 
 module.exports = TransitionStorage;
@@ -42,6 +43,11 @@ TransitionStorage.prototype.putObject = putObject;
 function putObject(bucket, uuid, obj, opts, cb) {
     var self = this;
 
+    if (arguments.length === 4) {
+        cb = opts;
+        opts = {};
+    }
+
     // Put to both places
     vasync.pipeline({
         'funcs': [
@@ -50,8 +56,8 @@ function putObject(bucket, uuid, obj, opts, cb) {
                         opts, subcb);
             },
             function putNew(_, subcb) {
-                self.new.putObject(bucket, uuid, obj,
-                        opts, subcb);
+                // Objects are read from the old store, so an etag is its
+                self.new.putObject(bucket, uuid, obj, {}, subcb);
             }
         ]
     }, cb);
@@ -64,20 +70,50 @@ TransitionStorage.prototype.getObject = function getObject(bucket, uuid, cb) {
     self.old.getObject(bucket, uuid, cb);
 };
 
-TransitionStorage.prototype.delObject = function delObject(bucket, uuid, cb) {
+TransitionStorage.prototype.delObject = delObject;
+
+function delObject(bucket, uuid, opts, cb) {
     var self = this;
 
+    if (arguments.length === 3) {
+        cb = opts;
+        opts = {};
+    }
+
     // Delete from both places
     vasync.pipeline({
         'funcs': [
             function delOld(_, subcb) {
-                self.old.delObject(bucket, uuid, subcb);
+                self.old.delObject(bucket, uuid, opts, subcb);
             },
             function delNew(_, subcb) {
-                self.new.delObject(bucket, uuid, subcb);
+                // As with putObject(), an etag is the old store's
+                self.new.delObject(bucket, uuid, {}, subcb);
             }
         ]
     }, cb);
+}
+
+TransitionStorage.prototype.batch = function batch(ops, cb) {
+    var self = this;
+
+    // As with putObject(), any etags are the old store's
+    vasync.pipeline({
+        'funcs': [
+            function batchOld(_, subcb) {
+                self.old.batch(ops, subcb);
+            },
+            function batchNew(_, subcb) {
+                self.new.batch(ops.map(function (op) {
+                    var newOp = jsprim.mergeObjects(op);
+                    delete newOp.etag;
+                    return (newOp);
+                }), subcb);
+            }
+        ]
+    }, function (err) {
+        cb(err);
+    });
 };
 
 TransitionStorage.prototype.listObjectValues = listObjectValues;
@@ -99,6 +135,15 @@ TransitionStorage.prototype.ping = function ping(cb) {
     });
 };
 
+TransitionStorage.prototype.bucketStatus = function bucketStatus() {
+    // Only the new store has versioned buckets.
+    return (this.new.bucketStatus());
+};
+
+TransitionStorage.prototype.repairStatus = function repairStatus() {
+    return (this.old.repairStatus().concat(this.new.repairStatus()));
+};
+
 TransitionStorage.prototype.close = function close() {
     // Nothing to do when closing client
     return;
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -31,6 +31,41 @@ module.exports = VMAPIPlus;
 VMAPIPlus.prototype.createVm = createVm;
 VMAPIPlus.prototype.deleteVm = deleteVm;
 VMAPIPlus.prototype.reprovisionVm = reprovisionVm;
+VMAPIPlus.prototype.startVm = startVm;
+VMAPIPlus.prototype.stopVm = stopVm;
+VMAPIPlus.prototype.rebootVm = rebootVm;
+VMAPIPlus.prototype.waitForVmJob = waitForVmJob;
+
+/*
+ * For each kind of VMAPI job, the error a failed job is reported as, and the
+ * errors it may fail with which don't count as failures.
+ */
+var JOB_KINDS = {
+    provision: {
+        error: mod_errors.ProvisionFailedError,
+        expected: []
+    },
+    destroy: {
+        error: mod_errors.DestroyFailedError,
+        expected: [ 'ResourceNotFoundError' ]
+    },
+    reprovision: {
+        error: mod_errors.ReprovisionFailedError,
+        expected: []
+    },
+    start: {
+        error: mod_errors.StartFailedError,
+        expected: []
+    },
+    stop: {
+        error: mod_errors.StopFailedError,
+        expected: []
+    },
+    reboot: {
+        error: mod_errors.RebootFailedError,
+        expected: []
+    }
+};
 
 function VMAPIPlus(config) {
     assert.object(config.log, 'config.log');
@@ -60,23 +95,27 @@ function createVm(params, opts, cb) {
             return (cb(null, res));
         }
 
-        waitForJob.call(self, res.job_uuid, function (suberr) {
-            if (suberr) {
-                suberr = new mod_errors.ProvisionFailedError(
-                    suberr.message);
-            }
-
-            cb(suberr);
-        });
+        waitForVmJob.call(self, 'provision', res.job_uuid, cb);
     });
 }
 
-function deleteVm(uuid, cb) {
+/*
+ * Delete a VM.  As with createVm(), if opts.async is set, the response (with
+ * the destroy job's UUID, if there is one) is returned without waiting for the
+ * job to finish.
+ */
+function deleteVm(uuid, opts, cb) {
     var self = this;
     var vmapi = self.vmapi;
     var log = self.log;
 
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
     assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
     assert.func(cb, 'cb');
 
     var params = {};
@@ -95,34 +134,39 @@ function deleteVm(uuid, cb) {
              */
             log.info({body: body}, 'VMAPI DeleteVm response: no job_uuid, ' +
                 'VM was synchronously marked deleted');
-            cb();
+            cb(null, opts.async ? body : undefined);
             return;
         }
 
         log.info({ vm_uuid: body.vm_uuid, job: body.job_uuid },
             'destroy job dispatched');
 
-        var expected_errors = [ 'ResourceNotFoundError' ];
-
-        waitForJob.call(self, body.job_uuid, expected_errors,
-            function (suberr) {
-            if (suberr) {
-                suberr = new mod_errors.DestroyFailedError(
-                    suberr.message);
-            }
+        if (opts.async) {
+            cb(null, body);
+            return;
+        }
 
-            cb(suberr);
-        });
+        waitForVmJob.call(self, 'destroy', body.job_uuid, cb);
     });
 }
 
-function reprovisionVm(uuid, image_uuid, cb) {
+/*
+ * Reprovision a VM with the given image, returning without waiting for the job
+ * to finish if opts.async is set.
+ */
+function reprovisionVm(uuid, image_uuid, opts, cb) {
     var self = this;
     var vmapi = self.vmapi;
     var log = self.log;
 
+    if (arguments.length === 3) {
+        cb = opts;
+        opts = {};
+    }
+
     assert.string(uuid, 'uuid');
     assert.string(image_uuid, 'image_uuid');
+    assert.object(opts, 'opts');
     assert.func(cb, 'cb');
 
     var params = {};
@@ -137,20 +181,118 @@ function reprovisionVm(uuid, image_uuid, cb) {
 
         log.info({ job: res.job_uuid }, 'reprovision job dispatched');
 
-        waitForJob.call(self, res.job_uuid, function (suberr) {
-            if (suberr) {
-                suberr = new mod_errors.ReprovisionFailedError(
-                    suberr.message);
-            }
+        if (opts.async) {
+            cb(null, res);
+            return;
+        }
 
-            cb(suberr);
-        });
+        waitForVmJob.call(self, 'reprovision', res.job_uuid, cb);
+    });
+}
+
+/*
+ * Start, stop or reboot a VM, returning without waiting for the job to finish
+ * if opts.async is set.  Starting a running VM, or stopping a stopped one,
+ * succeeds without doing anything.
+ */
+function startVm(uuid, opts, cb) {
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    changeVmState.call(this, 'start', uuid, opts, cb);
+}
+
+function stopVm(uuid, opts, cb) {
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    changeVmState.call(this, 'stop', uuid, opts, cb);
+}
+
+function rebootVm(uuid, opts, cb) {
+    if (arguments.length === 2) {
+        cb = opts;
+        opts = {};
+    }
+
+    changeVmState.call(this, 'reboot', uuid, opts, cb);
+}
+
+/*
+ * Wait for a job of one of the kinds in JOB_KINDS to finish, returning the
+ * error for its kind if it fails.
+ */
+function waitForVmJob(kind, job_uuid, cb) {
+    assert.string(kind, 'kind');
+    assert.object(JOB_KINDS[kind], 'JOB_KINDS[kind]');
+    assert.string(job_uuid, 'job_uuid');
+    assert.func(cb, 'cb');
+
+    var spec = JOB_KINDS[kind];
+
+    waitForJob.call(this, job_uuid, spec.expected, function (err) {
+        if (err)
+            err = new spec.error(err.message);
+
+        cb(err);
     });
 }
 
 
 // -- Helper functions
 
+/*
+ * Ask VMAPI to start, stop or reboot a VM.  VMAPI doesn't create a job for an
+ * idempotent start or stop of a VM which is already in that state, in which
+ * case there's nothing to wait for.
+ */
+function changeVmState(action, uuid, opts, cb) {
+    var self = this;
+    var log = self.log;
+
+    assert.string(action, 'action');
+    assert.string(uuid, 'uuid');
+    assert.object(opts, 'opts');
+    assert.func(cb, 'cb');
+
+    var params = {};
+    params.uuid = uuid;
+    if (action !== 'reboot')
+        params.idempotent = true;
+
+    var func = {
+        start: self.vmapi.startVm,
+        stop: self.vmapi.stopVm,
+        reboot: self.vmapi.rebootVm
+    }[action];
+    assert.func(func, 'func');
+
+    func.call(self.vmapi, params, function (err, res) {
+        if (err) {
+            log.error(err, 'failed to %s VM %s', action, uuid);
+            cb(err);
+            return;
+        } else if (!res.job_uuid) {
+            log.info({ res: res }, 'VM %s needs no %s job', uuid, action);
+            cb(null, opts.async ? res : undefined);
+            return;
+        }
+
+        log.info({ job: res.job_uuid }, '%s job dispatched', action);
+
+        if (opts.async) {
+            cb(null, res);
+            return;
+        }
+
+        waitForVmJob.call(self, action, res.job_uuid, cb);
+    });
+}
+
 /*
  * Wait for a job to complete.  Returns an error if the job fails with an error
  * other than the (optional) list of expected errors.
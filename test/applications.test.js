@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2015, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -652,3 +652,504 @@ test('replacing metadata and schema', function (t) {
         t.end();
     });
 });
+
+
+// -- Test deleting an application which still has services
+
+test('delete application w/ services', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var svc_uuid = node_uuid.v4();
+    var uri_app = '/applications/' + app_uuid;
+
+    async.waterfall([
+        function (cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid},
+                function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            var svc = {
+                name: 'cascade_test_service',
+                uuid: svc_uuid,
+                application_uuid: app_uuid,
+                type: 'agent'
+            };
+
+            self.client.post('/services', svc, function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app, function (err, _, res) {
+                t.ok(err);
+                t.equal(err.name, 'ObjectInUseError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app + '?cascade=true',
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.deepEqual(obj, [
+                    { type: 'service', uuid: svc_uuid, status: 'deleted' },
+                    { type: 'application', uuid: app_uuid,
+                        status: 'deleted' }
+                ]);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get('/services/' + svc_uuid, function (err, _, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 404);
+                cb();
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+// -- Test rollback
+
+test('rollback application', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var uri_app = '/applications/' + app_uuid;
+    var revision;
+
+    async.waterfall([
+        function (cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid},
+                function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            var changes = {};
+            changes.metadata = {
+                foo: 'bar'
+            };
+
+            self.client.put(uri_app, changes, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.metadata.foo, 'bar');
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get('/history?uuid=' + app_uuid,
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj[0].action, 'create');
+                revision = obj[0].uuid;
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.post(uri_app + '/rollback', {},
+                function (err, _, res) {
+                t.ok(err);
+                t.equal(err.name, 'MissingParameterError');
+                cb();
+            });
+        },
+        function (cb) {
+            self.client.post(uri_app + '/rollback', { revision: revision },
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.uuid, app_uuid);
+                t.equal(obj.metadata, undefined);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.metadata, undefined);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app, function (err) {
+                cb(err);
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+// -- Test dry runs
+
+test('dry run update application', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var svc_uuid = node_uuid.v4();
+    var inst_uuid = node_uuid.v4();
+    var uri_app = '/applications/' + app_uuid;
+
+    async.waterfall([
+        function (cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid},
+                function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            var svc = {
+                name: 'dry_run_test_service',
+                uuid: svc_uuid,
+                application_uuid: app_uuid,
+                type: 'agent'
+            };
+
+            self.client.post('/services', svc, function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            var inst = {
+                uuid: inst_uuid,
+                service_uuid: svc_uuid
+            };
+
+            self.client.post('/instances', inst, function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            var changes = {};
+            changes.metadata = {
+                foo: 'bar'
+            };
+
+            self.client.put(uri_app + '?dry_run=true', changes,
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.dry_run, true);
+                t.equal(obj.object.metadata.foo, 'bar');
+                t.deepEqual(obj.changes, [ {
+                    field: 'metadata',
+                    key: 'foo',
+                    after: 'bar'
+                } ]);
+                t.equal(obj.unchanged, 0);
+                t.equal(obj.instances.length, 1);
+                t.equal(obj.instances[0].uuid, inst_uuid);
+                t.deepEqual(obj.instances[0].metadata, [ {
+                    key: 'foo',
+                    after: 'bar'
+                } ]);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.metadata, undefined);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app + '?cascade=true', function (err) {
+                cb(err);
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+// -- Test etags
+
+test('update and delete application w/ If-Match', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var uri_app = '/applications/' + app_uuid;
+    var etag;
+
+    function opts(if_match) {
+        return ({ path: uri_app, headers: { 'if-match': if_match } });
+    }
+
+    async.waterfall([
+        function (cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid},
+                function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res) {
+                t.ifError(err);
+                etag = res.headers['etag'];
+                t.ok(/^".+"$/.test(etag), 'etag is quoted');
+                cb(err);
+            });
+        },
+        function (cb) {
+            var changes = { metadata: { foo: 'bar' } };
+
+            self.client.put(opts(etag), changes,
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.metadata.foo, 'bar');
+                t.ok(res.headers['etag']);
+                t.notEqual(res.headers['etag'], etag);
+                cb(err);
+            });
+        },
+        function (cb) {
+            var changes = { metadata: { foo: 'baz' } };
+
+            // The etag may be given unquoted too
+            self.client.put(opts(etag.replace(/"/g, '')), changes,
+                function (err, _, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 412);
+                cb();
+            });
+        },
+        function (cb) {
+            self.client.del(opts(etag), function (err, _, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 412);
+                cb();
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.metadata.foo, 'bar');
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(opts('*'), function (err, _, res) {
+                t.ifError(err);
+                t.equal(res.statusCode, 204);
+                cb(err);
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+// -- Test export and import
+
+test('export and import application', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var uri_app = '/applications/' + app_uuid;
+    var doc;
+
+    async.waterfall([
+        function (cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid},
+                function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app + '/export', function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.version, 1);
+                t.equal(obj.application.uuid, app_uuid);
+                t.deepEqual(obj.services, []);
+                doc = obj;
+                cb(err);
+            });
+        },
+        function (cb) {
+            var changes = { metadata: { foo: 'bar' } };
+
+            self.client.put(uri_app, changes, function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.post(URI + '/import?dry_run=true', doc,
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj, [ {
+                    type: 'application',
+                    uuid: app_uuid,
+                    action: 'update'
+                } ]);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.post(URI + '/import', doc, function (err, _, res) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj.metadata, doc.application.metadata);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app, function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.post(URI + '/import', doc,
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj[0].action, 'create');
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app, function (err) {
+                cb(err);
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('import invalid export', function (t) {
+    var doc = { version: 2, application: { uuid: node_uuid.v4() } };
+
+    this.client.post(URI + '/import', doc, function (err, _, res) {
+        t.ok(err);
+        t.equal(err.name, 'InvalidArgumentError');
+        t.equal(res.statusCode, 409);
+        t.end();
+    });
+});
+
+
+// -- Test applying a declared state
+
+test('apply to application', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var uri_app = '/applications/' + app_uuid;
+    var uri_apply = uri_app + '/apply';
+
+    var doc = {
+        application: { metadata: { foo: 'bar' } },
+        services: {
+            apply_test_agent: {
+                type: 'agent',
+                params: { tags: { test: true } }
+            }
+        }
+    };
+
+    async.waterfall([
+        function (cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid},
+                function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.post(uri_apply + '?plan=true', doc,
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.length, 2);
+                t.equal(obj[0].action, 'update');
+                t.equal(obj[0].type, 'application');
+                t.equal(obj[1].action, 'create');
+                t.equal(obj[1].name, 'apply_test_agent');
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.post(uri_apply, doc, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, 2);
+                t.ok(obj[1].uuid);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj.metadata, { foo: 'bar' });
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.post(uri_apply + '?plan=true', doc,
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj, []);
+                cb(err);
+            });
+        },
+        function (cb) {
+            // Leaving out the service deletes it
+            self.client.post(uri_apply, { services: {} },
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, 1);
+                t.equal(obj[0].action, 'delete');
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app, function (err) {
+                cb(err);
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('apply invalid document', function (t) {
+    var uri = '/applications/' + node_uuid.v4() + '/apply?plan=true';
+    var doc = { services: { web: { count: -1 } } };
+
+    this.client.post(uri, doc, function (err, _, res) {
+        t.ok(err);
+        t.equal(err.name, 'InvalidArgumentError');
+        t.equal(res.statusCode, 409);
+        t.end();
+    });
+});
@@ -0,0 +1,379 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * test/batch.test.js: test the /batch endpoint
+ */
+
+var async = require('async');
+var common = require('./common');
+var node_uuid = require('node-uuid');
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+var test = helper.test;
+
+
+var URI = '/batch';
+
+
+// -- Boilerplate
+
+var server;
+var tests_run = 0;
+
+helper.before(function (cb) {
+    this.client = helper.createJsonClient();
+    this.sapi = helper.createSapiClient();
+
+    if (server)
+        return (cb(null));
+
+    helper.startSapiServer(function (err, res) {
+        server = res;
+        cb(err);
+    });
+});
+
+helper.after(function (cb) {
+    if (++tests_run === helper.getNumTests()) {
+        helper.shutdownSapiServer(server, cb);
+    } else {
+        cb();
+    }
+});
+
+
+// -- Test invalid inputs
+
+test('batch w/ invalid operations', function (t) {
+    var self = this;
+
+    async.waterfall([
+        function (cb) {
+            self.client.post(URI, { operations: [] }, function (err, _, res) {
+                t.ok(err);
+                t.equal(err.name, 'InvalidArgumentError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (cb) {
+            var ops = [ {
+                action: 'create',
+                type: 'application',
+                params: { name: 'no owner' }
+            } ];
+
+            self.client.post(URI, { operations: ops }, function (err, _, res) {
+                t.ok(err);
+                t.equal(err.name, 'MissingParameterError');
+                t.equal(err.message,
+                    'operation 0: missing required keys: owner_uuid');
+                cb();
+            });
+        },
+        function (cb) {
+            var ops = [ {
+                action: 'create',
+                type: 'vm',
+                params: {}
+            } ];
+
+            self.client.post(URI, { operations: ops }, function (err, _, res) {
+                t.ok(err);
+                t.equal(err.name, 'InvalidArgumentError');
+                cb();
+            });
+        },
+        function (cb) {
+            var ops = [ {
+                action: 'update',
+                type: 'application',
+                uuid: node_uuid.v4(),
+                params: { action: 1, metadata: { foo: 'bar' } }
+            } ];
+
+            self.client.post(URI, { operations: ops }, function (err, _, res) {
+                t.ok(err);
+                t.equal(err.name, 'InvalidArgumentError');
+                t.equal(err.message, 'operation 0: params.action must be ' +
+                    'one of update, replace, delete');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+// -- Test batches
+
+test('batch of creates, updates and deletes', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var svc_uuid = node_uuid.v4();
+    var inst_uuid = node_uuid.v4();
+    var mfest_uuid = node_uuid.v4();
+
+    var uri_app = '/applications/' + app_uuid;
+
+    var creates = [ {
+        action: 'create',
+        type: 'manifest',
+        params: {
+            uuid: mfest_uuid,
+            name: 'batch test manifest',
+            path: '/var/tmp/config.json',
+            template: '{ logLevel: "{{LOG_LEVEL}}" }'
+        }
+    }, {
+        action: 'create',
+        type: 'application',
+        params: {
+            uuid: app_uuid,
+            name: 'batch test application',
+            owner_uuid: process.env.ADMIN_UUID,
+            metadata: { LOG_LEVEL: 'info' }
+        }
+    }, {
+        action: 'create',
+        type: 'service',
+        params: {
+            uuid: svc_uuid,
+            name: 'batch test agent',
+            application_uuid: app_uuid,
+            type: 'agent',
+            manifests: { config: mfest_uuid }
+        }
+    }, {
+        action: 'create',
+        type: 'instance',
+        params: {
+            uuid: inst_uuid,
+            service_uuid: svc_uuid
+        }
+    }, {
+        action: 'update',
+        type: 'application',
+        uuid: app_uuid,
+        params: { metadata: { LOG_LEVEL: 'debug' } }
+    } ];
+
+    var deletes = [ {
+        action: 'delete',
+        type: 'instance',
+        uuid: inst_uuid
+    }, {
+        action: 'delete',
+        type: 'service',
+        uuid: svc_uuid
+    }, {
+        action: 'delete',
+        type: 'application',
+        uuid: app_uuid
+    }, {
+        action: 'delete',
+        type: 'manifest',
+        uuid: mfest_uuid
+    } ];
+
+    async.waterfall([
+        function (cb) {
+            self.client.post(URI, { operations: creates },
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.length, creates.length);
+                t.equal(obj[3].uuid, inst_uuid);
+                t.equal(obj[3].object.type, 'agent');
+                t.equal(obj[4].object.metadata.LOG_LEVEL, 'debug');
+                cb(err);
+            });
+        },
+        function (cb) {
+            var uri = '/configs/' + inst_uuid + '/rendered';
+
+            self.client.get(uri, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj[0].contents, '{ logLevel: "debug" }');
+                cb(err);
+            });
+        },
+        function (cb) {
+            // A failed operation leaves nothing changed
+            var ops = [ {
+                action: 'update',
+                type: 'application',
+                uuid: app_uuid,
+                params: { metadata: { LOG_LEVEL: 'trace' } }
+            }, {
+                action: 'delete',
+                type: 'application',
+                uuid: app_uuid
+            } ];
+
+            self.client.post(URI, { operations: ops }, function (err, _, res) {
+                t.ok(err);
+                t.equal(err.name, 'ObjectInUseError');
+                t.equal(err.message.indexOf('operation 1: '), 0);
+                cb();
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.metadata.LOG_LEVEL, 'debug');
+
+                deletes[2].etag = res.headers['etag'];
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.post(URI, { operations: deletes },
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, deletes.length);
+                t.equal(obj[2].object, null);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 404);
+                cb();
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('batch w/ etags of objects it changes', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var uri_app = '/applications/' + app_uuid;
+    var etag;
+
+    function update(level, op_etag) {
+        return ({
+            action: 'update',
+            type: 'application',
+            uuid: app_uuid,
+            params: { metadata: { LOG_LEVEL: level } },
+            etag: op_etag
+        });
+    }
+
+    async.waterfall([
+        function (cb) {
+            common.createApplication({
+                sapi: self.sapi,
+                uuid: app_uuid
+            }, function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_app, function (err, _, res) {
+                t.ifError(err);
+                etag = res.headers['etag'];
+                cb(err);
+            });
+        },
+        function (cb) {
+            // Etags are those of the objects before the batch
+            var ops = [ update('debug', etag), update('trace', etag) ];
+
+            self.client.post(URI, { operations: ops },
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj[1].object.metadata.LOG_LEVEL, 'trace');
+                cb(err);
+            });
+        },
+        function (cb) {
+            var ops = [ update('info', '*'), update('warn', etag) ];
+
+            self.client.post(URI, { operations: ops }, function (err, _, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 412);
+                t.equal(err.message.indexOf('operation 1: '), 0);
+                cb();
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app, function (err) {
+                cb(err);
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('batch can\'t provision VMs', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var svc_uuid = node_uuid.v4();
+
+    var ops = [ {
+        action: 'create',
+        type: 'application',
+        params: {
+            uuid: app_uuid,
+            name: 'batch test application',
+            owner_uuid: process.env.ADMIN_UUID
+        }
+    }, {
+        action: 'create',
+        type: 'service',
+        params: {
+            uuid: svc_uuid,
+            name: 'batch test service',
+            application_uuid: app_uuid
+        }
+    }, {
+        action: 'create',
+        type: 'instance',
+        params: { service_uuid: svc_uuid }
+    } ];
+
+    async.waterfall([
+        function (cb) {
+            self.client.post(URI, { operations: ops }, function (err, _, res) {
+                t.ok(err);
+                t.equal(err.name, 'UnsupportedOperationError');
+                cb();
+            });
+        },
+        function (cb) {
+            self.client.get('/applications/' + app_uuid,
+                function (err, _, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 404);
+                cb();
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
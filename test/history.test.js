@@ -0,0 +1,235 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * test/history.test.js: test /history endpoints
+ */
+
+var async = require('async');
+var common = require('./common');
+var node_uuid = require('node-uuid');
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+var test = helper.test;
+
+
+var URI = '/history';
+
+
+// -- Boilerplate
+
+var server;
+var tests_run = 0;
+
+helper.before(function (cb) {
+    this.client = helper.createJsonClient();
+    this.sapi = helper.createSapiClient();
+
+    if (server)
+        return (cb(null));
+
+    helper.startSapiServer(function (err, res) {
+        server = res;
+        cb(err);
+    });
+});
+
+helper.after(function (cb) {
+    if (++tests_run === helper.getNumTests()) {
+        helper.shutdownSapiServer(server, cb);
+    } else {
+        cb();
+    }
+});
+
+
+// -- Tests
+
+test('list history w/ invalid since', function (t) {
+    this.client.get(URI + '?since=yesterday', function (err, _, res) {
+        t.ok(err);
+        t.equal(err.name, 'InvalidArgumentError');
+        t.equal(res.statusCode, 409);
+        t.end();
+    });
+});
+
+test('list history w/ invalid sort', function (t) {
+    this.client.get(URI + '?sort=action', function (err, _, res) {
+        t.ok(err);
+        t.equal(err.name, 'InvalidArgumentError');
+        t.equal(res.statusCode, 409);
+        t.end();
+    });
+});
+
+test('history of an application', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var uri_app = '/applications/' + app_uuid;
+    var uri_history = URI + '?uuid=' + app_uuid;
+    var started;
+
+    async.waterfall([
+        function (cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid},
+                function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            var changes = {};
+            changes.metadata = {
+                foo: 'bar'
+            };
+
+            self.client.put(uri_app, changes, function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_history, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.length, 2);
+
+                t.equal(obj[0].object_uuid, app_uuid);
+                t.equal(obj[0].object_type, 'application');
+                t.equal(obj[0].action, 'create');
+                t.equal(obj[0].before, null);
+                t.equal(obj[0].after.uuid, app_uuid);
+
+                t.equal(obj[1].action, 'update');
+                t.ok(obj[1].req_id);
+                t.deepEqual(obj[1].changes, [ {
+                    field: 'metadata',
+                    key: 'foo',
+                    after: 'bar'
+                } ]);
+
+                started = obj[1].started;
+                cb(err);
+            });
+        },
+        function (cb) {
+            var uri = uri_history + '&since=' +
+                new Date(started).toISOString();
+
+            self.client.get(uri, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, 1);
+                t.equal(obj[0].action, 'update');
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app, function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_history, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, 3);
+                t.equal(obj[2].action, 'destroy');
+                t.equal(obj[2].before.metadata.foo, 'bar');
+                t.equal(obj[2].after, null);
+                cb(err);
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('page through history', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var uri_app = '/applications/' + app_uuid;
+    var uri_history = URI + '?uuid=' + app_uuid;
+    var entries;
+
+    async.waterfall([
+        function (cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid},
+                function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            async.forEachSeries([ 1, 2 ], function (i, subcb) {
+                self.client.put(uri_app, { metadata: { i: i } },
+                    function (err) {
+                    subcb(err);
+                });
+            }, cb);
+        },
+        function (cb) {
+            self.client.get(uri_history, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, 3);
+                entries = obj;
+                cb(err);
+            });
+        },
+        function (cb) {
+            // Entries are paged oldest first
+            self.client.get(uri_history + '&limit=2',
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj, entries.slice(0, 2));
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_history + '&limit=2&offset=2',
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj, entries.slice(2));
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.get(uri_history + '&sort=started.DESC&limit=1',
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj, entries.slice(2));
+                cb(err);
+            });
+        },
+        function (cb) {
+            var uuids = entries.map(function (entry) {
+                return (entry.uuid);
+            }).sort();
+
+            self.client.get(uri_history + '&marker=' + uuids[0],
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj.map(function (entry) {
+                    return (entry.uuid);
+                }), uuids.slice(1));
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.del(uri_app, function (err) {
+                cb(err);
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
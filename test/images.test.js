@@ -0,0 +1,91 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * test/images.test.js: test /images endpoints
+ */
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+var test = helper.test;
+
+
+var URI = '/images';
+var IMAGE_UUID = process.env.SAPI_TEST_IMAGE_UUID;
+
+var PROTO_MODE = process.env.TEST_SAPI_PROTO_MODE === 'true';
+
+
+// -- Boilerplate
+
+var server;
+var tests_run = 0;
+
+helper.before(function (cb) {
+    this.client = helper.createJsonClient();
+
+    if (server)
+        return (cb(null));
+
+    helper.startSapiServer(function (err, res) {
+        server = res;
+        cb(err);
+    });
+});
+
+helper.after(function (cb) {
+    if (++tests_run === helper.getNumTests()) {
+        helper.shutdownSapiServer(server, cb);
+    } else {
+        cb();
+    }
+});
+
+
+// -- Tests
+
+test('search images w/ repeated name', function (t) {
+    this.client.get(URI + '?name=a&name=b', function (err, _, res) {
+        t.ok(err);
+        t.equal(err.name, 'InvalidArgumentError');
+        t.equal(res.statusCode, 409);
+        t.end();
+    });
+});
+
+test('search images', function (t) {
+    var self = this;
+
+    self.client.post(URI + '/' + IMAGE_UUID, {}, function (err, _, res, img) {
+        if (PROTO_MODE) {
+            t.ok(err);
+            t.equal(err.name, 'UnsupportedOperationError');
+            t.end();
+            return;
+        }
+
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        t.equal(img.uuid, IMAGE_UUID);
+
+        var uri = URI + '?name=' + encodeURIComponent(img.name) +
+            '&version=' + encodeURIComponent(img.version);
+
+        self.client.get(uri, function (suberr, __, subres, images) {
+            t.ifError(suberr);
+            t.equal(subres.statusCode, 200);
+            t.ok(images.some(function (image) {
+                return (image.uuid === IMAGE_UUID && !image.source);
+            }));
+            t.end();
+        });
+    });
+});
@@ -119,6 +119,47 @@ test('create w/ invalid inputs', function (t) {
                 cb();
             });
         },
+        function (_, cb) {
+            // invalid brand
+            var badinst  = jsprim.deepCopy(inst);
+            badinst.params = { brand: 'solaris8' };
+
+            self.client.post(URI, badinst, function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'InvalidArgumentError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            // invalid placement policy
+            var badinst  = jsprim.deepCopy(inst);
+            badinst.params = { placement: { spread: 'datacenter' } };
+
+            self.client.post(URI, badinst, function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'InvalidArgumentError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            // image not in the local IMGAPI
+            if (process.env.TEST_SAPI_PROTO_MODE === 'true') {
+                cb();
+                return;
+            }
+
+            var badinst  = jsprim.deepCopy(inst);
+            badinst.params = { image_uuid: node_uuid.v4() };
+
+            self.client.post(URI, badinst, function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'InvalidImageError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
         function (_, cb) {
             self.sapi.deleteService(svc_uuid, function (err) {
                 cb(err);
@@ -512,6 +553,45 @@ test('put/get/del agent instance', function (t) {
                 cb(null);
             });
         },
+        function (_, cb) {
+            var uri = sprintf('/configs/%s/rendered', inst.uuid);
+
+            client.get(uri, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+
+                t.equal(obj.length, 1);
+                t.equal(obj[0].uuid, cfg_uuid);
+                t.equal(obj[0].path, '/var/tmp/config.json');
+                t.equal(obj[0].contents, '{ logLevel: "debug" }');
+                t.equal(obj[0].error, undefined);
+
+                cb(null);
+            });
+        },
+        function (_, cb) {
+            var uri = sprintf('/configs/%s/rendered/%s', inst.uuid,
+                encodeURIComponent('more_or_less_empty test config'));
+
+            client.get(uri, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.uuid, cfg_uuid);
+
+                cb(null);
+            });
+        },
+        function (_, cb) {
+            var uri = sprintf('/configs/%s/rendered/nonexistent',
+                inst.uuid);
+
+            client.get(uri, function (err, req, res, obj) {
+                t.ok(err);
+                t.equal(res.statusCode, 404);
+
+                cb(null);
+            });
+        },
         function (_, cb) {
             common.testUpdates.call(self, t, uri_inst, cb);
         },
@@ -550,6 +630,271 @@ test('put/get/del agent instance', function (t) {
     });
 });
 
+
+// -- Test deleting an instance asynchronously
+
+test('delete agent instance w/ async', function (t) {
+    var self = this;
+    var client = this.client;
+
+    var app_uuid = node_uuid.v4();
+    var svc_uuid = node_uuid.v4();
+
+    var inst = {};
+    inst.uuid = node_uuid.v4();
+    inst.service_uuid = svc_uuid;
+
+    var uri_inst = '/instances/' + inst.uuid;
+    var op;
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid}, cb);
+        },
+        function (_, cb) {
+            var opts = { uuid: svc_uuid, type: 'agent' };
+
+            self.sapi.createService('async_agent_service', app_uuid, opts,
+                function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            client.post(URI, inst, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            client.del(uri_inst + '?async=true',
+                function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 202);
+                t.equal(obj.action, 'delete');
+                t.equal(obj.object_type, 'instance');
+                t.equal(obj.object_uuid, inst.uuid);
+                op = obj;
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var tries = 0;
+
+            async.whilst(
+            function () {
+                return (op.state === 'running' && tries++ < 30);
+            }, function (subcb) {
+                setTimeout(function () {
+                    client.get('/operations/' + op.uuid,
+                        function (err, req, res, obj) {
+                        op = obj;
+                        subcb(err);
+                    });
+                }, 1000);
+            }, cb);
+        },
+        function (_, cb) {
+            t.equal(op.state, 'succeeded');
+            t.equal(op.step, 'delete-object');
+
+            client.get(uri_inst, function (err, req, res, obj) {
+                t.ok(err);
+                t.equal(res.statusCode, 404);
+                cb();
+            });
+        },
+        function (_, cb) {
+            self.sapi.deleteService(svc_uuid, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.sapi.deleteApplication(app_uuid, function (err) {
+                cb(err);
+            });
+        }
+    ]}, function (err, results) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+// -- Test resuming operations interrupted by a restart
+
+/*
+ * Store an instance operation as a SAPI which stopped part way through it
+ * would have left it.
+ */
+function putInterruptedOp(op, cb) {
+    var now = Date.now();
+    var bucket = server.model.config.buckets.operations;
+
+    op = jsprim.mergeObjects(op, {
+        uuid: node_uuid.v4(),
+        object_type: 'instance',
+        params: {},
+        state: 'running',
+        created: now,
+        updated: now
+    });
+
+    server.model.stor.putObject(bucket, op.uuid, op, function (err) {
+        cb(err, op);
+    });
+}
+
+function resumeOp(op, cb) {
+    var tries = 0;
+
+    server.model.resumeOperations(function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        async.whilst(
+        function () {
+            return (op.state === 'running' && tries++ < 30);
+        }, function (subcb) {
+            setTimeout(function () {
+                server.model.getOperation(op.uuid, function (err2, obj) {
+                    op = obj;
+                    subcb(err2);
+                });
+            }, 100);
+        }, function (err2) {
+            cb(err2, op);
+        });
+    });
+}
+
+test('resume operation waiting for its job', function (t) {
+    var vmapiplus = server.model.vmapiplus;
+    var bucket = server.model.config.buckets.instances;
+
+    /*
+     * Operations can only wait for VMAPI jobs outside of proto mode.
+     */
+    if (process.env.TEST_SAPI_PROTO_MODE === 'true') {
+        t.end();
+        return;
+    }
+
+    var inst = {
+        uuid: node_uuid.v4(),
+        service_uuid: node_uuid.v4(),
+        type: 'vm',
+        params: {},
+        metadata: {}
+    };
+    var job_uuid = node_uuid.v4();
+    var waitForVmJob = vmapiplus.waitForVmJob;
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            vmapiplus.waitForVmJob = function (kind, uuid, subcb) {
+                t.equal(kind, 'provision');
+                t.equal(uuid, job_uuid);
+                subcb();
+            };
+
+            server.model.stor.putObject(bucket, inst.uuid, inst, cb);
+        },
+        function (_, cb) {
+            putInterruptedOp({
+                action: 'create',
+                object_uuid: inst.uuid,
+                step: 'wait-for-job',
+                job_uuid: job_uuid
+            }, function (err, op) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                resumeOp(op, function (err2, obj) {
+                    t.ifError(err2);
+                    t.equal(obj.state, 'succeeded');
+                    t.equal(obj.step, 'wait-for-job');
+                    t.equal(obj.error, undefined);
+                    t.ok(obj.finished);
+                    cb(err2);
+                });
+            });
+        },
+        function (_, cb) {
+            server.model.getInstance(inst.uuid, function (err, obj) {
+                t.ifError(err);
+                t.equal(obj.uuid, inst.uuid);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            // A failed provision job leaves no instance behind
+            vmapiplus.waitForVmJob = function (kind, uuid, subcb) {
+                subcb(new Error('job failed'));
+            };
+
+            putInterruptedOp({
+                action: 'create',
+                object_uuid: inst.uuid,
+                step: 'wait-for-job',
+                job_uuid: job_uuid
+            }, function (err, op) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                resumeOp(op, function (err2, obj) {
+                    t.ifError(err2);
+                    t.equal(obj.state, 'failed');
+                    t.equal(obj.step, 'delete-object');
+                    t.equal(obj.error.message, 'job failed');
+                    cb(err2);
+                });
+            });
+        },
+        function (_, cb) {
+            server.model.getInstance(inst.uuid, function (err, obj) {
+                t.ok(err);
+                t.equal(err.name, 'ResourceNotFoundError');
+                cb();
+            });
+        }
+    ]}, function (err, results) {
+        vmapiplus.waitForVmJob = waitForVmJob;
+        server.model.stor.delObject(bucket, inst.uuid, function () {
+            t.ifError(err);
+            t.end();
+        });
+    });
+});
+
+test('resume operation interrupted at another step', function (t) {
+    var inst_uuid = node_uuid.v4();
+
+    putInterruptedOp({
+        action: 'delete',
+        object_uuid: inst_uuid,
+        step: 'teardown-hook'
+    }, function (err, op) {
+        t.ifError(err);
+
+        resumeOp(op, function (err2, obj) {
+            t.ifError(err2);
+            t.equal(obj.state, 'failed');
+            t.equal(obj.step, 'teardown-hook');
+            t.equal(obj.error.code, 'OperationInterruptedError');
+            t.ok(/while at step "teardown-hook"/.test(obj.error.message));
+            t.ok(obj.finished);
+            t.end();
+        });
+    });
+});
+
+
 function createVm(inst, cb) {
     assert.object(inst, 'inst');
     assert.string(inst.uuid, 'inst.uuid');
@@ -569,6 +914,92 @@ function createVm(inst, cb) {
 
 // -- Test creating an instance with VM already existing
 
+test('control agent instance', function (t) {
+    var self = this;
+    var client = this.client;
+
+    var app_uuid = node_uuid.v4();
+    var svc_uuid = node_uuid.v4();
+
+    var inst = {};
+    inst.uuid = node_uuid.v4();
+    inst.service_uuid = svc_uuid;
+
+    var uri_inst = '/instances/' + inst.uuid;
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid}, cb);
+        },
+        function (_, cb) {
+            var opts = { uuid: svc_uuid, type: 'agent' };
+
+            self.sapi.createService('control_agent_service', app_uuid, opts,
+                function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            client.post(URI, inst, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            client.post(uri_inst, {}, function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'MissingParameterError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            client.post(uri_inst + '?action=pause', {},
+                function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'InvalidArgumentError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            client.post(uri_inst + '?action=reboot', {},
+                function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'UnsupportedOperationError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            client.post('/services/' + svc_uuid + '?action=stop', {},
+                function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'UnsupportedOperationError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            client.del(uri_inst, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.sapi.deleteService(svc_uuid, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.sapi.deleteApplication(app_uuid, function (err) {
+                cb(err);
+            });
+        }
+    ]}, function (err, results) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
 test('create instance with VM aleady existing', function (t) {
     var self = this;
     var client = this.client;
@@ -1067,3 +1498,193 @@ test('create instance with NAPI networks', function (t) {
         t.end();
     });
 });
+
+
+// -- Test listing instances a page at a time
+
+test('list instances w/ paging', function (t) {
+    var self = this;
+    var client = this.client;
+
+    var app_uuid = node_uuid.v4();
+    var svc_uuid = node_uuid.v4();
+    var inst_uuids = [ node_uuid.v4(), node_uuid.v4(), node_uuid.v4() ];
+    inst_uuids.sort();
+
+    var uri_list = URI + '?service_uuid=' + svc_uuid;
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid}, cb);
+        },
+        function (_, cb) {
+            var opts = { uuid: svc_uuid, type: 'agent' };
+
+            self.sapi.createService('paging_agent_service', app_uuid, opts,
+                function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            vasync.forEachPipeline({
+                inputs: inst_uuids,
+                func: function (uuid, subcb) {
+                    var inst = { uuid: uuid, service_uuid: svc_uuid };
+                    client.post(URI, inst, function (err) {
+                        subcb(err);
+                    });
+                }
+            }, cb);
+        },
+        function (_, cb) {
+            client.get(uri_list + '&limit=2', function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.deepEqual(obj.map(function (inst) {
+                    return (inst.uuid);
+                }), inst_uuids.slice(0, 2));
+
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var uri = uri_list + '&limit=2&marker=' + inst_uuids[1];
+
+            client.get(uri, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, 1);
+                t.equal(obj[0].uuid, inst_uuids[2]);
+
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var uri = uri_list + '&sort=uuid.DESC&offset=1&limit=1';
+
+            client.get(uri, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, 1);
+                t.equal(obj[0].uuid, inst_uuids[1]);
+
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            client.get(uri_list + '&limit=0', function (err, req, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 409);
+
+                cb(null);
+            });
+        },
+        function (_, cb) {
+            client.get(uri_list + '&sort=params', function (err, req, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 409);
+
+                cb(null);
+            });
+        },
+        function (_, cb) {
+            client.del('/applications/' + app_uuid + '?cascade=true',
+                function (err) {
+                cb(err);
+            });
+        }
+    ]}, function (err, results) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+// -- Test listing instances with filters
+
+test('list instances w/ filters', function (t) {
+    var self = this;
+    var client = this.client;
+
+    var app_uuid = node_uuid.v4();
+    var svc_uuid = node_uuid.v4();
+    var server_uuid = node_uuid.v4();
+
+    var insts = [ {
+        uuid: node_uuid.v4(),
+        service_uuid: svc_uuid,
+        params: { server_uuid: server_uuid },
+        metadata: { SIZE: 10 }
+    }, {
+        uuid: node_uuid.v4(),
+        service_uuid: svc_uuid,
+        params: { server_uuid: node_uuid.v4() },
+        metadata: { SIZE: 20 }
+    } ];
+
+    var uri_list = URI + '?service_uuid=' + svc_uuid;
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid}, cb);
+        },
+        function (_, cb) {
+            var opts = { uuid: svc_uuid, type: 'agent' };
+
+            self.sapi.createService('filter_agent_service', app_uuid, opts,
+                function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            vasync.forEachPipeline({
+                inputs: insts,
+                func: function (inst, subcb) {
+                    client.post(URI, inst, function (err) {
+                        subcb(err);
+                    });
+                }
+            }, cb);
+        },
+        function (_, cb) {
+            var uri = URI + '?params.server_uuid=' + server_uuid;
+
+            client.get(uri, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.length, 1);
+                t.equal(obj[0].uuid, insts[0].uuid);
+
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var uri = uri_list + '&metadata.SIZE!=10';
+
+            client.get(uri, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, 1);
+                t.equal(obj[0].uuid, insts[1].uuid);
+
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var uri = uri_list + '&metadata.SIZE=1*&metadata.SIZE=2*';
+
+            client.get(uri, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.length, 2);
+
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            client.del('/applications/' + app_uuid + '?cascade=true',
+                function (err) {
+                cb(err);
+            });
+        }
+    ]}, function (err, results) {
+        t.ifError(err);
+        t.end();
+    });
+});
@@ -0,0 +1,320 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * test/local.test.js: test local storage
+ */
+
+var async = require('async');
+var fs = require('fs');
+var node_uuid = require('node-uuid');
+var path = require('path');
+var rimraf = require('rimraf');
+
+var LocalStorage = require('../lib/server/stor/local');
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+var test = helper.test;
+
+
+// Local storage falls back to the second without a delegated dataset
+var ROOT = fs.existsSync('/sapi') ? '/sapi' : '/opt/smartdc/sapi/storage';
+var BUCKET = 'sapi_test_local';
+
+
+// -- Boilerplate
+
+helper.before(function (cb) {
+    this.stor = new LocalStorage({
+        log: helper.createLogger(),
+        buckets: { test: BUCKET }
+    });
+    this.stor.init(cb);
+});
+
+helper.after(function (cb) {
+    rimraf(path.join(ROOT, BUCKET), cb);
+});
+
+
+// -- Helper functions
+
+function objectFile(uuid) {
+    return (path.join(ROOT, BUCKET, uuid));
+}
+
+function readObject(uuid) {
+    var file = objectFile(uuid);
+    return (fs.existsSync(file) ?
+        JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+}
+
+function journals() {
+    return (fs.readdirSync(path.join(ROOT, '.journal')));
+}
+
+
+// -- Test corrupt objects
+
+test('corrupt object is quarantined by a list', function (t) {
+    var self = this;
+
+    var uuid = node_uuid.v4();
+    var uuid2 = node_uuid.v4();
+
+    async.waterfall([
+        function (cb) {
+            self.stor.putObject(BUCKET, uuid, { uuid: uuid }, cb);
+        },
+        function (cb) {
+            self.stor.putObject(BUCKET, uuid2, { uuid: uuid2 }, cb);
+        },
+        function (cb) {
+            // Truncate the second object's file, as a crash might have
+            var contents = fs.readFileSync(objectFile(uuid2), 'utf8');
+            fs.writeFileSync(objectFile(uuid2), contents.slice(0, 5));
+
+            self.stor.listObjectValues(BUCKET, {}, {}, cb);
+        },
+        function (vals, cb) {
+            t.deepEqual(vals, [ { uuid: uuid } ]);
+
+            var repairs = self.stor.repairStatus();
+            t.equal(repairs.length, 1);
+            t.equal(repairs[0].bucket, BUCKET);
+            t.equal(repairs[0].uuid, uuid2);
+            t.equal(path.dirname(repairs[0].file),
+                path.join(ROOT, BUCKET, '.quarantine'));
+            t.ok(fs.existsSync(repairs[0].file));
+            t.equal(fs.existsSync(objectFile(uuid2)), false);
+
+            self.stor.getObject(BUCKET, uuid2, cb);
+        },
+        function (rec, cb) {
+            t.equal(rec, null);
+            cb();
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('corrupt object is quarantined at init', function (t) {
+    var self = this;
+
+    var uuid = node_uuid.v4();
+    var temp = path.join(ROOT, BUCKET, '.' + uuid + '.1.0.tmp');
+
+    async.waterfall([
+        function (cb) {
+            fs.writeFileSync(objectFile(uuid), 'not json');
+            fs.writeFileSync(temp, '{ "uuid":');
+
+            self.stor.init(cb);
+        },
+        function (cb) {
+            var repairs = self.stor.repairStatus();
+            t.equal(repairs.length, 1);
+            t.equal(repairs[0].uuid, uuid);
+            t.equal(fs.existsSync(objectFile(uuid)), false);
+
+            // Temporary files of interrupted writes are removed
+            t.equal(fs.existsSync(temp), false);
+
+            self.stor.listObjectValues(BUCKET, {}, {}, cb);
+        },
+        function (vals, cb) {
+            t.deepEqual(vals, []);
+            cb();
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+// -- Test batches
+
+test('batch w/ a failed write is undone', function (t) {
+    var self = this;
+
+    var uuid = node_uuid.v4();
+    var uuid2 = node_uuid.v4();
+
+    async.waterfall([
+        function (cb) {
+            self.stor.putObject(BUCKET, uuid, { v: 1 }, cb);
+        },
+        function (cb) {
+            self.stor.putObject(BUCKET, uuid2, { v: 1 }, cb);
+        },
+        function (cb) {
+            // The last write fails, as its bucket has no directory
+            self.stor.batch([
+                { operation: 'put', bucket: BUCKET, uuid: uuid,
+                    value: { v: 2 } },
+                { operation: 'delete', bucket: BUCKET, uuid: uuid2 },
+                { operation: 'put', bucket: 'sapi_test_missing', uuid: uuid,
+                    value: { v: 2 } }
+            ], function (err) {
+                t.ok(err);
+                t.deepEqual(readObject(uuid), { v: 1 });
+                t.deepEqual(readObject(uuid2), { v: 1 });
+                t.deepEqual(journals(), []);
+                cb();
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('batch left part way is undone at init', function (t) {
+    var self = this;
+
+    var uuid = node_uuid.v4();
+    var uuid2 = node_uuid.v4();
+    var contents;
+
+    async.waterfall([
+        function (cb) {
+            self.stor.putObject(BUCKET, uuid, { v: 1 }, cb);
+        },
+        function (cb) {
+            // A journal as a batch leaves it, with its first write made
+            contents = fs.readFileSync(objectFile(uuid), 'utf8');
+            fs.writeFileSync(path.join(ROOT, '.journal', '1.1.0.json'),
+                JSON.stringify({ undo: [
+                    { bucket: BUCKET, uuid: uuid2, contents: null },
+                    { bucket: BUCKET, uuid: uuid, contents: contents }
+                ] }));
+            fs.writeFileSync(objectFile(uuid), JSON.stringify({ v: 2 }));
+
+            self.stor.init(cb);
+        },
+        function (cb) {
+            t.deepEqual(readObject(uuid), { v: 1 });
+            t.equal(readObject(uuid2), null);
+            t.deepEqual(journals(), []);
+            cb();
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('batch w/ etags', function (t) {
+    var self = this;
+
+    var uuid = node_uuid.v4();
+    var etag;
+
+    async.waterfall([
+        function (cb) {
+            self.stor.putObject(BUCKET, uuid, { v: 1 }, cb);
+        },
+        function (cb) {
+            self.stor.getObject(BUCKET, uuid, cb);
+        },
+        function (rec, cb) {
+            etag = rec.etag;
+
+            self.stor.batch([
+                { operation: 'put', bucket: BUCKET, uuid: uuid,
+                    value: { v: 2 }, etag: 'bogus' }
+            ], function (err) {
+                t.ok(err);
+                t.equal(err.name, 'EtagConflictError');
+                t.deepEqual(readObject(uuid), { v: 1 });
+                cb();
+            });
+        },
+        function (cb) {
+            self.stor.batch([
+                { operation: 'put', bucket: BUCKET, uuid: uuid,
+                    value: { v: 2 }, etag: etag },
+                { operation: 'delete', bucket: BUCKET, uuid: uuid,
+                    etag: etag }
+            ], function (err) {
+                // The delete finds the object as the put left it
+                t.ok(err);
+                t.equal(err.name, 'EtagConflictError');
+                t.deepEqual(readObject(uuid), { v: 1 });
+                cb();
+            });
+        },
+        function (cb) {
+            self.stor.batch([
+                { operation: 'put', bucket: BUCKET, uuid: uuid,
+                    value: { v: 2 }, etag: etag },
+                { operation: 'put', bucket: BUCKET, uuid: node_uuid.v4(),
+                    value: { v: 1 }, etag: null }
+            ], function (err) {
+                t.ifError(err);
+                t.deepEqual(readObject(uuid), { v: 2 });
+                t.deepEqual(journals(), []);
+                cb(err);
+            });
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+// -- Test deletes
+
+test('delete w/ etag', function (t) {
+    var self = this;
+
+    var uuid = node_uuid.v4();
+    var etag;
+
+    async.waterfall([
+        function (cb) {
+            self.stor.putObject(BUCKET, uuid, { v: 1 }, cb);
+        },
+        function (cb) {
+            self.stor.getObject(BUCKET, uuid, cb);
+        },
+        function (rec, cb) {
+            etag = rec.etag;
+            self.stor.putObject(BUCKET, uuid, { v: 2 }, cb);
+        },
+        function (cb) {
+            self.stor.delObject(BUCKET, uuid, { etag: etag }, function (err) {
+                t.ok(err);
+                t.equal(err.name, 'EtagConflictError');
+                t.deepEqual(readObject(uuid), { v: 2 });
+                cb();
+            });
+        },
+        function (cb) {
+            self.stor.getObject(BUCKET, uuid, cb);
+        },
+        function (rec, cb) {
+            self.stor.delObject(BUCKET, uuid, { etag: rec.etag }, cb);
+        },
+        function (cb) {
+            t.equal(readObject(uuid), null);
+            cb();
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
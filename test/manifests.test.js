@@ -294,3 +294,90 @@ test('put/get/del manifest', function (t) {
         t.end();
     });
 });
+
+
+// -- Test manifest versions
+
+test('update manifest', function (t) {
+    var self = this;
+
+    var cfg = {};
+    cfg.uuid = node_uuid.v4();
+    cfg.name = 'versioned manifest ' + node_uuid.v4();
+    cfg.path = '/opt/smartdc/minnow/etc/config.json';
+    cfg.template = {
+        logLevel: 'debug'
+    };
+    cfg.version = '1.0.0';
+
+    var uri_cfg = '/manifests/' + cfg.uuid;
+    var uuids = [ cfg.uuid ];
+
+    async.waterfall([
+        function (cb) {
+            self.client.post(URI, cfg, function (err) {
+                cb(err);
+            });
+        },
+        function (cb) {
+            var changes = {};
+            changes.template = {
+                logLevel: 'info'
+            };
+
+            self.client.put(uri_cfg, changes, function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.notEqual(obj.uuid, cfg.uuid);
+                t.equal(obj.name, cfg.name);
+                t.equal(obj.path, cfg.path);
+                t.deepEqual(obj.template, changes.template);
+                t.equal(obj.version, '1.0.1');
+
+                if (obj)
+                    uuids.push(obj.uuid);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.put(uri_cfg, { version: '1.0.1' },
+                function (err, _, res) {
+                t.ok(err);
+                t.equal(err.name, 'InvalidArgumentError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (cb) {
+            self.client.put(uri_cfg, { version: '2.0.0' },
+                function (err, _, res, obj) {
+                t.ifError(err);
+                t.equal(obj.version, '2.0.0');
+                t.deepEqual(obj.template, cfg.template);
+
+                if (obj)
+                    uuids.push(obj.uuid);
+                cb(err);
+            });
+        },
+        function (cb) {
+            var uri = URI + '?name=' + encodeURIComponent(cfg.name);
+
+            self.client.get(uri, function (err, _, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj.map(function (m) {
+                    return (m.version);
+                }).sort(), [ '1.0.0', '1.0.1', '2.0.0' ]);
+                cb(err);
+            });
+        },
+        function (cb) {
+            async.forEach(uuids, function (uuid, subcb) {
+                self.client.del('/manifests/' + uuid, subcb);
+            }, cb);
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
@@ -45,8 +45,10 @@ helper.before(function (cb) {
             var dirs = [
                 '/opt/smartdc/sapi/storage',
                 '/sapi/sapi_applications',
+                '/sapi/sapi_history',
                 '/sapi/sapi_instances',
                 '/sapi/sapi_manifests',
+                '/sapi/sapi_operations',
                 '/sapi/sapi_services'
             ];
 
@@ -134,6 +136,61 @@ function testMode(t, mode, cb) {
     });
 }
 
+/*
+ * Upgrade an agent service with no instances, which starts an operation and
+ * finishes it, and return the finished operation.
+ */
+function upgradeAgentService(t, app_uuid, cb) {
+    var self = this;
+
+    var svc = {
+        uuid: node_uuid.v4(),
+        name: 'mode-test-agent',
+        application_uuid: app_uuid,
+        type: 'agent'
+    };
+    var params = { image_uuid: process.env.SAPI_TEST_IMAGE_UUID };
+    var op;
+
+    async.waterfall([
+        function (subcb) {
+            self.client.post('/services', svc, function (err) {
+                subcb(err);
+            });
+        },
+        function (subcb) {
+            self.client.post('/services/' + svc.uuid + '/upgrade', params,
+                function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 202);
+                op = obj;
+                subcb(err);
+            });
+        },
+        function (subcb) {
+            var tries = 0;
+
+            async.whilst(
+            function () {
+                return (op.state === 'running' && tries++ < 30);
+            }, function (whilstcb) {
+                setTimeout(function () {
+                    self.client.get('/operations/' + op.uuid,
+                        function (err, req, res, obj) {
+                        op = obj;
+                        whilstcb(err);
+                    });
+                }, 1000);
+            }, subcb);
+        }
+    ], function (err) {
+        t.ifError(err);
+        if (op)
+            t.equal(op.state, 'succeeded');
+        cb(err, op);
+    });
+}
+
 // -- Test basic endpoints
 
 test('in proto mode', function (t) {
@@ -145,14 +202,43 @@ test('in proto mode', function (t) {
 test('in full mode', function (t) {
     var self = this;
 
-    testMode.call(this, t, 'full', function () {
-        // Can't go from full -> proto
-        var uri_mode = URI + '?mode=proto';
+    var app_uuid = node_uuid.v4();
 
-        self.client.post(uri_mode, function (err, req, res, obj) {
-            t.ok(err);
-            t.equal(res.statusCode, 409);
-            t.equal(err.name, 'InvalidArgumentError');
+    testMode.call(this, t, 'full', function () {
+        async.waterfall([
+            function (cb) {
+                // Can't go from full -> proto
+                var uri_mode = URI + '?mode=proto';
+
+                self.client.post(uri_mode, function (err, req, res, obj) {
+                    t.ok(err);
+                    t.equal(res.statusCode, 409);
+                    t.equal(err.name, 'InvalidArgumentError');
+                    cb();
+                });
+            },
+            function (cb) {
+                // Operations are stored in moray
+                common.createApplication({
+                    sapi: self.sapi,
+                    uuid: app_uuid
+                }, function (err) {
+                    cb(err);
+                });
+            },
+            function (cb) {
+                upgradeAgentService.call(self, t, app_uuid, function (err) {
+                    cb(err);
+                });
+            },
+            function (cb) {
+                self.client.del('/applications/' + app_uuid + '?cascade=true',
+                    function (err) {
+                    cb(err);
+                });
+            }
+        ], function (err) {
+            t.ifError(err);
             t.end();
         });
     });
@@ -167,6 +253,7 @@ test('upgrade to full mode', function (t) {
     var app_uuid = node_uuid.v4();
     var svc_uuid = node_uuid.v4();
     var inst_uuid = node_uuid.v4();
+    var op;
 
     async.waterfall([
         function (cb) {
@@ -206,6 +293,12 @@ test('upgrade to full mode', function (t) {
                 cb(err);
             });
         },
+        function (cb) {
+            upgradeAgentService.call(self, t, app_uuid, function (err, obj) {
+                op = obj;
+                cb(err);
+            });
+        },
         function (cb) {
             // Create an actual zone
             var vmapiplus = helper.createVmapiPlusClient();
@@ -234,6 +327,15 @@ test('upgrade to full mode', function (t) {
                 t.equal(obj, 'full');
                 cb();
             });
+        },
+        function (cb) {
+            // Operations are copied into moray
+            self.client.get('/operations/' + op.uuid,
+                function (err, req, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj, op);
+                cb(err);
+            });
         }
     ], function (err) {
         t.ifError(err);
@@ -0,0 +1,294 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * test/moray.test.js: test moray buckets and their indexes
+ */
+
+var async = require('async');
+var jsprim = require('jsprim');
+var node_uuid = require('node-uuid');
+
+var MorayStorage = require('../lib/server/stor/moray');
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+var test = helper.test;
+
+
+var PROTO_MODE = process.env.TEST_SAPI_PROTO_MODE === 'true';
+
+// Buckets for a second storage, whose instances bucket starts out outdated
+var TEST_BUCKETS = {
+    applications: 'sapi_test_moray_applications',
+    services: 'sapi_test_moray_services',
+    instances: 'sapi_test_moray_instances',
+    manifests: 'sapi_test_moray_manifests',
+    history: 'sapi_test_moray_history',
+    operations: 'sapi_test_moray_operations'
+};
+
+// How long to wait for a bucket to be upgraded
+var UPGRADE_TIMEOUT = 60 * 1000;
+
+
+// -- Boilerplate
+
+var server;
+var tests_run = 0;
+
+helper.before(function (cb) {
+    this.client = helper.createJsonClient();
+
+    if (server)
+        return (cb(null));
+
+    helper.startSapiServer(function (err, res) {
+        server = res;
+        cb(err);
+    });
+});
+
+helper.after(function (cb) {
+    if (++tests_run === helper.getNumTests()) {
+        helper.shutdownSapiServer(server, cb);
+    } else {
+        cb();
+    }
+});
+
+
+// -- Helper functions
+
+function instance(server_uuid) {
+    return ({
+        uuid: node_uuid.v4(),
+        service_uuid: node_uuid.v4(),
+        type: 'vm',
+        params: { server_uuid: server_uuid },
+        metadata: {}
+    });
+}
+
+function waitForBucket(stor, bucket, cb) {
+    var start = Date.now();
+
+    function check() {
+        var status = stor.bucketStatus().local_moray;
+        status = status && status[bucket];
+
+        if (status && status.state === 'ready') {
+            cb(null, status);
+        } else if (Date.now() - start > UPGRADE_TIMEOUT) {
+            cb(new Error('bucket ' + bucket + ' not upgraded: ' +
+                JSON.stringify(status)));
+        } else {
+            setTimeout(check, 1000);
+        }
+    }
+
+    check();
+}
+
+
+// -- Tests
+
+test('ping reports buckets', function (t) {
+    this.client.get('/ping', function (err, _, res, obj) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+
+        if (PROTO_MODE) {
+            t.deepEqual(obj.buckets, {});
+            t.end();
+            return;
+        }
+
+        var buckets = server.model.config.buckets;
+        var statuses = obj.buckets.local_moray;
+
+        t.ok(statuses);
+        Object.keys(buckets).forEach(function (key) {
+            t.ok(statuses[buckets[key]], buckets[key]);
+            t.equal(statuses[buckets[key]].state, 'ready', buckets[key]);
+            t.equal(typeof (statuses[buckets[key]].version), 'number');
+        });
+        t.end();
+    });
+});
+
+test('params.server_uuid index', function (t) {
+    var self = this;
+
+    if (PROTO_MODE) {
+        t.end();
+        return;
+    }
+
+    var stor = server.model.moray_stor;
+    var bucket = server.model.config.buckets.instances;
+
+    var server_uuid = node_uuid.v4();
+    var inst = instance(server_uuid);
+    var other = instance(node_uuid.v4());
+
+    async.waterfall([
+        function (cb) {
+            stor.putObject(bucket, inst.uuid, inst, cb);
+        },
+        function (cb) {
+            stor.putObject(bucket, other.uuid, other, cb);
+        },
+        function (cb) {
+            // The index's value is stored with the object...
+            stor.local.getObject(bucket, inst.uuid, cb);
+        },
+        function (obj, cb) {
+            t.equal(obj.value.index_params_server_uuid, server_uuid);
+
+            // ... but isn't seen by SAPI
+            stor.getObject(bucket, inst.uuid, cb);
+        },
+        function (rec, cb) {
+            t.deepEqual(rec.value, inst);
+
+            stor.listObjectValues(bucket,
+                { 'params.server_uuid': server_uuid }, {}, cb);
+        },
+        function (vals, cb) {
+            t.deepEqual(vals, [ inst ]);
+
+            self.client.get('/instances?params.server_uuid=' + server_uuid,
+                function (err, _, res, objs) {
+                t.ifError(err);
+                t.deepEqual(objs.map(function (obj) {
+                    return (obj.uuid);
+                }), [ inst.uuid ]);
+                cb(err);
+            });
+        },
+        function (cb) {
+            // Removing the param removes the index's value
+            var changed = jsprim.deepCopy(inst);
+            delete changed.params.server_uuid;
+            stor.putObject(bucket, inst.uuid, changed, cb);
+        },
+        function (cb) {
+            stor.local.getObject(bucket, inst.uuid, cb);
+        },
+        function (obj, cb) {
+            t.equal(obj.value.index_params_server_uuid, undefined);
+
+            stor.listObjectValues(bucket,
+                { 'params.server_uuid': server_uuid }, {}, cb);
+        },
+        function (vals, cb) {
+            t.deepEqual(vals, []);
+            cb();
+        }
+    ], function (err) {
+        async.forEach([ inst, other ], function (obj, subcb) {
+            stor.delObject(bucket, obj.uuid, function () {
+                subcb();
+            });
+        }, function () {
+            t.ifError(err);
+            t.end();
+        });
+    });
+});
+
+test('bucket schema upgrade', function (t) {
+    if (PROTO_MODE) {
+        t.end();
+        return;
+    }
+
+    var client = server.model.moray_stor.local;
+    var bucket = TEST_BUCKETS.instances;
+
+    var server_uuid = node_uuid.v4();
+    var insts = [ instance(server_uuid), instance(server_uuid),
+        instance(node_uuid.v4()) ];
+    var stor;
+
+    async.waterfall([
+        function (cb) {
+            // The instances bucket as it was before its derived index
+            client.createBucket(bucket, {
+                index: {
+                    uuid: { type: 'string', unique: true },
+                    service_uuid: { type: 'string' },
+                    type: { type: 'string' },
+                    master: { type: 'boolean' }
+                }
+            }, cb);
+        },
+        function (cb) {
+            async.forEachSeries(insts, function (inst, subcb) {
+                client.putObject(bucket, inst.uuid, inst, subcb);
+            }, cb);
+        },
+        function (cb) {
+            stor = new MorayStorage({
+                moray: jsprim.deepCopy(server.model.config.moray),
+                log: server.model.log,
+                buckets: TEST_BUCKETS
+            }, server.model.metricsManager);
+            stor.init(cb);
+        },
+        function (cb) {
+            // The bucket is upgraded in the background
+            waitForBucket(stor, bucket, cb);
+        },
+        function (status, cb) {
+            t.equal(status.version, 1);
+            t.equal(status.rewritten, insts.length);
+            t.ok(status.reindexed >= insts.length);
+
+            client.getBucket(bucket, cb);
+        },
+        function (b, cb) {
+            t.equal(b.options.version, 1);
+            t.ok(b.index.index_params_server_uuid);
+
+            client.getObject(bucket, insts[0].uuid, cb);
+        },
+        function (obj, cb) {
+            t.equal(obj.value.index_params_server_uuid, server_uuid);
+
+            stor.listObjectValues(bucket,
+                { 'params.server_uuid': server_uuid }, {}, cb);
+        },
+        function (vals, cb) {
+            t.deepEqual(vals.map(function (val) {
+                return (val.uuid);
+            }).sort(), [ insts[0].uuid, insts[1].uuid ].sort());
+            t.deepEqual(vals.filter(function (val) {
+                return (val.index_params_server_uuid !== undefined);
+            }), []);
+            cb();
+        }
+    ], function (err) {
+        t.ifError(err);
+
+        if (stor)
+            stor.close();
+
+        async.forEachSeries(Object.keys(TEST_BUCKETS), function (key, subcb) {
+            client.deleteBucket(TEST_BUCKETS[key], function () {
+                subcb();
+            });
+        }, function () {
+            t.end();
+        });
+    });
+});
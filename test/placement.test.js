@@ -0,0 +1,176 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * test/placement.test.js: test choosing servers for instances
+ */
+
+var mod_placement = require('../lib/server/placement');
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+var test = helper.test;
+
+
+var A1 = '00000000-0000-0000-0000-0000000000a1';
+var A2 = '00000000-0000-0000-0000-0000000000a2';
+var B1 = '00000000-0000-0000-0000-0000000000b1';
+var DOWN = '00000000-0000-0000-0000-00000000000d';
+
+
+// -- Helper functions
+
+function server(uuid, opts) {
+    opts = opts || {};
+
+    return ({
+        uuid: uuid,
+        setup: true,
+        reserved: false,
+        status: opts.status || 'running',
+        rack_identifier: opts.rack,
+        traits: opts.traits || {},
+        memory_available_bytes: opts.memory || 1024
+    });
+}
+
+function servers() {
+    return ([
+        server(A1, { rack: 'a', memory: 4096 }),
+        server(A2, { rack: 'a', memory: 2048, traits: { storage: true } }),
+        server(B1, { rack: 'b', memory: 1024, traits: { storage: true } }),
+        server(DOWN, { rack: 'b', memory: 8192, status: 'unknown' })
+    ]);
+}
+
+function choose(placement, peers, server_uuid) {
+    return (mod_placement.chooseServer({
+        placement: placement,
+        servers: servers(),
+        peers: peers,
+        server_uuid: server_uuid
+    }));
+}
+
+
+// -- Tests
+
+test('most memory w/o spread', function (t) {
+    // Servers which aren't running are never chosen
+    t.equal(choose({}, []), A1);
+    t.equal(choose({}, [ A1, A1 ]), A1);
+    t.end();
+});
+
+test('spread by server', function (t) {
+    t.equal(choose({ spread: 'server' }, []), A1);
+    t.equal(choose({ spread: 'server' }, [ A1 ]), A2);
+    t.equal(choose({ spread: 'server' }, [ A1, A2 ]), B1);
+    t.equal(choose({ spread: 'server' }, [ A1, A2, B1 ]), A1);
+    t.end();
+});
+
+test('spread by rack', function (t) {
+    t.equal(choose({ spread: 'rack' }, [ A1 ]), B1);
+    t.equal(choose({ spread: 'rack' }, [ A1, B1 ]), A2);
+    t.equal(choose({ spread: 'rack' }, [ A2, B1 ]), A1);
+    t.end();
+});
+
+test('traits', function (t) {
+    t.equal(choose({ traits: { storage: true } }, []), A2);
+    t.equal(choose({ traits: { storage: true }, spread: 'server' }, [ A2 ]),
+        B1);
+
+    var err = choose({ traits: { storage: false } }, []);
+    t.ok(err instanceof Error);
+    t.equal(err.name, 'PlacementFailedError');
+    t.end();
+});
+
+test('max_per_server', function (t) {
+    t.equal(choose({ max_per_server: 1 }, [ A1 ]), A2);
+    t.equal(choose({ max_per_server: 2 }, [ A1 ]), A1);
+
+    var err = choose({ max_per_server: 1 }, [ A1, A2, B1 ]);
+    t.ok(err instanceof Error);
+    t.equal(err.name, 'PlacementFailedError');
+    t.end();
+});
+
+test('server_uuid is checked against the policy', function (t) {
+    t.equal(choose({ spread: 'server' }, [ B1 ], B1), B1);
+
+    var err = choose({ max_per_server: 1 }, [ B1 ], B1);
+    t.equal(err.name, 'PlacementFailedError');
+    t.ok(/already has 1 of the instance's peers/.test(err.message));
+
+    err = choose({}, [], DOWN);
+    t.equal(err.name, 'PlacementFailedError');
+    t.ok(/is not available/.test(err.message));
+
+    err = choose({ traits: { storage: true } }, [], A1);
+    t.equal(err.name, 'PlacementFailedError');
+    t.end();
+});
+
+test('group', function (t) {
+    var insts = [
+        { uuid: 'i1', metadata: { SHARD: 1 } },
+        { uuid: 'i2', metadata: { SHARD: 2 } },
+        { uuid: 'i3', metadata: { SHARD: 1 } },
+        { uuid: 'i4', metadata: {} }
+    ];
+
+    function peers(placement, inst) {
+        return (mod_placement.findPeers({
+            placement: placement,
+            instance: inst,
+            instances: insts,
+            metadata: function (obj) {
+                return (obj.metadata);
+            }
+        }).map(function (peer) {
+            return (peer.uuid);
+        }));
+    }
+
+    t.deepEqual(peers({ group: 'SHARD' }, insts[0]), [ 'i3' ]);
+    t.deepEqual(peers({ group: 'SHARD' }, { uuid: 'i5', metadata: {} }),
+        [ 'i4' ]);
+    t.deepEqual(peers({}, insts[0]), [ 'i2', 'i3', 'i4' ]);
+    t.end();
+});
+
+test('validate placement', function (t) {
+    t.equal(mod_placement.validatePlacement({
+        spread: 'rack',
+        traits: { storage: true },
+        max_per_server: 2,
+        group: 'SHARD'
+    }), null);
+
+    [
+        [],
+        { spread: 'datacenter' },
+        { traits: 'storage' },
+        { max_per_server: 0 },
+        { max_per_server: 1.5 },
+        { group: '' },
+        { zone: 'a' }
+    ].forEach(function (placement) {
+        var err = mod_placement.validatePlacement(placement);
+        t.ok(err, JSON.stringify(placement));
+        t.equal(err.name, 'InvalidArgumentError');
+    });
+
+    t.end();
+});
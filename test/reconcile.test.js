@@ -0,0 +1,191 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * test/reconcile.test.js: test /reconcile endpoints
+ */
+
+var async = require('async');
+var node_uuid = require('node-uuid');
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+var test = helper.test;
+
+
+var URI = '/reconcile';
+
+var PROTO_MODE = process.env.TEST_SAPI_PROTO_MODE === 'true';
+
+
+// -- Boilerplate
+
+var server;
+var tests_run = 0;
+
+helper.before(function (cb) {
+    this.client = helper.createJsonClient();
+
+    if (server)
+        return (cb(null));
+
+    helper.startSapiServer(function (err, res) {
+        server = res;
+        cb(err);
+    });
+});
+
+helper.after(function (cb) {
+    if (++tests_run === helper.getNumTests()) {
+        helper.shutdownSapiServer(server, cb);
+    } else {
+        cb();
+    }
+});
+
+
+// -- Tests
+
+test('reconcile w/ invalid action', function (t) {
+    this.client.post(URI, { action: 'destroy' }, function (err, _, res) {
+        t.ok(err);
+        t.equal(err.name, 'InvalidArgumentError');
+        t.equal(res.statusCode, 409);
+        t.end();
+    });
+});
+
+test('get drift', function (t) {
+    this.client.get(URI, function (err, _, res, report) {
+        if (PROTO_MODE) {
+            t.ok(err);
+            t.equal(err.name, 'UnsupportedOperationError');
+            t.end();
+            return;
+        }
+
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        t.ok(Array.isArray(report.missing_vm));
+        t.ok(Array.isArray(report.destroyed_vm));
+        t.ok(Array.isArray(report.orphaned_vm));
+        t.end();
+    });
+});
+
+test('remove unknown instance', function (t) {
+    var uuid = node_uuid.v4();
+
+    this.client.post(URI, { action: 'remove', uuids: [ uuid ] },
+        function (err, _, res, results) {
+        if (PROTO_MODE) {
+            t.ok(err);
+            t.equal(err.name, 'UnsupportedOperationError');
+            t.end();
+            return;
+        }
+
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        t.equal(results.length, 1);
+        t.equal(results[0].uuid, uuid);
+        t.ok(results[0].error);
+        t.end();
+    });
+});
+
+test('instance w/ running operation isn\'t missing its VM', function (t) {
+    var self = this;
+
+    if (PROTO_MODE) {
+        t.end();
+        return;
+    }
+
+    var stor = server.model.stor;
+    var buckets = server.model.config.buckets;
+
+    var inst = {
+        uuid: node_uuid.v4(),
+        service_uuid: node_uuid.v4(),
+        type: 'vm',
+        params: {},
+        metadata: {}
+    };
+    var op = {
+        uuid: node_uuid.v4(),
+        action: 'create',
+        object_type: 'instance',
+        object_uuid: inst.uuid,
+        state: 'running',
+        step: 'wait-for-job',
+        params: {}
+    };
+
+    function missing(report) {
+        return (report.missing_vm.some(function (entry) {
+            return (entry.uuid === inst.uuid);
+        }));
+    }
+
+    async.waterfall([
+        function (cb) {
+            stor.putObject(buckets.instances, inst.uuid, inst, cb);
+        },
+        function (cb) {
+            stor.putObject(buckets.operations, op.uuid, op, cb);
+        },
+        function (cb) {
+            self.client.get(URI, function (err, _, res, report) {
+                t.ifError(err);
+                t.equal(missing(report), false);
+                cb(err);
+            });
+        },
+        function (cb) {
+            // Removing it by default leaves it alone, too
+            self.client.post(URI, { action: 'remove' },
+                function (err, _, res, results) {
+                t.ifError(err);
+                t.equal(results.some(function (result) {
+                    return (result.uuid === inst.uuid);
+                }), false);
+                cb(err);
+            });
+        },
+        function (cb) {
+            op.state = 'succeeded';
+            stor.putObject(buckets.operations, op.uuid, op, cb);
+        },
+        function (cb) {
+            self.client.get(URI, function (err, _, res, report) {
+                t.ifError(err);
+                t.equal(missing(report), true);
+                cb(err);
+            });
+        },
+        function (cb) {
+            self.client.post(URI, { action: 'remove', uuids: [ inst.uuid ] },
+                function (err, _, res, results) {
+                t.ifError(err);
+                t.deepEqual(results,
+                    [ { uuid: inst.uuid, result: 'removed' } ]);
+                cb(err);
+            });
+        },
+        function (cb) {
+            stor.delObject(buckets.operations, op.uuid, cb);
+        }
+    ], function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright (c) 2018, Joyent, Inc.
  */
 
 /*
@@ -229,6 +229,467 @@ test('create w/ an agent service', function (t) {
     });
 });
 
+test('delete service w/ instances', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+
+    var svc = {};
+    svc.uuid = node_uuid.v4();
+    svc.name = 'cascade-agent';
+    svc.application_uuid = app_uuid;
+    svc.type = 'agent';
+
+    var inst_uuid = node_uuid.v4();
+    var uri_svc = '/services/' + svc.uuid;
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid}, cb);
+        },
+        function (_, cb) {
+            self.client.post(URI, svc, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var inst = {
+                uuid: inst_uuid,
+                service_uuid: svc.uuid
+            };
+            self.client.post('/instances', inst, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.del(uri_svc, function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'ObjectInUseError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            self.client.del(uri_svc + '?cascade=true',
+                function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 200);
+                t.deepEqual(obj, [
+                    { type: 'instance', uuid: inst_uuid, status: 'deleted' },
+                    { type: 'service', uuid: svc.uuid, status: 'deleted' }
+                ]);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.get('/instances/' + inst_uuid,
+                function (err, req, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 404);
+                cb();
+            });
+        },
+        function (_, cb) {
+            self.sapi.deleteApplication(app_uuid, cb);
+        }
+    ]}, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('update service w/ metadata required by an instance', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+
+    var svc = {};
+    svc.uuid = node_uuid.v4();
+    svc.name = 'schema-agent';
+    svc.application_uuid = app_uuid;
+    svc.type = 'agent';
+    svc.metadata = { PORT: '8080' };
+
+    var inst_uuid = node_uuid.v4();
+    var uri_svc = '/services/' + svc.uuid;
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid}, cb);
+        },
+        function (_, cb) {
+            self.client.post(URI, svc, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var inst = {
+                uuid: inst_uuid,
+                service_uuid: svc.uuid,
+                metadata_schema: {
+                    type: 'object',
+                    properties: {
+                        PORT: { type: 'string', required: true }
+                    }
+                }
+            };
+            self.client.post('/instances', inst, function (err, _r, _s, obj) {
+                t.ifError(err);
+                t.deepEqual(obj.metadata_schema, inst.metadata_schema);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var changes = {
+                action: 'delete',
+                metadata: { PORT: '' }
+            };
+            self.client.put(uri_svc, changes, function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'SchemaValidationError');
+                t.equal(res.statusCode, 409);
+                t.ok(err.message.indexOf(inst_uuid) !== -1);
+                cb();
+            });
+        },
+        function (_, cb) {
+            self.client.get(uri_svc, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.metadata.PORT, '8080');
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.del(uri_svc + '?cascade=true', function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.sapi.deleteApplication(app_uuid, cb);
+        }
+    ]}, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('upgrade service', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+    var image_uuid = process.env.SAPI_TEST_IMAGE_UUID;
+
+    var svc = {};
+    svc.uuid = node_uuid.v4();
+    svc.name = 'upgrade-agent';
+    svc.application_uuid = app_uuid;
+    svc.type = 'agent';
+
+    var uri_svc = '/services/' + svc.uuid;
+    var op;
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid}, cb);
+        },
+        function (_, cb) {
+            self.client.post(URI, svc, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            async.forEachSeries([ 1, 2, 3 ], function (n, subcb) {
+                self.client.post('/instances', { service_uuid: svc.uuid },
+                    function (err) {
+                    subcb(err);
+                });
+            }, cb);
+        },
+        function (_, cb) {
+            var uri = uri_svc + '/upgrade';
+
+            self.client.post(uri, {}, function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'MissingParameterError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            var params = { image_uuid: image_uuid, concurrency: 2 };
+
+            self.client.post(uri_svc + '/upgrade', params,
+                function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 202);
+                t.equal(obj.action, 'upgrade');
+                t.equal(obj.object_uuid, svc.uuid);
+                t.equal(obj.instances.length, 3);
+                op = obj;
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var tries = 0;
+
+            async.whilst(
+            function () {
+                return (op.state === 'running' && tries++ < 30);
+            }, function (subcb) {
+                setTimeout(function () {
+                    self.client.get('/operations/' + op.uuid,
+                        function (err, req, res, obj) {
+                        op = obj;
+                        subcb(err);
+                    });
+                }, 1000);
+            }, cb);
+        },
+        function (_, cb) {
+            t.equal(op.state, 'succeeded');
+            op.instances.forEach(function (entry) {
+                t.equal(entry.state, 'succeeded');
+            });
+
+            self.client.get(uri_svc, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.params.image_uuid, image_uuid);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.del(uri_svc + '?cascade=true', function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.sapi.deleteApplication(app_uuid, cb);
+        }
+    ]}, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('scale service', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+
+    var svc = {};
+    svc.uuid = node_uuid.v4();
+    svc.name = 'scale-vm';
+    svc.application_uuid = app_uuid;
+    svc.desired_count = 2;
+
+    var agent = {};
+    agent.uuid = node_uuid.v4();
+    agent.name = 'scale-agent';
+    agent.application_uuid = app_uuid;
+    agent.type = 'agent';
+
+    var uri_svc = '/services/' + svc.uuid;
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid}, cb);
+        },
+        function (_, cb) {
+            var bad = jsprim.mergeObjects(svc, { desired_count: -1 });
+
+            self.client.post(URI, bad, function (err, req, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            self.client.post(URI, svc, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.desired_count, 2);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.post(URI, agent, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.get(uri_svc, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.desired_count, 2);
+                t.equal(obj.actual_count, 0);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.post(uri_svc + '/scale', {}, function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'MissingParameterError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            self.client.post('/services/' + agent.uuid + '/scale?count=1', {},
+                function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'UnsupportedOperationError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            self.client.post(uri_svc + '/scale?count=0', {},
+                function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(res.statusCode, 202);
+                t.equal(obj.action, 'scale');
+                t.deepEqual(obj.instances, []);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.get(uri_svc, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.desired_count, 0);
+                t.equal(obj.actual_count, 0);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var changes = { action: 'delete', desired_count: true };
+
+            self.client.put(uri_svc, changes, function (err, req, res, obj) {
+                t.ifError(err);
+                t.equal(obj.desired_count, undefined);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.del(uri_svc, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.del('/services/' + agent.uuid, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.sapi.deleteApplication(app_uuid, cb);
+        }
+    ]}, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('patch service', function (t) {
+    var self = this;
+
+    var app_uuid = node_uuid.v4();
+
+    var svc = {};
+    svc.uuid = node_uuid.v4();
+    svc.name = 'patch-svc';
+    svc.application_uuid = app_uuid;
+    svc.params = { networks: [ 'admin' ] };
+    svc.metadata = { dns: { domain: 'joyent.us', ttl: 60 } };
+
+    var uri_svc = '/services/' + svc.uuid;
+
+    function patch(type, body, cb) {
+        var opts = {
+            path: uri_svc,
+            headers: { 'content-type': type }
+        };
+
+        self.client.patch(opts, body, cb);
+    }
+
+    vasync.pipeline({funcs: [
+        function (_, cb) {
+            common.createApplication({sapi: self.sapi, uuid: app_uuid}, cb);
+        },
+        function (_, cb) {
+            self.client.post(URI, svc, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var ops = [
+                { op: 'test', path: '/params/networks/0', value: 'admin' },
+                { op: 'add', path: '/params/networks/-', value: 'external' },
+                { op: 'replace', path: '/metadata/dns/ttl', value: 300 }
+            ];
+
+            patch('application/json-patch+json', ops,
+                function (err, req, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj.params.networks, [ 'admin', 'external' ]);
+                t.deepEqual(obj.metadata.dns,
+                    { domain: 'joyent.us', ttl: 300 });
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            var ops = [
+                { op: 'test', path: '/params/networks/0', value: 'manta' },
+                { op: 'remove', path: '/params/networks' }
+            ];
+
+            patch('application/json-patch+json', ops, function (err, req, res) {
+                t.ok(err);
+                t.equal(err.name, 'PatchFailedError');
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            var ops = [ { op: 'remove', path: '/name' } ];
+
+            patch('application/json-patch+json', ops, function (err, req, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 409);
+                cb();
+            });
+        },
+        function (_, cb) {
+            var body = { metadata: { dns: { ttl: null }, SIZE: 512 } };
+
+            patch('application/merge-patch+json', body,
+                function (err, req, res, obj) {
+                t.ifError(err);
+                t.deepEqual(obj.metadata,
+                    { dns: { domain: 'joyent.us' }, SIZE: 512 });
+                t.deepEqual(obj.params.networks, [ 'admin', 'external' ]);
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.client.patch(uri_svc, { metadata: {} },
+                function (err, req, res) {
+                t.ok(err);
+                t.equal(res.statusCode, 415);
+                cb();
+            });
+        },
+        function (_, cb) {
+            self.client.del(uri_svc, function (err) {
+                cb(err);
+            });
+        },
+        function (_, cb) {
+            self.sapi.deleteApplication(app_uuid, cb);
+        }
+    ]}, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
 test('get nonexistent service', function (t) {
     var uri_svc = '/services/' + node_uuid.v4();
 